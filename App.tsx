@@ -18,17 +18,28 @@
  * limitations under the License.
  */
 
+import AbTest from './components/AbTest';
 import AgentEdit from './components/AgentEdit';
+import ConversationHistory from './components/ConversationHistory';
 import ControlTray from './components/console/control-tray/ControlTray';
 import ErrorScreen from './components/demo/ErrorSreen';
 import KeynoteCompanion from './components/demo/keynote-companion/KeynoteCompanion';
 import Header from './components/Header';
+import PlaybackStats from './components/PlaybackStats';
+import RoundTableSetup from './components/RoundTableSetup';
+import RoundTableStage from './components/demo/round-table/RoundTableStage';
+import TranscriptPanel from './components/TranscriptPanel';
 import UserSettings from './components/UserSettings';
 import { LiveAPIProvider } from './contexts/LiveAPIContext';
-import { useUI, useUser } from './lib/state';
+import { useRoundTable, useUI, useUser } from './lib/state';
+import cn from 'classnames';
+import { useRef, useState } from 'react';
 
 const API_KEY = process.env.GEMINI_API_KEY as string;
-if (typeof API_KEY !== 'string') {
+// When set, sessions go to this WebSocket URL (e.g. the local mock server)
+// instead of the hosted Live API
+const LIVE_API_URL = process.env.LIVE_API_URL;
+if (typeof API_KEY !== 'string' && !LIVE_API_URL) {
   throw new Error(
     'Missing required environment variable: REACT_APP_GEMINI_API_KEY'
   );
@@ -39,22 +50,51 @@ if (typeof API_KEY !== 'string') {
  * Manages video streaming state and provides controls for webcam/screen capture.
  */
 function App() {
-  const { showUserConfig, showAgentEdit } = useUI();
+  const {
+    showUserConfig,
+    showAgentEdit,
+    showHistory,
+    showPlaybackStats,
+    showRoundTableSetup,
+    showTranscript,
+    showAbTest,
+  } = useUI();
+  const roundTable = useRoundTable(state => state.active);
+  // Local preview of the camera or screen shared with the agent
+  const videoRef = useRef<HTMLVideoElement>(null);
+  const [videoStream, setVideoStream] = useState<MediaStream | null>(null);
   return (
     <div className="App">
-      <LiveAPIProvider apiKey={API_KEY}>
+      <LiveAPIProvider apiKey={API_KEY} url={LIVE_API_URL}>
         <ErrorScreen />
         <Header />
 
         {showUserConfig && <UserSettings />}
         {showAgentEdit && <AgentEdit />}
+        {showAbTest && <AbTest />}
+        {showHistory && <ConversationHistory />}
+        {showRoundTableSetup && <RoundTableSetup />}
+        {showTranscript && <TranscriptPanel />}
         <div className="streaming-console">
           <main>
             <div className="main-app-area">
-              <KeynoteCompanion />
+              {roundTable ? <RoundTableStage /> : <KeynoteCompanion />}
+              {showPlaybackStats && <PlaybackStats />}
+              <video
+                className={cn('stream', { hidden: !videoStream })}
+                ref={videoRef}
+                autoPlay
+                playsInline
+                muted
+              />
             </div>
 
-            <ControlTray></ControlTray>
+            {!roundTable && (
+              <ControlTray
+                videoRef={videoRef}
+                onVideoStreamChange={setVideoStream}
+              ></ControlTray>
+            )}
           </main>
         </div>
       </LiveAPIProvider>
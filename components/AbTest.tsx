@@ -0,0 +1,231 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useRef, useState } from 'react';
+import Modal from './Modal';
+import { useLiveAPIContext } from '@/contexts/LiveAPIContext';
+import { AbReply, AbVariant, parseScript, runAbVariant } from '@/lib/ab-test';
+import { useAgent, useRevisions, useUI, useUser } from '@/lib/state';
+import { formatDate } from '@/lib/utils';
+
+const SIDES = ['A', 'B'] as const;
+
+/**
+ * Plays the same scripted user turns to two revisions of the current agent,
+ * or to two agents, and shows their replies side by side.
+ */
+export default function AbTest() {
+  const { setShowAbTest } = useUI();
+  const { current, availablePresets, availablePersonal } = useAgent();
+  const { revisions, abScript, setAbScript } = useRevisions();
+  const user = useUser();
+  const { createClient } = useLiveAPIContext();
+
+  // Variants by key: the current agent, a revision of it, or another agent
+  const agentRevisions = revisions
+    .filter(r => r.agentId === current.id)
+    .sort((a, b) => b.savedAt - a.savedAt);
+  const otherAgents = [...availablePresets, ...availablePersonal].filter(
+    a => a.id !== current.id
+  );
+  const variants = new Map<string, AbVariant>([
+    ['current', { label: `${current.name} as edited`, agent: current }],
+    ...agentRevisions.map((r): [string, AbVariant] => [
+      `revision:${r.id}`,
+      {
+        label: r.label || formatDate(r.savedAt),
+        agent: { ...current, personality: r.personality },
+      },
+    ]),
+    ...otherAgents.map((a): [string, AbVariant] => [
+      `agent:${a.id}`,
+      { label: a.name, agent: a },
+    ]),
+  ]);
+
+  const [keys, setKeys] = useState<[string, string]>(() => {
+    const previous = agentRevisions.find(
+      r => r.personality !== current.personality
+    );
+    return [previous ? `revision:${previous.id}` : 'current', 'current'];
+  });
+  const [replies, setReplies] = useState<[AbReply[], AbReply[]]>([[], []]);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
+
+  const turns = parseScript(abScript);
+  const selected = keys.map(key => variants.get(key));
+
+  // Stop the sessions when the test is closed
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  async function run() {
+    const [a, b] = selected;
+    if (!a || !b || !turns.length) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setReplies([[], []]);
+    setError(null);
+    setRunning(true);
+    try {
+      await Promise.all(
+        [a, b].map((variant, side) =>
+          runAbVariant(
+            createClient(),
+            variant,
+            turns,
+            user,
+            (index, reply) =>
+              setReplies(replies => {
+                const next: [AbReply[], AbReply[]] = [
+                  [...replies[0]],
+                  [...replies[1]],
+                ];
+                next[side][index] = reply;
+                return next;
+              }),
+            controller.signal
+          )
+        )
+      );
+    } catch (e) {
+      console.error('Error running A/B test:', e);
+      setError(e instanceof Error ? e.message : String(e));
+      controller.abort();
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+      setRunning(false);
+    }
+  }
+
+  return (
+    <Modal onClose={() => setShowAbTest(false)}>
+      <div className="abTest">
+        <h2>A/B test</h2>
+        <p>
+          Both sides hear the same turns, one line each, and reply by voice,
+          compared as transcripts.
+        </p>
+
+        <textarea
+          value={abScript}
+          onChange={e => setAbScript(e.target.value)}
+          rows={4}
+          placeholder={'Hi, who are you?\nWhat should I read next?'}
+          disabled={running}
+        />
+
+        <div className="abVariants">
+          {SIDES.map((side, i) => (
+            <label key={side}>
+              {side}
+              <select
+                value={keys[i]}
+                disabled={running}
+                onChange={e =>
+                  setKeys(
+                    keys.map((key, j) => (i === j ? e.target.value : key)) as [
+                      string,
+                      string,
+                    ]
+                  )
+                }
+              >
+                <option value="current">
+                  {variants.get('current')!.label}
+                </option>
+                {agentRevisions.length > 0 && (
+                  <optgroup label={`Revisions of ${current.name}`}>
+                    {agentRevisions.map(r => (
+                      <option key={r.id} value={`revision:${r.id}`}>
+                        {variants.get(`revision:${r.id}`)!.label}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+                <optgroup label="Other agents">
+                  {otherAgents.map(a => (
+                    <option key={a.id} value={`agent:${a.id}`}>
+                      {a.name}
+                    </option>
+                  ))}
+                </optgroup>
+              </select>
+            </label>
+          ))}
+        </div>
+
+        <div className="abActions">
+          {running ? (
+            <button
+              className="button"
+              onClick={() => abortRef.current?.abort()}
+            >
+              <span className="icon">stop</span> Stop
+            </button>
+          ) : (
+            <button
+              className="button primary"
+              disabled={!turns.length || selected.some(v => !v)}
+              onClick={run}
+            >
+              <span className="icon">play_arrow</span> Run
+            </button>
+          )}
+        </div>
+        {error && (
+          <p className="abError" role="alert">
+            {error}
+          </p>
+        )}
+
+        {(running || replies.some(side => side.length > 0)) && (
+          <table className="abResults">
+            <thead>
+              <tr>
+                <th>{user.name || 'You'}</th>
+                {SIDES.map((side, i) => (
+                  <th key={side}>
+                    {side}: {selected[i]?.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {turns.map((turn, index) => (
+                <tr key={index}>
+                  <td>{turn}</td>
+                  {replies.map((side, i) => {
+                    const reply = side[index];
+                    return (
+                      <td key={i}>
+                        {reply ? (
+                          <>
+                            {reply.error ? (
+                              <span className="abReplyError">
+                                {reply.error}
+                              </span>
+                            ) : (
+                              reply.text
+                            )}
+                            <span className="abLatency">
+                              {(reply.latency / 1000).toFixed(1)} s
+                            </span>
+                          </>
+                        ) : (
+                          running && <span className="abPending">…</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </Modal>
+  );
+}
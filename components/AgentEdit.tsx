@@ -2,21 +2,36 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
-import { useRef } from 'react';
+import { useRef, useState } from 'react';
 import {
   Agent,
   AGENT_COLORS,
   INTERLOCUTOR_VOICE,
   INTERLOCUTOR_VOICES,
+  PRESET_AGENTS,
 } from '@/lib/presets/agents';
+import { downloadAgentCard, parseAgentCard } from '@/lib/agent-cards';
+import AvatarPicker from './AvatarPicker';
 import Modal from './Modal';
+import PromptRevisions from './PromptRevisions';
 import c from 'classnames';
 import { useAgent, useUI } from '@/lib/state';
+import {
+  createVoiceEffect,
+  VOICE_EFFECTS,
+  VoiceEffect,
+  VoiceEffectType,
+} from '@/lib/voice-effects';
 
 export default function EditAgent() {
   const agent = useAgent(state => state.current);
   const updateAgent = useAgent(state => state.update);
+  const resetPreset = useAgent(state => state.resetPreset);
+  const addAgent = useAgent(state => state.addAgent);
+  const isPreset = PRESET_AGENTS.some(preset => preset.id === agent.id);
   const nameInput = useRef(null);
+  const importInput = useRef<HTMLInputElement>(null);
+  const [importError, setImportError] = useState<string | null>(null);
   const { setShowAgentEdit } = useUI();
 
   function onClose() {
@@ -27,6 +42,21 @@ export default function EditAgent() {
     updateAgent(agent.id, adjustments);
   }
 
+  async function onImportFile(file: File) {
+    try {
+      addAgent(parseAgentCard(await file.arrayBuffer()));
+      setImportError(null);
+    } catch (e) {
+      setImportError(e instanceof Error ? e.message : String(e));
+    }
+  }
+
+  const effects = agent.effects || [];
+
+  function updateEffects(effects: VoiceEffect[]) {
+    updateCurrentAgent({ effects });
+  }
+
   return (
     <Modal onClose={() => onClose()}>
       <div className="editAgent">
@@ -55,11 +85,41 @@ export default function EditAgent() {
                   placeholder="How should I act? Whatʼs my purpose? How would you describe my personality?"
                 />
               </label>
+              <PromptRevisions agent={agent} />
+            </div>
+
+            <div>
+              <label>
+                Scenario
+                <textarea
+                  value={agent.scenario || ''}
+                  onChange={e =>
+                    updateCurrentAgent({ scenario: e.target.value })
+                  }
+                  rows={3}
+                  placeholder="Where and when does the conversation take place?"
+                />
+              </label>
+            </div>
+
+            <div>
+              <label>
+                Greeting
+                <textarea
+                  value={agent.greeting || ''}
+                  onChange={e =>
+                    updateCurrentAgent({ greeting: e.target.value })
+                  }
+                  rows={2}
+                  placeholder="What should I say first? Leave empty to introduce myself."
+                />
+              </label>
             </div>
           </form>
         </div>
 
         <div>
+          <AvatarPicker agent={agent} />
           <div>
             <ul className="colorPicker">
               {AGENT_COLORS.map((color, i) => (
@@ -92,6 +152,113 @@ export default function EditAgent() {
               ))}
             </select>
           </div>
+          <div className="voicePicker">
+            Replies
+            <select
+              value={agent.responseModality ?? 'audio'}
+              onChange={e => {
+                updateCurrentAgent({
+                  responseModality: e.target.value as 'audio' | 'text',
+                });
+              }}
+            >
+              <option value="audio">Voice</option>
+              <option value="text">Text</option>
+            </select>
+          </div>
+          <div className="voiceEffects">
+            Voice effects
+            {effects.length > 0 && (
+              <ul>
+                {effects.map((effect, i) => {
+                  const { label, param } = VOICE_EFFECTS[effect.type];
+                  return (
+                    <li key={i}>
+                      <span>{label}</span>
+                      <label>
+                        {param.label}
+                        <input
+                          type="range"
+                          min={param.min}
+                          max={param.max}
+                          step={param.step}
+                          value={effect.value}
+                          onChange={e =>
+                            updateEffects(
+                              effects.map((other, j) =>
+                                i === j
+                                  ? { ...other, value: Number(e.target.value) }
+                                  : other
+                              )
+                            )
+                          }
+                        />
+                        <output>{effect.value}</output>
+                      </label>
+                      <button
+                        onClick={() =>
+                          updateEffects(effects.filter((_, j) => i !== j))
+                        }
+                      >
+                        <span className="icon">close</span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+            <select
+              value=""
+              onChange={e =>
+                updateEffects([
+                  ...effects,
+                  createVoiceEffect(e.target.value as VoiceEffectType),
+                ])
+              }
+            >
+              <option value="" disabled>
+                Add an effect…
+              </option>
+              {Object.entries(VOICE_EFFECTS).map(([type, { label }]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {isPreset && (
+            <button className="button" onClick={() => resetPreset(agent.id)}>
+              <span className="icon">restart_alt</span> Reset to default
+            </button>
+          )}
+          <div className="agentCards">
+            <button className="button" onClick={() => downloadAgentCard(agent)}>
+              <span className="icon">download</span> Export
+            </button>
+            <button
+              className="button"
+              onClick={() => importInput.current?.click()}
+              title="Import an exported agent or a character card (JSON or PNG)"
+            >
+              <span className="icon">upload</span> Import
+            </button>
+            <input
+              ref={importInput}
+              type="file"
+              accept="application/json,.json,image/png,.png"
+              hidden
+              onChange={e => {
+                const file = e.target.files?.[0];
+                if (file) onImportFile(file);
+                e.target.value = '';
+              }}
+            />
+          </div>
+          {importError && (
+            <p className="agentCardError" role="alert">
+              {importError}
+            </p>
+          )}
         </div>
       </div>
     </Modal>
@@ -0,0 +1,127 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useRef, useState } from 'react';
+import Avatar from './demo/avatar/Avatar';
+import { AVATAR_TYPES, AvatarType, SPRITE_FRAMES } from '@/lib/avatars';
+import { Agent } from '@/lib/presets/agents';
+import { useAgent } from '@/lib/state';
+
+/**
+ * Chooses how an agent is drawn, with a preview of the avatar.
+ */
+export default function AvatarPicker({ agent }: { agent: Agent }) {
+  const updateAgent = useAgent(state => state.update);
+  const uploadInput = useRef<HTMLInputElement>(null);
+  const avatar = agent.avatar ?? { type: 'basic' };
+  const [loadError, setLoadError] = useState<string | null>(null);
+
+  // A new source is shown without the error of the previous one
+  const source =
+    avatar.type === 'sprite'
+      ? avatar.src
+      : avatar.type === 'rig'
+        ? avatar.manifest
+        : undefined;
+  useEffect(() => setLoadError(null), [avatar.type, source]);
+
+  function onUploadFile(file: File) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      updateAgent(agent.id, {
+        avatar: { type: 'sprite', src: reader.result as string },
+      });
+    };
+    reader.onerror = () => {
+      console.error('Could not read sprite sheet:', reader.error);
+    };
+    reader.readAsDataURL(file);
+  }
+
+  return (
+    <div className="avatarPicker">
+      <div className="agentPreview">
+        <Avatar
+          agent={agent}
+          radius={130}
+          onError={e => setLoadError(e?.message ?? null)}
+        />
+      </div>
+      <div className="voicePicker">
+        Avatar
+        <select
+          value={avatar.type}
+          onChange={e =>
+            updateAgent(agent.id, {
+              avatar: { type: e.target.value as AvatarType },
+            })
+          }
+        >
+          {Object.entries(AVATAR_TYPES).map(([type, label]) => (
+            <option key={type} value={type}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {avatar.type === 'sprite' && (
+        <div className="avatarSource">
+          <input
+            type="url"
+            placeholder={
+              avatar.src?.startsWith('data:')
+                ? 'Uploaded image'
+                : 'Sprite sheet URL, empty for the built-in one'
+            }
+            title={`One row of square frames: ${SPRITE_FRAMES.join(', ')}`}
+            value={avatar.src?.startsWith('data:') ? '' : avatar.src || ''}
+            onChange={e =>
+              updateAgent(agent.id, {
+                avatar: { type: 'sprite', src: e.target.value || undefined },
+              })
+            }
+          />
+          <button
+            className="button"
+            onClick={() => uploadInput.current?.click()}
+            title="Use an image file as the sprite sheet"
+          >
+            <span className="icon">upload</span>
+          </button>
+          <input
+            ref={uploadInput}
+            type="file"
+            accept="image/*"
+            hidden
+            onChange={e => {
+              const file = e.target.files?.[0];
+              if (file) onUploadFile(file);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      )}
+      {avatar.type === 'rig' && (
+        <div className="avatarSource">
+          <input
+            type="url"
+            placeholder="Rig manifest URL, empty for the built-in one"
+            value={avatar.manifest || ''}
+            onChange={e =>
+              updateAgent(agent.id, {
+                avatar: { type: 'rig', manifest: e.target.value || undefined },
+              })
+            }
+          />
+        </div>
+      )}
+      {loadError && (
+        <p className="avatarError" role="alert">
+          {loadError}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import Modal from './Modal';
+import { useLiveAPIContext } from '@/contexts/LiveAPIContext';
+import { useAgent, useHistory, useUI, useUser } from '@/lib/state';
+import { formatDate } from '@/lib/utils';
+import c from 'classnames';
+import { useState } from 'react';
+
+export default function ConversationHistory() {
+  const { setShowHistory } = useUI();
+  const { current } = useAgent();
+  const user = useUser();
+  const { disconnect } = useLiveAPIContext();
+  const {
+    sessions,
+    activeSessionIds,
+    contextWindow,
+    startSession,
+    continueSession,
+    deleteSession,
+    clearSessions,
+    setContextWindow,
+  } = useHistory();
+  const [expanded, setExpanded] = useState<string | null>(null);
+
+  const agentSessions = sessions
+    .filter(s => s.agentId === current.id)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+  const activeId = activeSessionIds[current.id];
+
+  // Switching conversations starts a new Live session with the new context
+  function continueConversation(sessionId: string) {
+    disconnect();
+    continueSession(current.id, sessionId);
+    setShowHistory(false);
+  }
+
+  function newConversation() {
+    disconnect();
+    startSession(current.id);
+    setShowHistory(false);
+  }
+
+  return (
+    <Modal onClose={() => setShowHistory(false)}>
+      <div className="conversationHistory">
+        <h2>Conversations with {current.name}</h2>
+
+        <div className="historyActions">
+          <button className="button primary" onClick={newConversation}>
+            <span className="icon">add</span> New conversation
+          </button>
+          <button
+            className="button clearHistoryButton"
+            disabled={!agentSessions.length}
+            onClick={() => {
+              if (confirm(`Delete all conversations with ${current.name}?`)) {
+                clearSessions(current.id);
+              }
+            }}
+          >
+            <span className="icon">delete_sweep</span> Clear all
+          </button>
+        </div>
+
+        <label className="contextWindow">
+          Turns remembered when reconnecting
+          <input
+            type="number"
+            min={0}
+            max={200}
+            value={contextWindow}
+            onChange={e =>
+              setContextWindow(Math.max(0, Number(e.target.value) || 0))
+            }
+          />
+        </label>
+
+        {agentSessions.length ? (
+          <ul className="sessionList">
+            {agentSessions.map(session => (
+              <li
+                key={session.id}
+                className={c({ active: session.id === activeId })}
+              >
+                <div className="sessionSummary">
+                  <button
+                    onClick={() =>
+                      setExpanded(expanded === session.id ? null : session.id)
+                    }
+                  >
+                    <span className="icon">
+                      {expanded === session.id ? 'expand_less' : 'expand_more'}
+                    </span>
+                    {formatDate(session.startedAt)}
+                    <span className="turnCount">
+                      {session.turns.length} turns
+                    </span>
+                  </button>
+                  {session.id === activeId ? (
+                    <span className="activeLabel">Current</span>
+                  ) : (
+                    <button
+                      className="button"
+                      onClick={() => continueConversation(session.id)}
+                    >
+                      Continue
+                    </button>
+                  )}
+                  <button
+                    className="deleteSessionButton"
+                    onClick={() => deleteSession(session.id)}
+                  >
+                    <span className="icon">delete</span>
+                  </button>
+                </div>
+
+                {expanded === session.id && (
+                  <ol className="transcript">
+                    {session.turns.map((turn, i) => (
+                      <li key={i} className={turn.role}>
+                        <strong>
+                          {turn.role === 'user'
+                            ? user.name || 'You'
+                            : current.name}
+                        </strong>
+                        {turn.text}
+                        {turn.interrupted && (
+                          <span className="interrupted"> (interrupted)</span>
+                        )}
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p>No conversations with {current.name} yet.</p>
+        )}
+      </div>
+    </Modal>
+  );
+}
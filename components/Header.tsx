@@ -4,15 +4,24 @@
 */
 import { useLiveAPIContext } from '@/contexts/LiveAPIContext';
 import { Agent, createNewAgent } from '@/lib/presets/agents';
-import { useAgent, useUI, useUser } from '@/lib/state';
+import { useAgent, useRoundTable, useUI, useUser } from '@/lib/state';
 import c from 'classnames';
 import { useEffect, useState } from 'react';
 
 export default function Header() {
-  const { showUserConfig, setShowUserConfig, setShowAgentEdit } = useUI();
+  const {
+    showUserConfig,
+    setShowUserConfig,
+    setShowAgentEdit,
+    setShowHistory,
+    setShowRoundTableSetup,
+    showTranscript,
+    setShowTranscript,
+  } = useUI();
   const { name } = useUser();
   const { current, setCurrent, availablePresets, availablePersonal, addAgent } =
     useAgent();
+  const { active: roundTable, setActive: setRoundTable } = useRoundTable();
   const { disconnect } = useLiveAPIContext();
 
   let [showRoomList, setShowRoomList] = useState(false);
@@ -24,11 +33,13 @@ export default function Header() {
 
   function changeAgent(agent: Agent | string) {
     disconnect();
+    setRoundTable(false);
     setCurrent(agent);
   }
 
   function addNewChatterBot() {
     disconnect();
+    setRoundTable(false);
     addAgent(createNewAgent());
     setShowAgentEdit(true);
   }
@@ -44,7 +55,7 @@ export default function Header() {
             }}
           >
             <h1 className={c({ active: showRoomList })}>
-              {current.name}
+              {roundTable ? 'Round table' : current.name}
               <span className="icon">arrow_drop_down</span>
             </h1>
           </button>
@@ -55,6 +66,27 @@ export default function Header() {
           >
             <span className="icon">edit</span> Edit ChatterBot
           </button>
+
+          <button
+            onClick={() => setShowHistory(true)}
+            className="button createButton"
+          >
+            <span className="icon">history</span> History
+          </button>
+
+          <button
+            onClick={() => setShowRoundTableSetup(true)}
+            className="button createButton"
+          >
+            <span className="icon">groups</span> Round table
+          </button>
+
+          <button
+            onClick={() => setShowTranscript(!showTranscript)}
+            className="button createButton"
+          >
+            <span className="icon">subject</span> Transcript
+          </button>
         </div>
 
         <div className={c('roomList', { active: showRoomList })}>
@@ -62,7 +94,7 @@ export default function Header() {
             <h3>Presets</h3>
             <ul>
               {availablePresets
-                .filter(agent => agent.id !== current.id)
+                .filter(agent => roundTable || agent.id !== current.id)
                 .map(agent => (
                   <li
                     key={agent.name}
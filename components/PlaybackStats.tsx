@@ -0,0 +1,42 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useState } from 'react';
+import { useLiveAPIContext } from '@/contexts/LiveAPIContext';
+import { PlaybackStats as Stats } from '@/lib/audio-streamer';
+
+const UPDATE_INTERVAL_MS = 250;
+
+/**
+ * Debug overlay with the playback statistics of the agent voice.
+ */
+export default function PlaybackStats() {
+  const { audioStreamer } = useLiveAPIContext();
+  const [stats, setStats] = useState<Stats | null>(null);
+
+  useEffect(() => {
+    if (!audioStreamer) return;
+    const update = () => setStats(audioStreamer.getStats());
+    update();
+    const interval = setInterval(update, UPDATE_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [audioStreamer]);
+
+  if (!stats) return null;
+
+  return (
+    <dl className="playbackStats">
+      <dt>Buffered</dt>
+      <dd>{Math.round(stats.bufferedMs)} ms</dd>
+      <dt>Target</dt>
+      <dd>{Math.round(stats.targetLatencyMs)} ms</dd>
+      <dt>Jitter</dt>
+      <dd>{Math.round(stats.jitterMs)} ms</dd>
+      <dt>Latency</dt>
+      <dd>{Math.round(stats.latencyMs)} ms</dd>
+      <dt>Underruns</dt>
+      <dd>{stats.underruns}</dd>
+    </dl>
+  );
+}
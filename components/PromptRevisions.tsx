@@ -0,0 +1,139 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useMemo, useState } from 'react';
+import c from 'classnames';
+import { Agent } from '@/lib/presets/agents';
+import { useAgent, useRevisions, useUI } from '@/lib/state';
+import { diffWords } from '@/lib/text-diff';
+import { formatDate } from '@/lib/utils';
+
+function RevisionDiff({ before, after }: { before: string; after: string }) {
+  const parts = useMemo(() => diffWords(before, after), [before, after]);
+  return (
+    <p className="revisionDiff">
+      {parts.map((part, i) =>
+        part.type === 'added' ? (
+          <ins key={i}>{part.text}</ins>
+        ) : part.type === 'removed' ? (
+          <del key={i}>{part.text}</del>
+        ) : (
+          <span key={i}>{part.text}</span>
+        )
+      )}
+    </p>
+  );
+}
+
+/**
+ * Saved revisions of the personality of an agent, each of which can be
+ * compared with the current personality and restored.
+ */
+export default function PromptRevisions({ agent }: { agent: Agent }) {
+  const updateAgent = useAgent(state => state.update);
+  const { revisions, saveRevision, deleteRevision } = useRevisions();
+  const { setShowAbTest } = useUI();
+  const [label, setLabel] = useState('');
+  const [compared, setCompared] = useState<string | null>(null);
+
+  const agentRevisions = revisions
+    .filter(r => r.agentId === agent.id)
+    .sort((a, b) => b.savedAt - a.savedAt);
+  const saved = agentRevisions.some(r => r.personality === agent.personality);
+
+  function save() {
+    saveRevision(agent, label.trim() || undefined);
+    setLabel('');
+  }
+
+  function restore(personality: string) {
+    // Unsaved edits are kept as a revision, so restoring can be undone
+    if (!saved) saveRevision(agent, 'Before restoring');
+    updateAgent(agent.id, { personality });
+    setCompared(null);
+  }
+
+  return (
+    <div className="promptRevisions">
+      <div className="revisionActions">
+        <input
+          type="text"
+          placeholder="Label this revision"
+          value={label}
+          onChange={e => setLabel(e.target.value)}
+        />
+        <button
+          type="button"
+          className="button"
+          disabled={saved && !label.trim()}
+          onClick={save}
+        >
+          <span className="icon">bookmark_add</span> Save revision
+        </button>
+        <button
+          type="button"
+          className="button"
+          onClick={() => setShowAbTest(true)}
+          title="Compare the replies of two revisions or agents"
+        >
+          <span className="icon">compare</span> A/B test
+        </button>
+      </div>
+
+      {agentRevisions.length > 0 && (
+        <ul className="revisionList">
+          {agentRevisions.map(revision => {
+            const current = revision.personality === agent.personality;
+            return (
+              <li key={revision.id} className={c({ active: current })}>
+                <div className="revisionSummary">
+                  <button
+                    type="button"
+                    disabled={current}
+                    onClick={() =>
+                      setCompared(compared === revision.id ? null : revision.id)
+                    }
+                    title="Show the changes since this revision"
+                  >
+                    <span className="icon">
+                      {compared === revision.id ? 'expand_less' : 'difference'}
+                    </span>
+                    {formatDate(revision.savedAt)}
+                    {revision.label && (
+                      <span className="revisionLabel">{revision.label}</span>
+                    )}
+                  </button>
+                  {current ? (
+                    <span className="activeLabel">Current</span>
+                  ) : (
+                    <button
+                      type="button"
+                      className="button"
+                      onClick={() => restore(revision.personality)}
+                    >
+                      Restore
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    className="deleteSessionButton"
+                    onClick={() => deleteRevision(revision.id)}
+                  >
+                    <span className="icon">delete</span>
+                  </button>
+                </div>
+                {compared === revision.id && !current && (
+                  <RevisionDiff
+                    before={revision.personality}
+                    after={agent.personality}
+                  />
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
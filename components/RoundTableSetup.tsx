@@ -0,0 +1,79 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import Modal from './Modal';
+import { useLiveAPIContext } from '@/contexts/LiveAPIContext';
+import { MAX_ROUND_TABLE_SIZE, MIN_ROUND_TABLE_SIZE } from '@/lib/round-table';
+import { useAgent, useRoundTable, useUI } from '@/lib/state';
+
+export default function RoundTableSetup() {
+  const { setShowRoundTableSetup } = useUI();
+  const { availablePresets, availablePersonal } = useAgent();
+  const { active, setActive, agentIds, toggleAgent } = useRoundTable();
+  const { disconnect } = useLiveAPIContext();
+  const full = agentIds.length >= MAX_ROUND_TABLE_SIZE;
+
+  function start() {
+    // The agents take over from the session of the current agent
+    disconnect();
+    setActive(true);
+    setShowRoundTableSetup(false);
+  }
+
+  function leave() {
+    setActive(false);
+    setShowRoundTableSetup(false);
+  }
+
+  return (
+    <Modal onClose={() => setShowRoundTableSetup(false)}>
+      <div className="roundTableSetup">
+        <h2>Round table</h2>
+        <p>
+          Seat {MIN_ROUND_TABLE_SIZE} to {MAX_ROUND_TABLE_SIZE} ChatterBots at
+          the table. They take turns and hear each other, and you can address
+          one of them by name.
+        </p>
+        <ul>
+          {[...availablePresets, ...availablePersonal].map(agent => {
+            const seated = agentIds.includes(agent.id);
+            return (
+              <li key={agent.id}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={seated}
+                    disabled={!seated && full}
+                    onChange={() => toggleAgent(agent.id)}
+                  />
+                  {agent.name}
+                  {seated && (
+                    <span className="seatNumber">
+                      {agentIds.indexOf(agent.id) + 1}
+                    </span>
+                  )}
+                </label>
+              </li>
+            );
+          })}
+        </ul>
+        <div className="roundTableActions">
+          <button
+            className="button primary"
+            disabled={agentIds.length < MIN_ROUND_TABLE_SIZE}
+            onClick={start}
+          >
+            <span className="icon">groups</span>
+            {active ? 'Back to the table' : 'Take a seat'}
+          </button>
+          {active && (
+            <button className="button" onClick={leave}>
+              <span className="icon">person</span> Leave the table
+            </button>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,148 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  TranscriptEntry,
+  useAgent,
+  useTranscript,
+  useUI,
+  useUser,
+} from '@/lib/state';
+import {
+  downloadTranscript,
+  formatTranscriptTime,
+  splitMatches,
+  transcriptToMarkdown,
+} from '@/lib/transcript';
+
+export default function TranscriptPanel() {
+  const { setShowTranscript } = useUI();
+  const { entries, clear } = useTranscript();
+  const { availablePresets, availablePersonal } = useAgent();
+  const { name: userName } = useUser();
+  const [query, setQuery] = useState('');
+  const [copied, setCopied] = useState(false);
+  const listRef = useRef<HTMLOListElement>(null);
+
+  const agents = useMemo(
+    () =>
+      new Map([...availablePresets, ...availablePersonal].map(a => [a.id, a])),
+    [availablePresets, availablePersonal]
+  );
+  const getName = (entry: TranscriptEntry) =>
+    entry.role === 'user'
+      ? userName || 'You'
+      : agents.get(entry.agentId!)?.name || 'Agent';
+
+  const matches = query
+    ? entries.filter(entry =>
+        entry.text.toLowerCase().includes(query.toLowerCase())
+      )
+    : entries;
+
+  // Follow the conversation, unless searching
+  const lastText = entries[entries.length - 1]?.text;
+  useEffect(() => {
+    if (query) return;
+    listRef.current?.scrollTo({ top: listRef.current.scrollHeight });
+  }, [entries.length, lastText, query]);
+
+  async function copyMarkdown() {
+    try {
+      await navigator.clipboard.writeText(
+        transcriptToMarkdown(entries, getName)
+      );
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (e) {
+      console.error('Could not copy transcript:', e);
+    }
+  }
+
+  return (
+    <aside className="transcriptPanel">
+      <div className="transcriptHeader">
+        <h2>Transcript</h2>
+        <button
+          onClick={() => setShowTranscript(false)}
+          title="Collapse transcript"
+        >
+          <span className="icon">right_panel_close</span>
+        </button>
+      </div>
+
+      <input
+        type="search"
+        placeholder="Search this session"
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+      />
+      {query && (
+        <p className="transcriptMatches">
+          {matches.length} of {entries.length} turns
+        </p>
+      )}
+
+      <ol ref={listRef}>
+        {matches.map(entry => {
+          const color =
+            entry.role === 'agent'
+              ? agents.get(entry.agentId!)?.bodyColor
+              : undefined;
+          return (
+            <li key={entry.id} className={entry.role}>
+              <div className="transcriptSpeaker">
+                <span style={{ color }}>{getName(entry)}</span>
+                <time dateTime={new Date(entry.timestamp).toISOString()}>
+                  {formatTranscriptTime(entry.timestamp)}
+                </time>
+              </div>
+              <p>
+                {splitMatches(entry.text, query).map((part, i) =>
+                  i % 2 ? <mark key={i}>{part}</mark> : part
+                )}
+                {!entry.final && <span className="transcriptTyping">…</span>}
+              </p>
+              {entry.interrupted && (
+                <span className="transcriptInterrupted">
+                  <span className="icon">block</span> Interrupted
+                </span>
+              )}
+            </li>
+          );
+        })}
+        {!entries.length && (
+          <li className="transcriptEmpty">Nothing has been said yet.</li>
+        )}
+      </ol>
+
+      <div className="transcriptActions">
+        <button
+          className="button"
+          disabled={!entries.length}
+          onClick={copyMarkdown}
+        >
+          <span className="icon">{copied ? 'check' : 'content_copy'}</span>
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+        <button
+          className="button"
+          disabled={!entries.length}
+          onClick={() =>
+            downloadTranscript(
+              transcriptToMarkdown(entries, getName),
+              entries[0].timestamp
+            )
+          }
+        >
+          <span className="icon">download</span> Markdown
+        </button>
+        <button className="button" disabled={!entries.length} onClick={clear}>
+          <span className="icon">delete</span> Clear
+        </button>
+      </div>
+    </aside>
+  );
+}
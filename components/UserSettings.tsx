@@ -2,12 +2,70 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
+import { useState } from 'react';
 import Modal from './Modal';
-import { useUI, useUser } from '@/lib/state';
+import {
+  resolveDeviceId,
+  useAudioDevices,
+} from '@/hooks/media/use-audio-devices';
+import { useMicLevel } from '@/hooks/media/use-mic-level';
+import {
+  AudioExportFormat,
+  AudioExportTracks,
+  canEncodeOpus,
+} from '@/lib/audio-export';
+import { canSelectOutputDevice } from '@/lib/audio-streamer';
+import { BargeInAction } from '@/lib/barge-in';
+import {
+  useAudioSettings,
+  useUI,
+  useUser,
+  useVideoSettings,
+} from '@/lib/state';
+
+const FRAME_RATES = [0.5, 1, 2, 5];
+const RESOLUTIONS = [320, 640, 1024];
+// Scales the RMS microphone level to the width of the level meter
+const MIC_LEVEL_SCALE = 5;
+
+// Devices to offer besides the system default, which is listed separately
+function deviceOptions(devices: MediaDeviceInfo[], fallbackLabel: string) {
+  return devices
+    .filter(d => d.deviceId && d.deviceId !== 'default')
+    .map((d, i) => (
+      <option key={d.deviceId} value={d.deviceId}>
+        {d.label || `${fallbackLabel} ${i + 1}`}
+      </option>
+    ));
+}
 
 export default function UserSettings() {
   const { name, info, setName, setInfo } = useUser();
-  const { setShowUserConfig } = useUI();
+  const { setShowUserConfig, showPlaybackStats, setShowPlaybackStats } =
+    useUI();
+  const { frameRate, maxResolution, setFrameRate, setMaxResolution } =
+    useVideoSettings();
+  const {
+    recordingFormat,
+    recordingTracks,
+    setRecordingFormat,
+    setRecordingTracks,
+    bargeInAction,
+    setBargeInAction,
+    inputDeviceId,
+    outputDeviceId,
+    setInputDeviceId,
+    setOutputDeviceId,
+  } = useAudioSettings();
+  const { inputs, outputs, refresh } = useAudioDevices();
+  // The microphone is only opened for the level preview while the device
+  // section is expanded
+  const [showDevices, setShowDevices] = useState(false);
+  const micLevel = useMicLevel(
+    resolveDeviceId(inputs, inputDeviceId),
+    showDevices,
+    refresh
+  );
 
   function updateClient() {
     setShowUserConfig(false);
@@ -50,6 +108,136 @@ export default function UserSettings() {
             />
           </div>
 
+          <details
+            className="mediaSettings"
+            onToggle={e => setShowDevices(e.currentTarget.open)}
+          >
+            <summary>Microphone and speakers</summary>
+            <div>
+              <label>
+                Microphone
+                <select
+                  value={resolveDeviceId(inputs, inputDeviceId)}
+                  onChange={e => setInputDeviceId(e.target.value)}
+                >
+                  <option value="">System default</option>
+                  {deviceOptions(inputs, 'Microphone')}
+                </select>
+                <span className="micLevel">
+                  <span
+                    style={{
+                      transform: `scaleX(${Math.min(1, micLevel * MIC_LEVEL_SCALE)})`,
+                    }}
+                  />
+                </span>
+              </label>
+              <label>
+                Speakers
+                <select
+                  value={resolveDeviceId(outputs, outputDeviceId)}
+                  onChange={e => setOutputDeviceId(e.target.value)}
+                  disabled={!canSelectOutputDevice()}
+                >
+                  <option value="">System default</option>
+                  {deviceOptions(outputs, 'Speakers')}
+                </select>
+              </label>
+              <label className="checkbox">
+                <input
+                  type="checkbox"
+                  checked={showPlaybackStats}
+                  onChange={e => setShowPlaybackStats(e.target.checked)}
+                />
+                Show playback statistics
+              </label>
+            </div>
+          </details>
+
+          <details className="mediaSettings">
+            <summary>Camera and screen sharing</summary>
+            <div>
+              <label>
+                Frames per second
+                <select
+                  value={frameRate}
+                  onChange={e => setFrameRate(Number(e.target.value))}
+                >
+                  {FRAME_RATES.map(rate => (
+                    <option key={rate} value={rate}>
+                      {rate}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Resolution
+                <select
+                  value={maxResolution}
+                  onChange={e => setMaxResolution(Number(e.target.value))}
+                >
+                  {RESOLUTIONS.map(size => (
+                    <option key={size} value={size}>
+                      Up to {size}px
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </details>
+
+          <details className="mediaSettings">
+            <summary>Interruptions</summary>
+            <div>
+              <label>
+                When you talk over the ChatterBot
+                <select
+                  value={bargeInAction}
+                  onChange={e =>
+                    setBargeInAction(e.target.value as BargeInAction)
+                  }
+                >
+                  <option value="duck">Lower its voice right away</option>
+                  <option value="stop">Stop it right away</option>
+                  <option value="off">Wait for the server to notice</option>
+                </select>
+              </label>
+            </div>
+          </details>
+
+          <details className="mediaSettings">
+            <summary>Conversation recordings</summary>
+            <div>
+              <label>
+                Format
+                <select
+                  value={recordingFormat}
+                  onChange={e =>
+                    setRecordingFormat(e.target.value as AudioExportFormat)
+                  }
+                >
+                  <option value="wav">WAV</option>
+                  <option value="opus" disabled={!canEncodeOpus()}>
+                    Opus (compressed)
+                  </option>
+                </select>
+              </label>
+              <label>
+                Tracks
+                <select
+                  value={recordingTracks}
+                  onChange={e =>
+                    setRecordingTracks(e.target.value as AudioExportTracks)
+                  }
+                >
+                  <option value="mixed">Mixed into one track</option>
+                  <option value="separate">
+                    Separate (you left, ChatterBot right)
+                  </option>
+                </select>
+              </label>
+            </div>
+          </details>
+
           <button className="button primary">Let’s go!</button>
         </form>
       </div>
@@ -20,23 +20,248 @@
 
 import cn from 'classnames';
 
-import { memo, ReactNode, useEffect, useRef, useState } from 'react';
-import { AudioRecorder } from '../../../lib/audio-recorder';
+import {
+  FormEvent,
+  memo,
+  ReactNode,
+  RefObject,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from 'react';
+import { AudioInputGate, InputMode } from '../../../lib/audio-input-gate';
 
 import { useLiveAPIContext } from '../../../contexts/LiveAPIContext';
-import { useUI } from '@/lib/state';
+import { UseMediaStreamResult } from '../../../hooks/media/media-stream';
+import { useScreenCapture } from '../../../hooks/media/use-screen-capture';
+import { useWebcam } from '../../../hooks/media/use-webcam';
+import {
+  useAgent,
+  useAudioSettings,
+  useHistory,
+  useTranscript,
+  useUI,
+  useUser,
+  useVideoSettings,
+} from '@/lib/state';
+import { downloadConversation } from '../../../lib/audio-export';
+import { ConversationRecorder } from '../../../lib/conversation-recorder';
+import {
+  downloadRecording,
+  parseRecording,
+} from '../../../lib/session-recording';
+import { captureVideoFrame } from '../../../lib/video-frames';
 
 export type ControlTrayProps = {
   children?: ReactNode;
+  // Video element showing the local preview of the shared camera or screen
+  videoRef?: RefObject<HTMLVideoElement | null>;
+  onVideoStreamChange?: (stream: MediaStream | null) => void;
 };
 
-function ControlTray({ children }: ControlTrayProps) {
-  const [audioRecorder] = useState(() => new AudioRecorder());
+const INPUT_MODES: { mode: InputMode; icon: string; title: string }[] = [
+  { mode: 'always', icon: 'graphic_eq', title: 'Always listening' },
+  {
+    mode: 'push-to-talk',
+    icon: 'touch_app',
+    title: 'Push to talk: hold the mic button or Space',
+  },
+  {
+    mode: 'vad',
+    icon: 'hearing',
+    title: 'Voice activated: send audio only while speech is detected',
+  },
+];
+
+type MediaStreamButtonProps = {
+  isStreaming: boolean;
+  onIcon: string;
+  offIcon: string;
+  title: string;
+  disabled?: boolean;
+  start: () => void;
+  stop: () => void;
+};
+
+/**
+ * Button toggling a video stream on and off
+ */
+const MediaStreamButton = memo(
+  ({
+    isStreaming,
+    onIcon,
+    offIcon,
+    title,
+    disabled,
+    start,
+    stop,
+  }: MediaStreamButtonProps) => (
+    <button
+      className={cn('action-button', { streaming: isStreaming })}
+      onClick={isStreaming ? stop : start}
+      disabled={disabled}
+      title={title}
+    >
+      <span className="material-symbols-outlined filled">
+        {isStreaming ? onIcon : offIcon}
+      </span>
+    </button>
+  )
+);
+
+function ControlTray({
+  children,
+  videoRef,
+  onVideoStreamChange = () => {},
+}: ControlTrayProps) {
+  const webcam = useWebcam();
+  const screenCapture = useScreenCapture();
+  const [activeVideoStream, setActiveVideoStream] =
+    useState<MediaStream | null>(null);
+  const renderCanvasRef = useRef<HTMLCanvasElement>(null);
+  const { frameRate, maxResolution } = useVideoSettings();
+
   const [muted, setMuted] = useState(false);
+  // Why the microphone could not be opened, e.g. the permission was denied
+  const [micError, setMicError] = useState<string | null>(null);
+  const [message, setMessage] = useState('');
+  const { inputMode, setInputMode, recordingFormat, recordingTracks } =
+    useAudioSettings();
+  const inputModeInfo = INPUT_MODES.find(m => m.mode === inputMode)!;
+  const audioGateRef = useRef<AudioInputGate | null>(null);
+  // Whether audio currently passes the push-to-talk or VAD gate
+  const [transmitting, setTransmitting] = useState(false);
+  const [recording, setRecording] = useState(false);
+  const [recordingAudio, setRecordingAudio] = useState(false);
   const connectButtonRef = useRef<HTMLButtonElement>(null);
+  const replayInputRef = useRef<HTMLInputElement>(null);
+  // Replays at the original timing, or four times as fast with Shift held
+  const replaySpeedRef = useRef(1);
+
+  const { showAgentEdit, showUserConfig, setShowTranscript } = useUI();
+  const {
+    client,
+    connected,
+    status,
+    connect,
+    disconnect,
+    recorder,
+    audioRecorder,
+    replaying,
+    startReplay,
+    stopReplay,
+  } = useLiveAPIContext();
+  const { name: userName } = useUser();
+  const agentName = useAgent(state => state.current.name);
+  const agentId = useAgent(state => state.current.id);
+  const textReplies = useAgent(
+    state => state.current.responseModality === 'text'
+  );
+  const updateAgent = useAgent(state => state.update);
+  const conversationRecorder = useMemo(
+    () => new ConversationRecorder(client),
+    [client]
+  );
+
+  async function toggleAudioRecording() {
+    if (!conversationRecorder.recording) {
+      conversationRecorder.start();
+      setRecordingAudio(true);
+      return;
+    }
+    setRecordingAudio(false);
+    try {
+      await downloadConversation(conversationRecorder.stop(), {
+        format: recordingFormat,
+        tracks: recordingTracks,
+        names: { user: userName || 'User', agent: agentName },
+      });
+    } catch (e) {
+      console.error('Could not export conversation:', e);
+    }
+  }
+
+  function toggleRecording() {
+    if (recorder.recording) {
+      downloadRecording(recorder.stop());
+    } else {
+      recorder.start();
+    }
+    setRecording(recorder.recording);
+  }
+
+  // Switches to the given video stream, stopping the other one, or stops
+  // sharing video altogether
+  async function changeStreams(next?: UseMediaStreamResult) {
+    let stream: MediaStream | null = null;
+    if (next) {
+      try {
+        stream = await next.start();
+      } catch (e) {
+        console.error(`Could not start ${next.type} video:`, e);
+        return;
+      }
+    }
+    setActiveVideoStream(stream);
+    onVideoStreamChange(stream);
+    [webcam, screenCapture]
+      .filter(source => source !== next)
+      .forEach(source => source.stop());
+  }
 
-  const { showAgentEdit, showUserConfig } = useUI();
-  const { client, connected, connect, disconnect } = useLiveAPIContext();
+  function cycleInputMode() {
+    const index = INPUT_MODES.findIndex(m => m.mode === inputMode);
+    setInputMode(INPUT_MODES[(index + 1) % INPUT_MODES.length].mode);
+    setMuted(false);
+  }
+
+  function startTalking() {
+    const gate = audioGateRef.current;
+    if (gate?.mode !== 'push-to-talk') return;
+    gate.openGate();
+    setTransmitting(true);
+  }
+
+  function stopTalking() {
+    const gate = audioGateRef.current;
+    if (gate?.mode !== 'push-to-talk') return;
+    gate.closeGate();
+    setTransmitting(false);
+  }
+
+  // Typed messages work without a microphone, and are recorded like the
+  // transcribed speech of the user
+  function sendMessage(e: FormEvent) {
+    e.preventDefault();
+    const text = message.trim();
+    if (!text || !connected) return;
+    client.send([{ text }], true);
+    useTranscript.getState().add({ role: 'user', text });
+    useHistory
+      .getState()
+      .addTurn(agentId, { role: 'user', text, timestamp: Date.now() });
+    setMessage('');
+  }
+
+  function toggleReplies() {
+    updateAgent(agentId, { responseModality: textReplies ? 'audio' : 'text' });
+  }
+
+  // Text replies are only shown in the transcript
+  useEffect(() => {
+    if (connected && textReplies) setShowTranscript(true);
+  }, [connected, textReplies]);
+
+  async function onReplayFile(file: File) {
+    try {
+      startReplay(parseRecording(await file.text()), {
+        speed: replaySpeedRef.current,
+      });
+    } catch (e) {
+      console.error('Could not load recording:', e);
+    }
+  }
 
   // Stop the current agent if the user is editing the agent or user config
   useEffect(() => {
@@ -51,39 +276,282 @@ function ControlTray({ children }: ControlTrayProps) {
     }
   }, [connected]);
 
+  // Release the camera or screen when the session ends, and drop the stream
+  // when sharing was stopped from outside the app
+  const sharing = webcam.isStreaming || screenCapture.isStreaming;
   useEffect(() => {
+    if (activeVideoStream && (!connected || !sharing)) {
+      changeStreams();
+    }
+  }, [connected, sharing, activeVideoStream]);
+
+  // Send frames of the shared video at the configured rate
+  useEffect(() => {
+    if (videoRef?.current) {
+      videoRef.current.srcObject = activeVideoStream;
+    }
+    if (!connected || !activeVideoStream) return;
+
+    const sendVideoFrame = () => {
+      const video = videoRef?.current;
+      const canvas = renderCanvasRef.current;
+      if (!video || !canvas) return;
+      const data = captureVideoFrame(video, canvas, maxResolution);
+      if (data) {
+        client.sendRealtimeInput([{ mimeType: 'image/jpeg', data }]);
+      }
+    };
+    const interval = window.setInterval(sendVideoFrame, 1000 / frameRate);
+    return () => clearInterval(interval);
+  }, [
+    connected,
+    activeVideoStream,
+    client,
+    videoRef,
+    frameRate,
+    maxResolution,
+  ]);
+
+  useEffect(() => {
+    const gate = new AudioInputGate(
+      client,
+      inputMode,
+      audioRecorder.sampleRate
+    );
+    audioGateRef.current = gate;
     const onData = (base64: string) => {
-      client.sendRealtimeInput([
-        {
-          mimeType: 'audio/pcm;rate=16000',
-          data: base64,
-        },
-      ]);
+      conversationRecorder.addInput(base64, audioRecorder.sampleRate);
+      gate.send(base64);
+    };
+    const onSpeechStart = () => {
+      if (inputMode !== 'vad') return;
+      gate.openGate();
+      setTransmitting(true);
     };
-    if (connected && !muted && audioRecorder) {
-      audioRecorder.on('data', onData).start();
+    const onSpeechEnd = () => {
+      if (inputMode !== 'vad') return;
+      gate.closeGate();
+      setTransmitting(false);
+    };
+    // A replay plays back a scripted session, which takes no microphone input
+    if (connected && !replaying && !muted && audioRecorder) {
+      audioRecorder
+        .on('data', onData)
+        .on('speechstart', onSpeechStart)
+        .on('speechend', onSpeechEnd)
+        .start()
+        .then(() => setMicError(null))
+        .catch(e => {
+          console.error('Error opening microphone:', e);
+          setMicError(
+            e?.name === 'NotAllowedError'
+              ? 'Microphone access was denied'
+              : 'No microphone available'
+          );
+        });
     } else {
       audioRecorder.stop();
     }
     return () => {
+      gate.closeGate();
+      setTransmitting(false);
+      audioGateRef.current = null;
       audioRecorder.off('data', onData);
+      audioRecorder.off('speechstart', onSpeechStart);
+      audioRecorder.off('speechend', onSpeechEnd);
     };
-  }, [connected, client, muted, audioRecorder]);
+  }, [
+    connected,
+    replaying,
+    client,
+    muted,
+    audioRecorder,
+    inputMode,
+    conversationRecorder,
+  ]);
+
+  // Hold Space to talk, unless typing into a field
+  useEffect(() => {
+    if (!connected || inputMode !== 'push-to-talk') return;
+    const isTyping = (e: KeyboardEvent) =>
+      e.target instanceof HTMLInputElement ||
+      e.target instanceof HTMLTextAreaElement;
+    const onKeyDown = (e: KeyboardEvent) => {
+      if (e.code !== 'Space' || isTyping(e)) return;
+      // Also keeps Space from activating the focused button
+      e.preventDefault();
+      if (!e.repeat) startTalking();
+    };
+    const onKeyUp = (e: KeyboardEvent) => {
+      if (e.code !== 'Space' || isTyping(e)) return;
+      e.preventDefault();
+      stopTalking();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    window.addEventListener('keyup', onKeyUp);
+    return () => {
+      window.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('keyup', onKeyUp);
+    };
+  }, [connected, inputMode]);
 
   return (
     <section className="control-tray">
+      <canvas style={{ display: 'none' }} ref={renderCanvasRef} />
       <nav className={cn('actions-nav', { disabled: !connected })}>
+        {inputMode === 'push-to-talk' ? (
+          <button
+            className={cn('action-button mic-button', { transmitting })}
+            onPointerDown={startTalking}
+            onPointerUp={stopTalking}
+            onPointerLeave={stopTalking}
+            title={micError ?? 'Hold to talk'}
+          >
+            <span className="material-symbols-outlined filled">
+              {micError ? 'mic_off' : transmitting ? 'mic' : 'mic_none'}
+            </span>
+          </button>
+        ) : (
+          <button
+            className={cn('action-button mic-button', { transmitting })}
+            onClick={() => setMuted(!muted)}
+            title={micError ? `${micError}, type instead` : undefined}
+          >
+            {!muted && !micError ? (
+              <span className="material-symbols-outlined filled">mic</span>
+            ) : (
+              <span className="material-symbols-outlined filled">mic_off</span>
+            )}
+          </button>
+        )}
+        <MediaStreamButton
+          isStreaming={screenCapture.isStreaming}
+          start={() => changeStreams(screenCapture)}
+          stop={() => changeStreams()}
+          onIcon="cancel_presentation"
+          offIcon="present_to_all"
+          title={
+            screenCapture.isStreaming ? 'Stop sharing screen' : 'Share screen'
+          }
+          disabled={!connected || replaying}
+        />
+        <MediaStreamButton
+          isStreaming={webcam.isStreaming}
+          start={() => changeStreams(webcam)}
+          stop={() => changeStreams()}
+          onIcon="videocam_off"
+          offIcon="videocam"
+          title={webcam.isStreaming ? 'Turn camera off' : 'Turn camera on'}
+          disabled={!connected || replaying}
+        />
+        {children}
+      </nav>
+
+      <form
+        className={cn('actions-nav text-composer', { disabled: !connected })}
+        onSubmit={sendMessage}
+      >
         <button
-          className={cn('action-button mic-button')}
-          onClick={() => setMuted(!muted)}
+          type="button"
+          className="action-button"
+          onClick={toggleReplies}
+          disabled={connected}
+          title={`${agentName} replies ${textReplies ? 'in text' : 'by voice'}${
+            connected ? ' (pause to change)' : ''
+          }`}
         >
-          {!muted ? (
-            <span className="material-symbols-outlined filled">mic</span>
-          ) : (
-            <span className="material-symbols-outlined filled">mic_off</span>
-          )}
+          <span className="material-symbols-outlined filled">
+            {textReplies ? 'chat' : 'record_voice_over'}
+          </span>
         </button>
-        {children}
+        <input
+          type="text"
+          placeholder={connected ? `Message ${agentName}` : 'Type a message'}
+          value={message}
+          onChange={e => setMessage(e.target.value)}
+          disabled={!connected || replaying}
+        />
+        <button
+          type="submit"
+          className="action-button"
+          disabled={!message.trim()}
+          title="Send"
+        >
+          <span className="material-symbols-outlined filled">send</span>
+        </button>
+      </form>
+
+      <nav className="actions-nav">
+        <button
+          className="action-button"
+          onClick={cycleInputMode}
+          disabled={connected}
+          title={
+            connected
+              ? `${inputModeInfo.title} (pause to change)`
+              : inputModeInfo.title
+          }
+        >
+          <span className="material-symbols-outlined filled">
+            {inputModeInfo.icon}
+          </span>
+        </button>
+        <button
+          className={cn('action-button', { recording: recordingAudio })}
+          onClick={toggleAudioRecording}
+          disabled={replaying}
+          title={
+            recordingAudio
+              ? 'Stop and save conversation audio'
+              : 'Record conversation audio'
+          }
+        >
+          <span className="material-symbols-outlined filled">
+            {recordingAudio ? 'stop_circle' : 'mic_external_on'}
+          </span>
+        </button>
+        <button
+          className={cn('action-button', { recording })}
+          onClick={toggleRecording}
+          disabled={replaying}
+          title={recording ? 'Stop and save recording' : 'Record session'}
+        >
+          <span className="material-symbols-outlined filled">
+            {recording ? 'stop_circle' : 'fiber_manual_record'}
+          </span>
+        </button>
+        <button
+          className={cn('action-button', { connected: replaying })}
+          onClick={e => {
+            if (replaying) {
+              stopReplay();
+            } else {
+              replaySpeedRef.current = e.shiftKey ? 4 : 1;
+              replayInputRef.current?.click();
+            }
+          }}
+          disabled={recording}
+          title={
+            replaying
+              ? 'Stop replay'
+              : 'Replay a recorded session (Shift: 4x speed)'
+          }
+        >
+          <span className="material-symbols-outlined filled">
+            {replaying ? 'stop' : 'replay'}
+          </span>
+        </button>
+        <input
+          ref={replayInputRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={e => {
+            const file = e.target.files?.[0];
+            if (file) onReplayFile(file);
+            e.target.value = '';
+          }}
+        />
       </nav>
 
       <div className={cn('connection-container', { connected })}>
@@ -92,13 +560,20 @@ function ControlTray({ children }: ControlTrayProps) {
             ref={connectButtonRef}
             className={cn('action-button connect-toggle', { connected })}
             onClick={connected ? disconnect : connect}
+            disabled={replaying}
           >
             <span className="material-symbols-outlined filled">
               {connected ? 'pause' : 'play_arrow'}
             </span>
           </button>
         </div>
-        <span className="text-indicator">Streaming</span>
+        <span className="text-indicator">
+          {replaying
+            ? 'Replaying'
+            : status === 'reconnecting'
+              ? 'Reconnecting…'
+              : 'Streaming'}
+        </span>
       </div>
     </section>
   );
@@ -0,0 +1,61 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { ComponentType } from 'react';
+import BasicFace from '../basic-face/BasicFace';
+import RigAvatar from './RigAvatar';
+import SpriteAvatar from './SpriteAvatar';
+import useAvatar from '@/hooks/demo/use-avatar';
+import { AvatarRendererProps, AvatarType } from '@/lib/avatars';
+import { Agent } from '@/lib/presets/agents';
+import { VisemeFrame } from '@/lib/visemes';
+
+/**
+ * The components drawing each type of avatar.
+ */
+export const AVATAR_RENDERERS: {
+  [T in AvatarType]: ComponentType<AvatarRendererProps<T>>;
+} = {
+  basic: BasicFace,
+  sprite: SpriteAvatar,
+  rig: RigAvatar,
+};
+
+type AvatarProps = {
+  agent: Agent;
+  /** Half the size of the avatar at a window of 1000 pixels. */
+  radius?: number;
+  /** Output volume, defaults to the one of the Live API session. */
+  volume?: number;
+  /** Mouth shape, defaults to the one of the Live API session. */
+  viseme?: VisemeFrame;
+  /** Called when the avatar could not be loaded, and with null once it has. */
+  onError?: (error: Error | null) => void;
+};
+
+/**
+ * Draws an agent with the renderer of its avatar, the face by default.
+ */
+export default function Avatar({
+  agent,
+  radius = 250,
+  volume,
+  viseme,
+  onError,
+}: AvatarProps) {
+  const { inputs, scale } = useAvatar({ agentId: agent.id, volume, viseme });
+  const config = agent.avatar ?? { type: 'basic' };
+  const Renderer = AVATAR_RENDERERS[
+    config.type
+  ] as ComponentType<AvatarRendererProps>;
+  return (
+    <Renderer
+      inputs={inputs}
+      size={radius * 2 * scale}
+      color={agent.bodyColor}
+      config={config}
+      onError={onError}
+    />
+  );
+}
@@ -0,0 +1,72 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useRef, useState } from 'react';
+import BasicFace from '../basic-face/BasicFace';
+import {
+  createDefaultRig,
+  LoadedRig,
+  loadRig,
+  renderRig,
+} from '@/lib/avatar-rig';
+import { AvatarRendererProps, getAvatarTransform } from '@/lib/avatars';
+
+/**
+ * A layered avatar loaded from the JSON manifest of a rig. The face is shown
+ * instead while the rig loads, or when it cannot be loaded.
+ */
+export default function RigAvatar({
+  inputs,
+  size,
+  color,
+  config,
+  onError,
+}: AvatarRendererProps<'rig'>) {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const [rig, setRig] = useState<LoadedRig | null>(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setRig(null);
+    loadRig(config.manifest || createDefaultRig(color), controller.signal)
+      .then(rig => {
+        if (controller.signal.aborted) return;
+        setRig(rig);
+        onError?.(null);
+      })
+      .catch(e => {
+        if (controller.signal.aborted) return;
+        console.error('Could not load avatar rig:', e);
+        onError?.(e instanceof Error ? e : new Error(String(e)));
+      });
+    return () => controller.abort();
+    // The error callback is not a reason to load the rig again
+  }, [config.manifest, color]);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext('2d');
+    if (ctx && rig) renderRig(ctx, rig, inputs);
+  }, [rig, inputs, size]);
+
+  if (!rig) {
+    return (
+      <BasicFace
+        inputs={inputs}
+        size={size}
+        color={color}
+        config={{ type: 'basic' }}
+      />
+    );
+  }
+
+  return (
+    <canvas
+      className="rig-avatar"
+      ref={canvasRef}
+      width={size}
+      height={(size * rig.height) / rig.width}
+      style={{ display: 'block', transform: getAvatarTransform(inputs) }}
+    />
+  );
+}
@@ -0,0 +1,67 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useMemo } from 'react';
+import {
+  AvatarRendererProps,
+  createSpriteSheet,
+  getAvatarTransform,
+  getPulseFilter,
+  getSpriteFrame,
+  SPRITE_FRAMES,
+} from '@/lib/avatars';
+
+/**
+ * An avatar showing the frame of a sprite sheet matching its eyes and mouth.
+ */
+export default function SpriteAvatar({
+  inputs,
+  size,
+  color,
+  config,
+  onError,
+}: AvatarRendererProps<'sprite'>) {
+  const src = useMemo(
+    () => config.src || createSpriteSheet(color),
+    [config.src, color]
+  );
+  // The sheet is a CSS background, which fails silently, so it is also
+  // loaded as an image to find out whether it can be shown
+  useEffect(() => {
+    let cancelled = false;
+    const image = new Image();
+    image.src = src;
+    image
+      .decode()
+      .then(() => !cancelled && onError?.(null))
+      .catch(() => {
+        if (!cancelled) {
+          const name = src.startsWith('data:') ? 'the uploaded image' : src;
+          onError?.(new Error(`Could not load the sprite sheet ${name}`));
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+    // The error callback is not a reason to load the sheet again
+  }, [src]);
+
+  const frame = SPRITE_FRAMES.indexOf(getSpriteFrame(inputs));
+
+  return (
+    <div
+      className="sprite-avatar"
+      role="img"
+      style={{
+        width: size,
+        height: size,
+        backgroundImage: `url("${src}")`,
+        backgroundSize: `${SPRITE_FRAMES.length * 100}% 100%`,
+        backgroundPosition: `${(frame / (SPRITE_FRAMES.length - 1)) * 100}% 0`,
+        transform: getAvatarTransform(inputs),
+        filter: getPulseFilter(inputs),
+      }}
+    />
+  );
+}
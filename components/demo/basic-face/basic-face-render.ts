@@ -2,11 +2,27 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
+import { FacePose, NEUTRAL_POSE } from '../../../lib/expressions';
+import { Viseme } from '../../../lib/visemes';
+
 type BasicFaceProps = {
   ctx: CanvasRenderingContext2D;
   mouthScale: number;
+  mouthShape?: Viseme;
   eyeScale: number;
   color?: string;
+  pose?: FacePose;
+};
+
+// Color of the cheeks when blushing
+const BLUSH_COLOR = '255, 105, 135';
+
+// Horizontal and vertical stretch of the mouth for each shape
+const MOUTH_STRETCH: Record<Viseme, [number, number]> = {
+  closed: [1, 1],
+  open: [1, 1],
+  wide: [1.25, 0.6],
+  round: [0.45, 1.1],
 };
 
 const eye = (
@@ -24,12 +40,51 @@ const eye = (
   ctx.fill();
 };
 
+// Lower lid of a squinting eye, drawn over it in the color of the face
+const lowerLid = (
+  ctx: CanvasRenderingContext2D,
+  pos: [number, number],
+  radius: number,
+  squint: number
+) => {
+  if (squint <= 0) return;
+  ctx.beginPath();
+  ctx.ellipse(
+    pos[0],
+    pos[1] + radius * (2.2 - 1.6 * squint),
+    radius * 1.6,
+    radius * 1.2,
+    0,
+    0,
+    Math.PI * 2
+  );
+  ctx.fill();
+};
+
+// Brow above an eye, `side` is -1 for the left and 1 for the right eye
+const brow = (
+  ctx: CanvasRenderingContext2D,
+  pos: [number, number],
+  radius: number,
+  side: number,
+  { browRaise, browTilt }: FacePose
+) => {
+  const y = pos[1] - radius * (2.2 + 0.8 * browRaise);
+  const tilt = radius * 0.6 * browTilt;
+  ctx.beginPath();
+  ctx.moveTo(pos[0] - side * radius * 1.1, y - tilt);
+  ctx.lineTo(pos[0] + side * radius * 1.1, y + tilt);
+  ctx.stroke();
+};
+
 export function renderBasicFace(props: BasicFaceProps) {
   const {
     ctx,
     eyeScale: eyesOpenness,
-    mouthScale: mouthOpenness,
+    mouthScale,
+    mouthShape = 'open',
     color,
+    pose = NEUTRAL_POSE,
   } = props;
   const { width, height } = ctx.canvas;
 
@@ -37,11 +92,18 @@ export function renderBasicFace(props: BasicFaceProps) {
   ctx.clearRect(0, 0, width, height);
 
   // Draw the background circle
-  ctx.fillStyle = color || 'white';
+  const faceColor = color || 'white';
+  ctx.fillStyle = faceColor;
   ctx.beginPath();
   ctx.arc(width / 2, height / 2, width / 2 - 20, 0, Math.PI * 2);
   ctx.fill();
 
+  // Pulse a color over the face
+  if (pose.pulse > 0) {
+    ctx.fillStyle = `rgba(${pose.pulseColor.join(', ')}, ${pose.pulse * 0.35})`;
+    ctx.fill();
+  }
+
   const eyesCenter = [width / 2, height / 2.425];
   const eyesOffset = width / 15;
   const eyeRadius = width / 30;
@@ -50,22 +112,92 @@ export function renderBasicFace(props: BasicFaceProps) {
     [eyesCenter[0] + eyesOffset, eyesCenter[1]],
   ];
 
+  // Draw the blush below the eyes
+  if (pose.blush > 0) {
+    ctx.fillStyle = `rgba(${BLUSH_COLOR}, ${pose.blush * 0.5})`;
+    eyesPosition.forEach(([x, y], i) => {
+      ctx.beginPath();
+      ctx.ellipse(
+        x + (i ? 1 : -1) * eyeRadius * 1.2,
+        y + eyeRadius * 3,
+        eyeRadius * 1.6,
+        eyeRadius,
+        0,
+        0,
+        Math.PI * 2
+      );
+      ctx.fill();
+    });
+  }
+
   // Draw the eyes
   ctx.fillStyle = 'black';
-  eye(ctx, eyesPosition[0], eyeRadius, eyesOpenness + 0.1);
-  eye(ctx, eyesPosition[1], eyeRadius, eyesOpenness + 0.1);
+  eye(ctx, eyesPosition[0], eyeRadius, (eyesOpenness + 0.1) * pose.eyeOpen);
+  eye(ctx, eyesPosition[1], eyeRadius, (eyesOpenness + 0.1) * pose.eyeOpen);
+  ctx.fillStyle = faceColor;
+  lowerLid(ctx, eyesPosition[0], eyeRadius, pose.eyeSquint);
+  lowerLid(ctx, eyesPosition[1], eyeRadius, pose.eyeSquint);
 
+  // Draw the brows, which only show when they move
+  const browStrength = Math.max(
+    Math.abs(pose.browRaise),
+    Math.abs(pose.browTilt)
+  );
+  if (browStrength > 0.01) {
+    ctx.save();
+    ctx.globalAlpha = Math.min(1, browStrength * 3);
+    ctx.strokeStyle = 'black';
+    ctx.lineWidth = eyeRadius * 0.45;
+    ctx.lineCap = 'round';
+    brow(ctx, eyesPosition[0], eyeRadius, -1, pose);
+    brow(ctx, eyesPosition[1], eyeRadius, 1, pose);
+    ctx.restore();
+  }
+
+  const mouthOpenness = mouthShape === 'closed' ? 0 : mouthScale;
+  // A flat mouth still shows as a thin line, a frown is the smile upside down
+  const mouthCurve =
+    (pose.mouthCurve < 0 ? -1 : 1) * Math.max(0.15, Math.abs(pose.mouthCurve));
+  const [stretchX, stretchY] = MOUTH_STRETCH[mouthShape];
   const mouthCenter = [width / 2, (height / 2.875) * 1.55];
-  const mouthExtent = [width / 10, (height / 5) * mouthOpenness + 10];
+  const mouthExtent = [
+    (width / 10) * stretchX,
+    ((height / 5) * mouthOpenness + 10) * stretchY,
+  ];
 
   // Draw the mouth
   ctx.save();
-  ctx.translate(mouthCenter[0], mouthCenter[1]);
-  ctx.scale(1, mouthOpenness + height * 0.002);
+  ctx.translate(
+    mouthCenter[0],
+    mouthCenter[1] + (mouthCurve < 0 ? mouthExtent[1] * -mouthCurve : 0)
+  );
+  ctx.scale(1, (mouthOpenness + height * 0.002) * mouthCurve);
   ctx.fillStyle = 'black';
   ctx.beginPath();
-  ctx.ellipse(0, 0, mouthExtent[0], mouthExtent[1], 0, 0, Math.PI, false);
-  ctx.ellipse(0, 0, mouthExtent[0], mouthExtent[1] * 0.45, 0, 0, Math.PI, true);
+  if (mouthShape === 'round') {
+    // An "o" instead of the smile
+    ctx.ellipse(
+      0,
+      mouthExtent[1] * 0.5,
+      mouthExtent[0],
+      mouthExtent[1] * 0.6,
+      0,
+      0,
+      Math.PI * 2
+    );
+  } else {
+    ctx.ellipse(0, 0, mouthExtent[0], mouthExtent[1], 0, 0, Math.PI, false);
+    ctx.ellipse(
+      0,
+      0,
+      mouthExtent[0],
+      mouthExtent[1] * 0.45,
+      0,
+      0,
+      Math.PI,
+      true
+    );
+  }
   ctx.fill();
   ctx.restore();
 }
@@ -2,57 +2,149 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
-import { useEffect, useRef } from 'react';
+import { useEffect } from 'react';
 import { Modality } from '@google/genai';
 
-import BasicFace from '../basic-face/BasicFace';
+import Avatar from '../avatar/Avatar';
 import { useLiveAPIContext } from '../../../contexts/LiveAPIContext';
-import { createSystemInstructions } from '@/lib/prompts';
-import { useAgent, useUser } from '@/lib/state';
+import { createSystemInstructions, fillUserPlaceholders } from '@/lib/prompts';
+import { useAgent, useAudioSettings, useHistory, useUser } from '@/lib/state';
+import useConversationHistory from '@/hooks/demo/use-conversation-history';
+import useLiveTranscript from '@/hooks/demo/use-live-transcript';
+import { SentimentExpressions } from '@/lib/expressions';
+import {
+  getAgentToolNames,
+  ToolDispatcher,
+  toolRegistry,
+} from '@/lib/tool-registry';
+
+/**
+ * The latest turns of the active conversation with an agent, as many as the
+ * context window holds.
+ */
+function getRecentTurns(agentId: string) {
+  const { sessions, activeSessionIds, contextWindow } = useHistory.getState();
+  const session = sessions.find(s => s.id === activeSessionIds[agentId]);
+  return session && contextWindow > 0
+    ? session.turns.slice(-contextWindow)
+    : [];
+}
 
 export default function KeynoteCompanion() {
-  const { client, connected, setConfig } = useLiveAPIContext();
-  const faceCanvasRef = useRef<HTMLCanvasElement>(null);
+  const { client, connected, setConfig, audioStreamer, setOutputMuted } =
+    useLiveAPIContext();
   const user = useUser();
   const { current } = useAgent();
+  const { inputMode } = useAudioSettings();
+  const sessionId = useHistory(state => state.activeSessionIds[current.id]);
+  const contextWindow = useHistory(state => state.contextWindow);
+
+  useConversationHistory(current.id);
+  useLiveTranscript(current.id);
 
-  // Set the configuration for the Live API
+  // Set the configuration for the Live API. The history is a snapshot taken
+  // whenever the connection opens or closes, so the next session starts with
+  // the turns so far without rebuilding the config after every turn.
   useEffect(() => {
+    const history = getRecentTurns(current.id);
+    const functionDeclarations = toolRegistry.getFunctionDeclarations(
+      getAgentToolNames(current.tools)
+    );
     setConfig({
+      // The native audio model only replies with audio, text replies are
+      // its transcription while the audio itself is muted
       responseModalities: [Modality.AUDIO],
       speechConfig: {
         voiceConfig: {
           prebuiltVoiceConfig: { voiceName: current.voice },
         },
       },
+      outputAudioTranscription: {},
       systemInstruction: {
         parts: [
           {
-            text: createSystemInstructions(current, user),
+            text: createSystemInstructions(current, user, history),
           },
         ],
       },
+      tools: functionDeclarations.length ? [{ functionDeclarations }] : [],
+      inputAudioTranscription: {},
+      // Speech is marked with explicit activity signals unless the server
+      // detects it in the continuous audio stream
+      ...(inputMode !== 'always' && {
+        realtimeInputConfig: { automaticActivityDetection: { disabled: true } },
+      }),
     });
-  }, [setConfig, user, current]);
+  }, [
+    setConfig,
+    user,
+    current,
+    sessionId,
+    contextWindow,
+    inputMode,
+    connected,
+  ]);
+
+  // Agents replying in text are read, not heard
+  const textReplies = current.responseModality === 'text';
+  useEffect(() => {
+    setOutputMuted(textReplies);
+    return () => setOutputMuted(false);
+  }, [setOutputMuted, textReplies]);
+
+  // Give the voice of the current agent its effects
+  useEffect(() => {
+    audioStreamer?.setEffects(current.effects || []).catch(err => {
+      console.error('Error applying voice effects:', err);
+    });
+  }, [audioStreamer, current.effects]);
+
+  // Answer the tool calls of the current agent
+  useEffect(() => {
+    const dispatcher = new ToolDispatcher(
+      client,
+      getAgentToolNames(current.tools),
+      current.id
+    ).attach();
+    return () => dispatcher.detach();
+  }, [client, current.tools, current.id]);
+
+  // Read the mood of the agent from what it says, unless it sets its
+  // expression itself
+  useEffect(() => {
+    const sentiment = new SentimentExpressions(client, current.id).attach();
+    return () => sentiment.detach();
+  }, [client, current.id]);
 
   // Initiate the session when the Live API connection is established
-  // Instruct the model to send an initial greeting message
+  // Instruct the model to send an initial greeting message, or to welcome the
+  // user back when continuing an earlier conversation. Agents with a greeting
+  // of their own, e.g. imported from a character card, open with it.
   useEffect(() => {
     const beginSession = async () => {
       if (!connected) return;
+      const resuming = getRecentTurns(current.id).length > 0;
       client.send(
         {
-          text: 'Greet the user and introduce yourself and your role.',
+          text: resuming
+            ? 'Welcome the user back and pick up the conversation where you left off.'
+            : current.greeting
+              ? `Greet the user with these words: ${fillUserPlaceholders(
+                  current.greeting,
+                  user
+                )}`
+              : 'Greet the user and introduce yourself and your role.',
         },
         true
       );
     };
     beginSession();
+    // Only greet once per connection, not whenever the history grows
   }, [client, connected]);
 
   return (
     <div className="keynote-companion">
-      <BasicFace canvasRef={faceCanvasRef!} color={current.bodyColor} />
+      <Avatar agent={current} />
     </div>
   );
 }
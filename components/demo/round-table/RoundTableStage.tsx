@@ -0,0 +1,107 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useMemo } from 'react';
+import cn from 'classnames';
+
+import Avatar from '../avatar/Avatar';
+import useRoundTableSession from '@/hooks/demo/use-round-table-session';
+import { Agent } from '@/lib/presets/agents';
+import { MIN_ROUND_TABLE_SIZE } from '@/lib/round-table';
+import { useAgent, useRoundTable, useUI } from '@/lib/state';
+import { SILENT_VISEME } from '@/lib/visemes';
+
+// Playback level above which the mouth of an agent opens
+const SPEAKING_LEVEL = 0.02;
+
+function Seat({ agent, level }: { agent: Agent; level: number }) {
+  const viseme = useMemo(
+    () => ({
+      ...SILENT_VISEME,
+      viseme: level > SPEAKING_LEVEL ? ('open' as const) : ('closed' as const),
+      level,
+    }),
+    [level]
+  );
+  return <Avatar agent={agent} radius={120} volume={level} viseme={viseme} />;
+}
+
+/**
+ * Puts the agents of the round table on stage, with controls to start the
+ * conversation and mute the microphone.
+ */
+export default function RoundTableStage() {
+  const agentIds = useRoundTable(state => state.agentIds);
+  const { availablePresets, availablePersonal } = useAgent();
+  const agents = useMemo(
+    () =>
+      agentIds
+        .map(id =>
+          [...availablePresets, ...availablePersonal].find(a => a.id === id)
+        )
+        .filter((agent): agent is Agent => !!agent),
+    [agentIds, availablePresets, availablePersonal]
+  );
+  const { showAgentEdit, showUserConfig, setShowRoundTableSetup } = useUI();
+  const { connected, connect, disconnect, muted, setMuted, floorId, levels } =
+    useRoundTableSession(agents);
+
+  // Leave the table while the agents or the user are edited
+  useEffect(() => {
+    if ((showAgentEdit || showUserConfig) && connected) disconnect();
+  }, [showAgentEdit, showUserConfig, connected, disconnect]);
+
+  if (agents.length < MIN_ROUND_TABLE_SIZE) {
+    return (
+      <div className="round-table">
+        <p>Seat at least {MIN_ROUND_TABLE_SIZE} ChatterBots at the table.</p>
+        <button className="button" onClick={() => setShowRoundTableSetup(true)}>
+          <span className="icon">groups</span> Choose ChatterBots
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="round-table">
+      <ul className="round-table-seats">
+        {agents.map(agent => (
+          <li
+            key={agent.id}
+            className={cn({ floor: connected && agent.id === floorId })}
+          >
+            <Seat agent={agent} level={levels[agent.id] ?? 0} />
+            <span>{agent.name}</span>
+          </li>
+        ))}
+      </ul>
+
+      <section className="control-tray">
+        <nav className={cn('actions-nav', { disabled: !connected })}>
+          <button
+            className="action-button mic-button"
+            onClick={() => setMuted(!muted)}
+          >
+            <span className="material-symbols-outlined filled">
+              {muted ? 'mic_off' : 'mic'}
+            </span>
+          </button>
+        </nav>
+        <div className={cn('connection-container', { connected })}>
+          <div className="connection-button-container">
+            <button
+              className={cn('action-button connect-toggle', { connected })}
+              onClick={connected ? disconnect : connect}
+            >
+              <span className="material-symbols-outlined filled">
+                {connected ? 'pause' : 'play_arrow'}
+              </span>
+            </button>
+          </div>
+          <span className="text-indicator">Streaming</span>
+        </div>
+      </section>
+    </div>
+  );
+}
@@ -26,13 +26,15 @@ const LiveAPIContext = createContext<UseLiveApiResults | undefined>(undefined);
 export type LiveAPIProviderProps = {
   children: ReactNode;
   apiKey: string;
+  url?: string;
 };
 
 export const LiveAPIProvider: FC<LiveAPIProviderProps> = ({
   apiKey,
+  url,
   children,
 }) => {
-  const liveAPI = useLiveApi({ apiKey });
+  const liveAPI = useLiveApi({ apiKey, url });
 
   return (
     <LiveAPIContext.Provider value={liveAPI}>
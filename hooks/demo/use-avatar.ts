@@ -0,0 +1,91 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useRef, useState } from 'react';
+import useExpression from './use-expression';
+import useFace from './use-face';
+import useHover from './use-hover';
+import useTilt from './use-tilt';
+import { useLiveAPIContext } from '../../contexts/LiveAPIContext';
+import { AvatarInputs } from '../../lib/avatars';
+import { VisemeFrame } from '../../lib/visemes';
+
+// Minimum volume level that indicates audio output is occurring
+const AUDIO_OUTPUT_DETECTION_THRESHOLD = 0.05;
+
+// Amount of delay between end of audio output and setting talking state to false
+const TALKING_STATE_COOLDOWN_MS = 2000;
+
+export type UseAvatarProps = {
+  /** The agent whose expression the avatar shows. */
+  agentId?: string;
+  /** Output volume, defaults to the one of the Live API session. */
+  volume?: number;
+  /** Mouth shape, defaults to the one of the Live API session. */
+  viseme?: VisemeFrame;
+};
+
+/**
+ * The inputs all avatar renderers draw from, and the scale of the avatar
+ * for the size of the window.
+ */
+export default function useAvatar({
+  agentId,
+  volume: volumeOverride,
+  viseme,
+}: UseAvatarProps = {}) {
+  const timeoutRef = useRef<NodeJS.Timeout>(null);
+
+  // Audio output volume
+  const liveAPI = useLiveAPIContext();
+  const volume = volumeOverride ?? liveAPI.volume;
+
+  // Talking state
+  const [isTalking, setIsTalking] = useState(false);
+
+  const [scale, setScale] = useState(1);
+
+  // Face state
+  const { eyeScale, mouthScale, mouthShape } = useFace(viseme);
+  const pose = useExpression(agentId);
+  const hover = useHover();
+  const tilt = useTilt({
+    maxAngle: 5,
+    speed: 0.075,
+    isActive: isTalking,
+  });
+
+  useEffect(() => {
+    function calculateScale() {
+      setScale(Math.min(window.innerWidth, window.innerHeight) / 1000);
+    }
+    window.addEventListener('resize', calculateScale);
+    calculateScale();
+    return () => window.removeEventListener('resize', calculateScale);
+  }, []);
+
+  // Detect whether the agent is talking based on audio output volume
+  // Set talking state when volume is detected
+  useEffect(() => {
+    if (volume > AUDIO_OUTPUT_DETECTION_THRESHOLD) {
+      setIsTalking(true);
+      if (timeoutRef.current) clearTimeout(timeoutRef.current);
+      // Enforce a slight delay between end of audio output and setting talking state to false
+      timeoutRef.current = setTimeout(
+        () => setIsTalking(false),
+        TALKING_STATE_COOLDOWN_MS
+      );
+    }
+  }, [volume]);
+
+  const inputs: AvatarInputs = {
+    eyeScale,
+    mouthScale,
+    mouthShape,
+    pose,
+    tilt,
+    hover,
+  };
+  return { inputs, scale };
+}
@@ -0,0 +1,61 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect } from 'react';
+import { useLiveAPIContext } from '@/contexts/LiveAPIContext';
+import { useHistory } from '@/lib/state';
+
+/**
+ * Records the turns of the live conversation into the active history session
+ * of the given agent. Replayed sessions are not recorded.
+ */
+export default function useConversationHistory(agentId: string) {
+  const { client, replaying } = useLiveAPIContext();
+
+  useEffect(() => {
+    if (replaying) return;
+
+    const { addTurn } = useHistory.getState();
+    // Input transcription arrives in chunks until the model starts answering
+    let userText = '';
+    let interrupted = false;
+
+    const flushUserTurn = () => {
+      const text = userText.trim();
+      userText = '';
+      if (text) addTurn(agentId, { role: 'user', text, timestamp: Date.now() });
+    };
+
+    const onInputTranscription = (text: string) => {
+      userText += text;
+    };
+
+    const onInterrupted = () => {
+      interrupted = true;
+    };
+
+    const onComplete = (text: string) => {
+      flushUserTurn();
+      if (text.trim()) {
+        addTurn(agentId, {
+          role: 'agent',
+          text: text.trim(),
+          timestamp: Date.now(),
+          ...(interrupted && { interrupted }),
+        });
+      }
+      interrupted = false;
+    };
+
+    client.on('inputtranscription', onInputTranscription);
+    client.on('interrupted', onInterrupted);
+    client.on('complete', onComplete);
+
+    return () => {
+      client.off('inputtranscription', onInputTranscription);
+      client.off('interrupted', onInterrupted);
+      client.off('complete', onComplete);
+    };
+  }, [client, replaying, agentId]);
+}
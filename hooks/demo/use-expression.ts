@@ -0,0 +1,110 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useRef, useState } from 'react';
+import {
+  blendPoses,
+  EXPRESSION_HOLD_MS,
+  FacePose,
+  getExpressionPose,
+  NEUTRAL_POSE,
+} from '../../lib/expressions';
+import { useExpressions } from '../../lib/state';
+
+// Time constant of the transition between expressions
+const TRANSITION_MS = 250;
+
+// Speed of the color pulse, in cycles per second
+const PULSE_FREQUENCY = 0.8;
+
+// Difference between two poses too small to be seen
+const SETTLED_DISTANCE = 0.002;
+
+// Largest difference between the features of two poses, leaving out the
+// pulse color, which is not seen without a pulse
+const getPoseDistance = (a: FacePose, b: FacePose) =>
+  Math.max(
+    Math.abs(a.browRaise - b.browRaise),
+    Math.abs(a.browTilt - b.browTilt),
+    Math.abs(a.eyeOpen - b.eyeOpen),
+    Math.abs(a.eyeSquint - b.eyeSquint),
+    Math.abs(a.mouthCurve - b.mouthCurve),
+    Math.abs(a.blush - b.blush),
+    Math.abs(a.pulse - b.pulse)
+  );
+
+/**
+ * The pose of the face of an agent, easing into its latest expression and
+ * back to neutral once the expression has been held for a while. The pulse
+ * of the returned pose is its current strength, so it changes every frame
+ * while an expression pulses. Once settled on a pose without a pulse, the
+ * pose is left as it is.
+ * @param agentId agent whose expression to show, neutral when unset
+ */
+export default function useExpression(agentId?: string) {
+  const state = useExpressions(s =>
+    agentId ? s.expressions[agentId] : undefined
+  );
+  const [pose, setPose] = useState<FacePose>(NEUTRAL_POSE);
+  const poseRef = useRef<FacePose>(NEUTRAL_POSE);
+
+  useEffect(() => {
+    let frameId = -1;
+    let holdTimer: ReturnType<typeof setTimeout> | undefined;
+    let last = performance.now();
+
+    function nextFrame() {
+      frameId = window.requestAnimationFrame(now => {
+        const holdLeft = state
+          ? EXPRESSION_HOLD_MS - (Date.now() - state.updatedAt)
+          : 0;
+        const target =
+          state && holdLeft > 0
+            ? getExpressionPose(state.expression, state.intensity)
+            : NEUTRAL_POSE;
+        poseRef.current = blendPoses(
+          poseRef.current,
+          target,
+          1 - Math.exp(-(now - last) / TRANSITION_MS)
+        );
+        last = now;
+
+        // A face settled on a pose without a pulse stays as it is until the
+        // expression changes or relaxes, so it is not redrawn every frame
+        if (
+          !target.pulse &&
+          getPoseDistance(poseRef.current, target) < SETTLED_DISTANCE
+        ) {
+          poseRef.current = target;
+          setPose(target);
+          if (holdLeft > 0) {
+            holdTimer = setTimeout(() => {
+              last = performance.now();
+              nextFrame();
+            }, holdLeft);
+          }
+          return;
+        }
+
+        const { pulse } = poseRef.current;
+        setPose({
+          ...poseRef.current,
+          pulse:
+            pulse *
+            (0.5 -
+              0.5 * Math.cos((now / 1000) * PULSE_FREQUENCY * Math.PI * 2)),
+        });
+        nextFrame();
+      });
+    }
+
+    nextFrame();
+    return () => {
+      window.cancelAnimationFrame(frameId);
+      clearTimeout(holdTimer);
+    };
+  }, [state]);
+
+  return pose;
+}
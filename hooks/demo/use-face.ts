@@ -4,12 +4,15 @@
 */
 import { useEffect, useRef, useState } from 'react';
 import { useLiveAPIContext } from '../../contexts/LiveAPIContext';
+import { Viseme, VisemeFrame } from '../../lib/visemes';
 
 export type FaceResults = {
   /** A value that represents how open the eyes are. */
   eyesScale: number;
   /** A value that represents how open the mouth is. */
   mouthScale: number;
+  /** The shape of the mouth for the sound being spoken. */
+  mouthShape: Viseme;
 };
 
 /*
@@ -87,9 +90,18 @@ export function useBlink({ speed }: BlinkProps) {
   return eyeScale;
 }
 
-export default function useFace() {
-  const { volume } = useLiveAPIContext();
+/**
+ * @param override mouth shape to show instead of the one of the Live API
+ * session
+ */
+export default function useFace(override?: VisemeFrame) {
+  const { viseme: sessionViseme } = useLiveAPIContext();
+  const viseme = override ?? sessionViseme;
   const eyeScale = useBlink({ speed: 0.0125 });
 
-  return { eyeScale, mouthScale: volume / 2 };
+  return {
+    eyeScale,
+    mouthScale: viseme.level / 2,
+    mouthShape: viseme.viseme,
+  };
 }
@@ -0,0 +1,65 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect } from 'react';
+import { useLiveAPIContext } from '@/contexts/LiveAPIContext';
+import { useTranscript } from '@/lib/state';
+
+/**
+ * Writes the live conversation with the given agent into the transcript as
+ * it is spoken, from the input transcription of the user and the output text
+ * or transcription of the agent.
+ */
+export default function useLiveTranscript(agentId: string) {
+  const { client } = useLiveAPIContext();
+
+  useEffect(() => {
+    const { append, finish } = useTranscript.getState();
+    // Text parts and the output transcription both carry what the agent
+    // says, whichever arrives first is used for the turn
+    let agentSource: 'text' | 'transcription' | null = null;
+
+    const appendAgent =
+      (source: NonNullable<typeof agentSource>) => (text: string) => {
+        agentSource ??= source;
+        if (agentSource !== source) return;
+        // The user is done talking once the agent answers
+        finish('user');
+        append('agent', agentId, text);
+      };
+    const onText = appendAgent('text');
+    const onOutputTranscription = appendAgent('transcription');
+
+    const onInputTranscription = (text: string) => {
+      append('user', undefined, text);
+    };
+
+    const onInterrupted = () => {
+      finish('agent', agentId, true);
+      agentSource = null;
+    };
+
+    const onTurnComplete = () => {
+      finish('user');
+      finish('agent', agentId);
+      agentSource = null;
+    };
+
+    client.on('text', onText);
+    client.on('outputtranscription', onOutputTranscription);
+    client.on('inputtranscription', onInputTranscription);
+    client.on('interrupted', onInterrupted);
+    client.on('turncomplete', onTurnComplete);
+
+    return () => {
+      client.off('text', onText);
+      client.off('outputtranscription', onOutputTranscription);
+      client.off('inputtranscription', onInputTranscription);
+      client.off('interrupted', onInterrupted);
+      client.off('turncomplete', onTurnComplete);
+      finish('user');
+      finish('agent', agentId);
+    };
+  }, [client, agentId]);
+}
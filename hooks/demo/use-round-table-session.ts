@@ -0,0 +1,220 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useCallback, useEffect, useState } from 'react';
+import { LiveConnectConfig, Modality } from '@google/genai';
+import { useLiveAPIContext } from '@/contexts/LiveAPIContext';
+import { AudioStreamer } from '@/lib/audio-streamer';
+import { SentimentExpressions } from '@/lib/expressions';
+import { Agent } from '@/lib/presets/agents';
+import { createRoundTableInstructions } from '@/lib/prompts';
+import {
+  MIN_ROUND_TABLE_SIZE,
+  RoundTable,
+  RoundTableMember,
+} from '@/lib/round-table';
+import { User, useTranscript, useUser } from '@/lib/state';
+import {
+  getAgentToolNames,
+  ToolDispatcher,
+  toolRegistry,
+} from '@/lib/tool-registry';
+
+// Smallest change of a playback level that is rendered
+const LEVEL_STEP = 0.01;
+
+function createConfig(
+  agent: Agent,
+  others: Agent[],
+  user: User
+): LiveConnectConfig {
+  const functionDeclarations = toolRegistry.getFunctionDeclarations(
+    getAgentToolNames(agent.tools)
+  );
+  return {
+    responseModalities: [Modality.AUDIO],
+    speechConfig: {
+      voiceConfig: {
+        prebuiltVoiceConfig: { voiceName: agent.voice },
+      },
+    },
+    systemInstruction: {
+      parts: [{ text: createRoundTableInstructions(agent, others, user) }],
+    },
+    tools: functionDeclarations.length ? [{ functionDeclarations }] : [],
+    inputAudioTranscription: {},
+    outputAudioTranscription: {},
+  };
+}
+
+/**
+ * Seats the agents at a round table, each with a Live API session, voice and
+ * tools of its own, and streams the microphone to the agent having the
+ * floor while connected.
+ */
+export default function useRoundTableSession(agents: Agent[]) {
+  const { createClient, audioStreamer, audioRecorder } = useLiveAPIContext();
+  const user = useUser();
+  const [table, setTable] = useState<{
+    roundTable: RoundTable;
+    members: RoundTableMember[];
+  } | null>(null);
+  const [connected, setConnected] = useState(false);
+  const [muted, setMuted] = useState(false);
+  const [floorId, setFloorId] = useState<string | null>(null);
+  // Playback level of every agent, by agent id
+  const [levels, setLevels] = useState<Record<string, number>>({});
+
+  // The agents play through the output context of the main session, so they
+  // use the chosen speakers as well
+  const context = audioStreamer?.context;
+  const userName = user.name || 'the user';
+  useEffect(() => {
+    if (!context || agents.length < MIN_ROUND_TABLE_SIZE) return;
+    const members = agents.map(agent => ({
+      agent,
+      client: createClient(),
+      streamer: new AudioStreamer(context),
+    }));
+    const dispatchers = members.map(({ agent, client }) =>
+      new ToolDispatcher(
+        client,
+        getAgentToolNames(agent.tools),
+        agent.id
+      ).attach()
+    );
+    const sentiments = members.map(({ agent, client }) =>
+      new SentimentExpressions(client, agent.id).attach()
+    );
+    members.forEach(({ agent, streamer }) => {
+      streamer.setEffects(agent.effects || []).catch(err => {
+        console.error('Error applying voice effects:', err);
+      });
+    });
+    const roundTable = new RoundTable(members, userName).attach();
+    roundTable.on('floor', setFloorId);
+    roundTable.on('turn', ({ agentId, text, interrupted }) => {
+      useTranscript.getState().add({
+        role: agentId ? 'agent' : 'user',
+        agentId,
+        text,
+        ...(interrupted && { interrupted }),
+      });
+    });
+    setFloorId(roundTable.floorId);
+
+    // The round table ends when one of the sessions does
+    const onClose = () => {
+      members.forEach(({ client, streamer }) => {
+        client.disconnect();
+        streamer.stop();
+      });
+      setConnected(false);
+    };
+    members.forEach(({ client }) => client.on('close', onClose));
+    setTable({ roundTable, members });
+
+    return () => {
+      roundTable.removeAllListeners();
+      roundTable.detach();
+      dispatchers.forEach(dispatcher => dispatcher.detach());
+      sentiments.forEach(sentiment => sentiment.detach());
+      members.forEach(({ client, streamer }) => {
+        client.off('close', onClose);
+        client.disconnect();
+        streamer.stop();
+        streamer.gainNode.disconnect();
+      });
+      setTable(null);
+      setConnected(false);
+      setFloorId(null);
+      setLevels({});
+    };
+  }, [agents, context, createClient, userName]);
+
+  const connect = useCallback(async () => {
+    if (!table) return;
+    const { roundTable, members } = table;
+    const opened = await Promise.all(
+      members.map(({ agent, client }) =>
+        client.connect(
+          createConfig(
+            agent,
+            agents.filter(other => other !== agent),
+            user
+          )
+        )
+      )
+    );
+    if (!opened.every(Boolean)) {
+      console.error('Could not connect all agents of the round table');
+      members.forEach(({ client }) => client.disconnect());
+      return;
+    }
+    setConnected(true);
+    roundTable.start();
+  }, [table, agents, user]);
+
+  const disconnect = useCallback(() => {
+    table?.members.forEach(({ client, streamer }) => {
+      client.disconnect();
+      streamer.stop();
+    });
+    setConnected(false);
+  }, [table]);
+
+  // Send the microphone to the agent having the floor
+  useEffect(() => {
+    if (!table || !connected || muted) return;
+    const onData = (base64: string) => {
+      table.roundTable.sendAudio(base64, audioRecorder.sampleRate);
+    };
+    audioRecorder
+      .on('data', onData)
+      .start()
+      .catch(err => {
+        console.error('Error opening microphone:', err);
+      });
+    return () => {
+      audioRecorder.off('data', onData);
+      audioRecorder.stop();
+    };
+  }, [table, connected, muted, audioRecorder]);
+
+  // Measure how loud each agent is speaking for its face
+  useEffect(() => {
+    if (!table || !connected) return;
+    let frameId = -1;
+    const update = () => {
+      setLevels(current => {
+        let changed = false;
+        const next: Record<string, number> = {};
+        table.members.forEach(({ agent, streamer }) => {
+          const level = streamer.getOutputLevel();
+          const previous = current[agent.id] ?? 0;
+          if (Math.abs(level - previous) < LEVEL_STEP) {
+            next[agent.id] = previous;
+          } else {
+            next[agent.id] = level;
+            changed = true;
+          }
+        });
+        return changed ? next : current;
+      });
+      frameId = requestAnimationFrame(update);
+    };
+    update();
+    return () => cancelAnimationFrame(frameId);
+  }, [table, connected]);
+
+  return {
+    connected,
+    connect,
+    disconnect,
+    muted,
+    setMuted,
+    floorId,
+    levels,
+  };
+}
@@ -0,0 +1,15 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+/**
+ * Common interface of the hooks providing a video `MediaStream`.
+ */
+export type UseMediaStreamResult = {
+  type: 'webcam' | 'screen';
+  start: () => Promise<MediaStream>;
+  stop: () => void;
+  isStreaming: boolean;
+  stream: MediaStream | null;
+};
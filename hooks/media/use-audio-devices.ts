@@ -0,0 +1,68 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useCallback, useEffect, useState } from 'react';
+
+export type UseAudioDevicesResult = {
+  inputs: MediaDeviceInfo[];
+  outputs: MediaDeviceInfo[];
+  // Lists the devices again, e.g. once microphone access was granted and
+  // their labels became available
+  refresh: () => Promise<void>;
+};
+
+/**
+ * Lists the microphones and speakers, kept up to date while devices are
+ * plugged in or removed.
+ */
+export function useAudioDevices(): UseAudioDevicesResult {
+  const [devices, setDevices] = useState<MediaDeviceInfo[]>([]);
+
+  const refresh = useCallback(async () => {
+    if (!navigator.mediaDevices?.enumerateDevices) return;
+    setDevices(await navigator.mediaDevices.enumerateDevices());
+  }, []);
+
+  useEffect(() => {
+    if (!navigator.mediaDevices) return;
+    refresh();
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+
+    // Device ids and labels are revealed once microphone access is granted
+    let permission: PermissionStatus | null = null;
+    navigator.permissions
+      ?.query({ name: 'microphone' as PermissionName })
+      .then(status => {
+        permission = status;
+        status.addEventListener('change', refresh);
+      })
+      .catch(() => {
+        // Not every browser can query the microphone permission
+      });
+
+    return () => {
+      navigator.mediaDevices.removeEventListener('devicechange', refresh);
+      permission?.removeEventListener('change', refresh);
+    };
+  }, [refresh]);
+
+  return {
+    inputs: devices.filter(d => d.kind === 'audioinput'),
+    outputs: devices.filter(d => d.kind === 'audiooutput'),
+    refresh,
+  };
+}
+
+/**
+ * Returns the chosen device id if the device is present, or the default
+ * device otherwise. Before access is granted the device ids are hidden, so
+ * the choice is kept and left to `getUserMedia` to resolve.
+ */
+export function resolveDeviceId(devices: MediaDeviceInfo[], deviceId: string) {
+  const known = devices.filter(d => d.deviceId);
+  if (!known.length || known.some(d => d.deviceId === deviceId)) {
+    return deviceId;
+  }
+  return '';
+}
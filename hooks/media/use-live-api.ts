@@ -19,38 +19,135 @@
  */
 
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { GenAILiveClient } from '../../lib/genai-live-client';
+import { GenAILiveClient, LiveClientStatus } from '../../lib/genai-live-client';
 import { LiveConnectConfig } from '@google/genai';
+import { AudioRecorder } from '../../lib/audio-recorder';
 import { AudioStreamer } from '../../lib/audio-streamer';
+import { BargeInAction, BargeInDetector } from '../../lib/barge-in';
+import { useAudioSettings } from '../../lib/state';
 import { audioContext } from '../../lib/utils';
 import VolMeterWorket from '../../lib/worklets/vol-meter';
+import VisemeAnalyserWorklet from '../../lib/worklets/viseme-analyser';
+import { SILENT_VISEME, VisemeFrame, VisemeTimeline } from '../../lib/visemes';
 import { DEFAULT_LIVE_API_MODEL } from '../../lib/constants';
+import { resolveDeviceId, useAudioDevices } from './use-audio-devices';
+import { GenAITransport, WebSocketTransport } from '../../lib/live-transport';
+import {
+  RecordingTransport,
+  ReplayOptions,
+  ReplayTransport,
+  SessionRecorder,
+  SessionRecording,
+} from '../../lib/session-recording';
+
+/**
+ * The latest barge-in of the user, and whether the server confirmed it by
+ * interrupting the agent or playback was restored.
+ */
+export type BargeIn = {
+  action: BargeInAction;
+  status: 'detected' | 'confirmed' | 'dismissed';
+  at: number;
+};
 
 export type UseLiveApiResults = {
   client: GenAILiveClient;
+  // Creates a client for another session on the same server, e.g. for the
+  // agents of a round table
+  createClient: () => GenAILiveClient;
   setConfig: (config: LiveConnectConfig) => void;
   config: LiveConnectConfig;
 
   connect: () => Promise<void>;
   disconnect: () => void;
   connected: boolean;
+  status: LiveClientStatus;
 
   volume: number;
+  // Mouth shape of the agent speech heard right now
+  viseme: VisemeFrame;
+
+  // Microphone shared with the barge-in detection
+  audioRecorder: AudioRecorder;
+  // Speaker output, available once its audio context is created
+  audioStreamer: AudioStreamer | null;
+  // Whether the agent audio is left unplayed, e.g. for agents replying in
+  // text, whose speech is only shown as its transcription
+  outputMuted: boolean;
+  setOutputMuted: (muted: boolean) => void;
+  bargeIn: BargeIn | null;
+
+  recorder: SessionRecorder;
+  replaying: boolean;
+  startReplay: (recording: SessionRecording, options?: ReplayOptions) => void;
+  stopReplay: () => void;
 };
 
+// Smallest change of the speech level that updates the viseme, so the face
+// is not redrawn for inaudible differences
+const VISEME_LEVEL_STEP = 0.01;
+
 export function useLiveApi({
   apiKey,
   model = DEFAULT_LIVE_API_MODEL,
+  url,
 }: {
   apiKey: string;
   model?: string;
+  /** WebSocket URL to use instead of the hosted Live API. */
+  url?: string;
 }): UseLiveApiResults {
-  const client = useMemo(() => new GenAILiveClient(apiKey, model), [apiKey]);
+  const recorder = useMemo(() => new SessionRecorder(), []);
+  const [replay, setReplay] = useState<{
+    recording: SessionRecording;
+    options?: ReplayOptions;
+  } | null>(null);
+
+  const createTransport = useCallback(
+    () => (url ? new WebSocketTransport(url) : new GenAITransport(apiKey)),
+    [apiKey, url]
+  );
+
+  const client = useMemo(() => {
+    if (replay) {
+      return new GenAILiveClient(apiKey, model, {
+        reconnect: { enabled: false },
+        transport: new ReplayTransport(replay.recording, replay.options),
+      });
+    }
+    return new GenAILiveClient(apiKey, model, {
+      transport: new RecordingTransport(createTransport(), recorder),
+    });
+  }, [apiKey, createTransport, recorder, replay]);
+
+  const createClient = useCallback(
+    () => new GenAILiveClient(apiKey, model, { transport: createTransport() }),
+    [apiKey, model, createTransport]
+  );
 
   const audioStreamerRef = useRef<AudioStreamer | null>(null);
+  const [audioStreamer, setAudioStreamer] = useState<AudioStreamer | null>(
+    null
+  );
+  const [audioRecorder] = useState(() => new AudioRecorder());
+  const bargeInRef = useRef<BargeInDetector | null>(null);
+  const [bargeIn, setBargeIn] = useState<BargeIn | null>(null);
+  const bargeInAction = useAudioSettings(state => state.bargeInAction);
+  const { inputDeviceId, outputDeviceId } = useAudioSettings();
+  const { inputs, outputs } = useAudioDevices();
+  // Falls back to the default devices while the chosen ones are unplugged
+  const inputId = resolveDeviceId(inputs, inputDeviceId);
+  const outputId = resolveDeviceId(outputs, outputDeviceId);
+
+  const [outputMuted, setOutputMuted] = useState(false);
+  const outputMutedRef = useRef(outputMuted);
+  outputMutedRef.current = outputMuted;
 
   const [volume, setVolume] = useState(0);
+  const [viseme, setViseme] = useState<VisemeFrame>(SILENT_VISEME);
+  const visemeTimeline = useMemo(() => new VisemeTimeline(), []);
   const [connected, setConnected] = useState(false);
+  const [status, setStatus] = useState<LiveClientStatus>('disconnected');
   const [config, setConfig] = useState<LiveConnectConfig>({});
 
   // register audio for streaming server -> speakers
@@ -58,6 +155,7 @@ export function useLiveApi({
     if (!audioStreamerRef.current) {
       audioContext({ id: 'audio-out' }).then((audioCtx: AudioContext) => {
         audioStreamerRef.current = new AudioStreamer(audioCtx);
+        setAudioStreamer(audioStreamerRef.current);
         audioStreamerRef.current
           .addWorklet<any>('vumeter-out', VolMeterWorket, (ev: any) => {
             setVolume(ev.data.volume);
@@ -68,17 +166,59 @@ export function useLiveApi({
           .catch(err => {
             console.error('Error adding worklet:', err);
           });
+        audioStreamerRef.current
+          .addWorklet<any>(
+            'viseme-analyser',
+            VisemeAnalyserWorklet,
+            (ev: MessageEvent<VisemeFrame>) => {
+              visemeTimeline.push(ev.data);
+            }
+          )
+          .catch(err => {
+            console.error('Error adding worklet:', err);
+          });
       });
     }
   }, [audioStreamerRef]);
 
+  // Show the viseme of the audio coming out of the speakers. The analyser
+  // stamps frames with the time their sources were scheduled at, which is
+  // ahead of what is heard by the output latency.
+  useEffect(() => {
+    if (!audioStreamer) return;
+    let frameId = -1;
+    const update = () => {
+      const frame = visemeTimeline.at(audioStreamer.getOutputTime());
+      setViseme(current =>
+        current.viseme === frame.viseme &&
+        Math.abs(current.level - frame.level) < VISEME_LEVEL_STEP
+          ? current
+          : frame
+      );
+      frameId = requestAnimationFrame(update);
+    };
+    update();
+    return () => {
+      cancelAnimationFrame(frameId);
+      visemeTimeline.clear();
+    };
+  }, [audioStreamer, visemeTimeline]);
+
   useEffect(() => {
     const onOpen = () => {
       setConnected(true);
+      setStatus('connected');
     };
 
     const onClose = () => {
       setConnected(false);
+      setStatus('disconnected');
+    };
+
+    // The session stays logically connected while the client is resuming it,
+    // so `connected` is left untouched here
+    const onReconnecting = () => {
+      setStatus('reconnecting');
     };
 
     const stopAudioStreamer = () => {
@@ -87,47 +227,133 @@ export function useLiveApi({
       }
     };
 
-    const onAudio = (data: ArrayBuffer) => {
+    // Silence after the turn is not an underrun of the jitter buffer
+    const completeAudioStreamer = () => {
+      audioStreamerRef.current?.complete();
+    };
+
+    const onAudio = (data: ArrayBuffer, sampleRate: number) => {
+      if (bargeInRef.current?.dropOutput || outputMutedRef.current) return;
       if (audioStreamerRef.current) {
-        audioStreamerRef.current.addPCM16(new Uint8Array(data));
+        audioStreamerRef.current.addPCM16(new Uint8Array(data), sampleRate);
       }
     };
 
     // Bind event listeners
     client.on('open', onOpen);
     client.on('close', onClose);
+    client.on('reconnecting', onReconnecting);
     client.on('interrupted', stopAudioStreamer);
     client.on('audio', onAudio);
+    client.on('turncomplete', completeAudioStreamer);
 
     return () => {
       // Clean up event listeners
       client.off('open', onOpen);
       client.off('close', onClose);
+      client.off('reconnecting', onReconnecting);
       client.off('interrupted', stopAudioStreamer);
       client.off('audio', onAudio);
+      client.off('turncomplete', completeAudioStreamer);
     };
   }, [client]);
 
+  // Swap the devices in, also while connected
+  useEffect(() => {
+    audioRecorder.setDeviceId(inputId).catch(err => {
+      console.error('Error switching microphone:', err);
+    });
+  }, [audioRecorder, inputId]);
+
+  useEffect(() => {
+    audioStreamer?.setOutputDevice(outputId).catch(err => {
+      console.error('Error switching speakers:', err);
+    });
+  }, [audioStreamer, outputId]);
+
+  // Duck or stop the agent as soon as the user talks over it, and report it
+  useEffect(() => {
+    if (!audioStreamer) return;
+    const detector = new BargeInDetector(client, audioRecorder, audioStreamer, {
+      action: bargeInAction,
+    });
+    const report = (status: BargeIn['status']) => () =>
+      setBargeIn({ action: bargeInAction, status, at: Date.now() });
+    detector
+      .on('bargein', report('detected'))
+      .on('confirmed', report('confirmed'))
+      .on('dismissed', report('dismissed'))
+      .attach();
+    bargeInRef.current = detector;
+
+    return () => {
+      detector.removeAllListeners();
+      detector.detach();
+      bargeInRef.current = null;
+    };
+  }, [client, audioRecorder, audioStreamer, bargeInAction]);
+
+  // Start playing back as soon as the replay client is in place, and release
+  // clients that are replaced
+  useEffect(() => {
+    if (replay) {
+      client.connect(config);
+    }
+    return () => {
+      client.disconnect();
+    };
+  }, [client]);
+
+  const startReplay = useCallback(
+    (recording: SessionRecording, options?: ReplayOptions) => {
+      setConnected(false);
+      setReplay({ recording, options });
+    },
+    []
+  );
+
+  const stopReplay = useCallback(() => {
+    setConnected(false);
+    setStatus('disconnected');
+    setReplay(null);
+  }, []);
+
   const connect = useCallback(async () => {
     if (!config) {
       throw new Error('config has not been set');
     }
     client.disconnect();
-    await client.connect(config);
+    setStatus('connecting');
+    if (!(await client.connect(config))) {
+      setStatus(client.status);
+    }
   }, [client, setConnected, config]);
 
   const disconnect = useCallback(async () => {
     client.disconnect();
     setConnected(false);
+    setStatus('disconnected');
   }, [setConnected, client]);
 
   return {
     client,
+    createClient,
     config,
     setConfig,
     connect,
     connected,
     disconnect,
+    status,
     volume,
+    viseme,
+    audioRecorder,
+    audioStreamer,
+    outputMuted,
+    setOutputMuted,
+    bargeIn,
+    recorder,
+    replaying: !!replay,
+    startReplay,
+    stopReplay,
   };
 }
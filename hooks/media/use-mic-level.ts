@@ -0,0 +1,65 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useState } from 'react';
+import { createWorketFromSrc } from '../../lib/audioworklet-registry';
+import { audioContext } from '../../lib/utils';
+import VolMeterWorket from '../../lib/worklets/vol-meter';
+
+/**
+ * Measures the level of a microphone with the `vol-meter` worklet, e.g. to
+ * preview it before starting a conversation. The microphone is only opened
+ * while `enabled` is set.
+ * @param deviceId id from `enumerateDevices`, empty for the default
+ * @param onStart called once the microphone is open
+ */
+export function useMicLevel(
+  deviceId: string,
+  enabled: boolean,
+  onStart?: () => void
+) {
+  const [level, setLevel] = useState(0);
+
+  useEffect(() => {
+    if (!enabled || !navigator.mediaDevices?.getUserMedia) return;
+    let cancelled = false;
+    let stream: MediaStream | undefined;
+    let context: AudioContext | undefined;
+    const release = () => {
+      stream?.getTracks().forEach(track => track.stop());
+      context?.close();
+      stream = undefined;
+      context = undefined;
+    };
+
+    (async () => {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: deviceId ? { deviceId: { exact: deviceId } } : true,
+      });
+      context = await audioContext();
+      const workletName = 'vu-meter';
+      await context.audioWorklet.addModule(
+        createWorketFromSrc(workletName, VolMeterWorket)
+      );
+      // Released while still opening
+      if (cancelled) return release();
+      const vuWorklet = new AudioWorkletNode(context, workletName);
+      vuWorklet.port.onmessage = (ev: MessageEvent) => {
+        setLevel(ev.data.volume);
+      };
+      context.createMediaStreamSource(stream).connect(vuWorklet);
+      onStart?.();
+    })().catch(err => {
+      console.error('Error opening microphone:', err);
+    });
+
+    return () => {
+      cancelled = true;
+      release();
+      setLevel(0);
+    };
+  }, [deviceId, enabled]);
+
+  return level;
+}
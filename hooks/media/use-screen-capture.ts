@@ -0,0 +1,56 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useState } from 'react';
+import { UseMediaStreamResult } from './media-stream';
+
+export function useScreenCapture(): UseMediaStreamResult {
+  const [stream, setStream] = useState<MediaStream | null>(null);
+  const [isStreaming, setIsStreaming] = useState(false);
+
+  // Reset when sharing is stopped from the browser UI
+  useEffect(() => {
+    const handleStreamEnded = () => {
+      setIsStreaming(false);
+      setStream(null);
+    };
+    if (stream) {
+      stream
+        .getTracks()
+        .forEach(track => track.addEventListener('ended', handleStreamEnded));
+      return () => {
+        stream
+          .getTracks()
+          .forEach(track =>
+            track.removeEventListener('ended', handleStreamEnded)
+          );
+      };
+    }
+  }, [stream]);
+
+  const start = async () => {
+    const mediaStream = await navigator.mediaDevices.getDisplayMedia({
+      video: true,
+    });
+    setStream(mediaStream);
+    setIsStreaming(true);
+    return mediaStream;
+  };
+
+  const stop = () => {
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+      setStream(null);
+      setIsStreaming(false);
+    }
+  };
+
+  return {
+    type: 'screen',
+    start,
+    stop,
+    isStreaming,
+    stream,
+  };
+}
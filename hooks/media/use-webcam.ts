@@ -0,0 +1,56 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { useEffect, useState } from 'react';
+import { UseMediaStreamResult } from './media-stream';
+
+export function useWebcam(): UseMediaStreamResult {
+  const [stream, setStream] = useState<MediaStream | null>(null);
+  const [isStreaming, setIsStreaming] = useState(false);
+
+  // Reset when the camera is turned off from outside the app
+  useEffect(() => {
+    const handleStreamEnded = () => {
+      setIsStreaming(false);
+      setStream(null);
+    };
+    if (stream) {
+      stream
+        .getTracks()
+        .forEach(track => track.addEventListener('ended', handleStreamEnded));
+      return () => {
+        stream
+          .getTracks()
+          .forEach(track =>
+            track.removeEventListener('ended', handleStreamEnded)
+          );
+      };
+    }
+  }, [stream]);
+
+  const start = async () => {
+    const mediaStream = await navigator.mediaDevices.getUserMedia({
+      video: true,
+    });
+    setStream(mediaStream);
+    setIsStreaming(true);
+    return mediaStream;
+  };
+
+  const stop = () => {
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+      setStream(null);
+      setIsStreaming(false);
+    }
+  };
+
+  return {
+    type: 'webcam',
+    start,
+    stop,
+    isStreaming,
+    stream,
+  };
+}
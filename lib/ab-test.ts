@@ -0,0 +1,93 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { LiveConnectConfig, Modality } from '@google/genai';
+import { GenAILiveClient } from './genai-live-client';
+import { Agent } from './presets/agents';
+import { createSystemInstructions } from './prompts';
+import { User } from './state';
+
+// Time a variant may take to answer a single scripted turn
+const REPLY_TIMEOUT_MS = 30000;
+
+/**
+ * One side of an A/B test, an agent as it is or with the personality of one
+ * of its revisions.
+ */
+export type AbVariant = {
+  label: string;
+  agent: Agent;
+};
+
+export type AbReply = {
+  text: string;
+  // Milliseconds from sending the turn to the complete reply
+  latency: number;
+  error?: string;
+};
+
+/**
+ * Scripted user turns, one per non-empty line.
+ */
+export const parseScript = (script: string) =>
+  script
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+/**
+ * Replies are read side by side from the transcription of the speech, as
+ * the native audio model only replies with audio. Tools are left out, as
+ * nothing would answer their calls.
+ */
+const createAbTestConfig = (agent: Agent, user: User): LiveConnectConfig => ({
+  responseModalities: [Modality.AUDIO],
+  outputAudioTranscription: {},
+  systemInstruction: {
+    parts: [{ text: createSystemInstructions(agent, user) }],
+  },
+});
+
+/**
+ * Plays the scripted turns to a variant in a session of its own, one turn
+ * after the reply to the previous one, and reports each reply as it comes.
+ * A failed turn is reported with its error and the script goes on.
+ */
+export async function runAbVariant(
+  client: GenAILiveClient,
+  variant: AbVariant,
+  turns: string[],
+  user: User,
+  onReply: (index: number, reply: AbReply) => void,
+  signal?: AbortSignal
+) {
+  if (!(await client.connect(createAbTestConfig(variant.agent, user)))) {
+    throw new Error(`Could not start a session for ${variant.label}`);
+  }
+  try {
+    for (const [index, text] of turns.entries()) {
+      if (signal?.aborted) return;
+      const sentAt = performance.now();
+      try {
+        const result = await client.ask([{ text }], {
+          timeout: REPLY_TIMEOUT_MS,
+          signal,
+        });
+        onReply(index, {
+          text: result.text.trim(),
+          latency: performance.now() - sentAt,
+        });
+      } catch (e) {
+        if (signal?.aborted) return;
+        onReply(index, {
+          text: '',
+          latency: performance.now() - sentAt,
+          error: e instanceof Error ? e.message : String(e),
+        });
+      }
+    }
+  } finally {
+    client.disconnect();
+  }
+}
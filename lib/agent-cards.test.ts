@@ -0,0 +1,74 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { describe, expect, it } from 'vitest';
+import { parseAgentCard } from './agent-cards';
+
+const exportedCard = (agent: Record<string, unknown>) =>
+  new TextEncoder().encode(
+    JSON.stringify({
+      format: 'chatterbots-agent',
+      version: 1,
+      agent: {
+        name: 'Pixel',
+        personality: 'A cheerful robot.',
+        voice: 'Puck',
+        bodyColor: '#9ccf31',
+        ...agent,
+      },
+    })
+  ).buffer;
+
+describe('parseAgentCard', () => {
+  it('imports an exported agent as a new one', () => {
+    const agent = parseAgentCard(exportedCard({ id: 'taken' }));
+    expect(agent.name).toBe('Pixel');
+    expect(agent.id).not.toBe('taken');
+  });
+
+  it('keeps a valid avatar with only the fields of its type', () => {
+    expect(
+      parseAgentCard(
+        exportedCard({
+          avatar: { type: 'sprite', src: 'sprites/pixel.png', manifest: 'x' },
+        })
+      ).avatar
+    ).toEqual({ type: 'sprite', src: 'sprites/pixel.png' });
+    expect(
+      parseAgentCard(
+        exportedCard({
+          avatar: { type: 'rig', manifest: 'https://example.com/rig.json' },
+        })
+      ).avatar
+    ).toEqual({ type: 'rig', manifest: 'https://example.com/rig.json' });
+    expect(
+      parseAgentCard(exportedCard({ avatar: { type: 'basic', src: 'x' } }))
+        .avatar
+    ).toEqual({ type: 'basic' });
+  });
+
+  it('rejects a malformed avatar', () => {
+    for (const [avatar, problem] of [
+      ['face', 'the avatar type is unknown'],
+      [{ type: 'hologram' }, 'the avatar type is unknown'],
+      [{ type: 'sprite', src: 42 }, 'the sprite sheet is not an image URL'],
+      [
+        { type: 'sprite', src: 'javascript:alert(1)' },
+        'the sprite sheet is not an image URL',
+      ],
+      [
+        { type: 'sprite', src: 'data:text/html,<p>' },
+        'the sprite sheet is not an image URL',
+      ],
+      [
+        { type: 'rig', manifest: 'data:image/png;base64,' },
+        'the rig manifest is not a JSON URL',
+      ],
+    ] as const) {
+      expect(() => parseAgentCard(exportedCard({ avatar }))).toThrow(
+        `Invalid agent card: ${problem}`
+      );
+    }
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { parseAvatarConfig } from './avatars';
+import { Agent, createNewAgent, INTERLOCUTOR_VOICES } from './presets/agents';
+import { downloadBlob } from './utils';
+import { VOICE_EFFECTS } from './voice-effects';
+
+const CARD_FORMAT = 'chatterbots-agent';
+const CARD_VERSION = 1;
+
+/**
+ * An agent exported to a file. The id is left out, as an imported agent is
+ * always added as a new one.
+ */
+export type AgentCard = {
+  format: typeof CARD_FORMAT;
+  version: number;
+  agent: Omit<Agent, 'id'>;
+};
+
+/**
+ * The fields of the community "character card" format used by the agents.
+ * Version 1 has them at the top level, versions 2 and 3 in `data`.
+ */
+type CharacterCardData = {
+  name?: unknown;
+  description?: unknown;
+  personality?: unknown;
+  scenario?: unknown;
+  first_mes?: unknown;
+};
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+// Keywords of the PNG text chunks holding character cards, preferred first
+const PNG_CARD_KEYWORDS = ['ccv3', 'chara'];
+
+/**
+ * Saves an agent as a JSON file through the browser.
+ */
+export function downloadAgentCard(agent: Agent) {
+  const { id, ...fields } = agent;
+  const card: AgentCard = {
+    format: CARD_FORMAT,
+    version: CARD_VERSION,
+    agent: fields,
+  };
+  const blob = new Blob([JSON.stringify(card, null, 2)], {
+    type: 'application/json',
+  });
+  downloadBlob(blob, `${fields.name.replace(/[^\w-]+/g, '') || id}.json`);
+}
+
+/**
+ * Reads an agent from an exported agent card, or from a character card as a
+ * JSON file or embedded in a PNG image. The agent gets a new id.
+ * @throws if the file is not a card or its fields are invalid
+ */
+export function parseAgentCard(file: ArrayBuffer): Agent {
+  const bytes = new Uint8Array(file);
+  const json = isPNG(bytes)
+    ? readPNGCard(bytes)
+    : new TextDecoder().decode(bytes);
+  let card;
+  try {
+    card = JSON.parse(json);
+  } catch {
+    throw new Error('Not a valid agent or character card');
+  }
+  if (card?.format === CARD_FORMAT) {
+    return parseExportedCard(card);
+  }
+  if (card?.spec === 'chara_card_v2' || card?.spec === 'chara_card_v3') {
+    return parseCharacterCard(card.data ?? {});
+  }
+  if (card && 'name' in card && 'description' in card) {
+    return parseCharacterCard(card);
+  }
+  throw new Error('Not a valid agent or character card');
+}
+
+function parseExportedCard(card: AgentCard): Agent {
+  if (card.version !== CARD_VERSION) {
+    throw new Error(`Unsupported agent card version ${card.version}`);
+  }
+  const agent = card.agent;
+  const problems: string[] = [];
+  if (typeof agent?.name !== 'string' || !agent.name.trim()) {
+    problems.push('the name is missing');
+  }
+  if (typeof agent?.personality !== 'string') {
+    problems.push('the personality is missing');
+  }
+  if (!INTERLOCUTOR_VOICES.includes(agent?.voice)) {
+    problems.push(`the voice "${agent?.voice}" is not available`);
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(agent?.bodyColor)) {
+    problems.push(`the color "${agent?.bodyColor}" is not a hex color`);
+  }
+  if (
+    agent?.tools !== undefined &&
+    !(Array.isArray(agent.tools) && agent.tools.every(isString))
+  ) {
+    problems.push('the tools are not a list of names');
+  }
+  if (
+    agent?.effects !== undefined &&
+    !(
+      Array.isArray(agent.effects) &&
+      agent.effects.every(
+        e => e?.type in VOICE_EFFECTS && typeof e.value === 'number'
+      )
+    )
+  ) {
+    problems.push('the voice effects are invalid');
+  }
+  if (
+    agent?.responseModality !== undefined &&
+    !['audio', 'text'].includes(agent.responseModality)
+  ) {
+    problems.push(`the reply modality "${agent.responseModality}" is unknown`);
+  }
+  const avatar: unknown = agent?.avatar;
+  const avatarConfig =
+    avatar === undefined ? undefined : parseAvatarConfig(avatar, problems);
+  for (const field of ['scenario', 'greeting'] as const) {
+    if (agent?.[field] !== undefined && !isString(agent[field])) {
+      problems.push(`the ${field} is not text`);
+    }
+  }
+  if (problems.length) {
+    throw new Error(`Invalid agent card: ${problems.join(', ')}`);
+  }
+  // Keeps fields added by later versions of the app, but never the id, and
+  // only the fields of the avatar known to this version
+  const { id, avatar: _, ...fields } = agent as Agent;
+  return createNewAgent({
+    ...fields,
+    ...(avatarConfig && { avatar: avatarConfig }),
+  });
+}
+
+function parseCharacterCard(data: CharacterCardData = {}): Agent {
+  const name = data.name;
+  if (!isString(name) || !name.trim()) {
+    throw new Error('Invalid character card: the name is missing');
+  }
+  const text = (value: unknown) =>
+    isString(value) ? replaceCharacterPlaceholders(value, name).trim() : '';
+  const personality = [text(data.description), text(data.personality)]
+    .filter(Boolean)
+    .join('\n\n');
+  if (!personality) {
+    throw new Error(
+      'Invalid character card: the description and personality are empty'
+    );
+  }
+  const scenario = text(data.scenario);
+  const greeting = text(data.first_mes);
+  return createNewAgent({
+    name: name.trim(),
+    personality,
+    ...(scenario && { scenario }),
+    ...(greeting && { greeting }),
+  });
+}
+
+// Character cards refer to the character as `{{char}}` and, in older cards,
+// `<BOT>`. References to the user are kept as `{{user}}`, which is filled in
+// by `createSystemInstructions`.
+function replaceCharacterPlaceholders(text: string, name: string) {
+  return text
+    .replace(/\{\{char\}\}|<BOT>/gi, name)
+    .replace(/<USER>/gi, '{{user}}');
+}
+
+function isString(value: unknown): value is string {
+  return typeof value === 'string';
+}
+
+function isPNG(bytes: Uint8Array) {
+  return PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Finds the card in the `tEXt` chunks of a PNG image, where it is stored as
+ * base64 encoded JSON.
+ */
+function readPNGCard(bytes: Uint8Array) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const latin1 = new TextDecoder('latin1');
+  const texts = new Map<string, string>();
+  let offset = PNG_SIGNATURE.length;
+  // Each chunk is its length, type, data and a checksum
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IEND') break;
+    if (type === 'tEXt') {
+      const separator = data.indexOf(0);
+      if (separator > 0) {
+        texts.set(
+          latin1.decode(data.subarray(0, separator)),
+          latin1.decode(data.subarray(separator + 1))
+        );
+      }
+    }
+    offset += length + 12;
+  }
+  const encoded = PNG_CARD_KEYWORDS.map(k => texts.get(k)).find(Boolean);
+  if (!encoded) {
+    throw new Error('The image does not contain a character card');
+  }
+  try {
+    const binary = atob(encoded);
+    return new TextDecoder().decode(
+      Uint8Array.from(binary, c => c.charCodeAt(0))
+    );
+  } catch {
+    throw new Error('The character card in the image is corrupt');
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { ConversationAudio, TranscriptCue } from './conversation-recorder';
+import { float32ToPcm16 } from './pcm';
+import { downloadBlob } from './utils';
+
+export type AudioExportFormat = 'wav' | 'opus';
+
+/**
+ * `mixed` sums both sides into a mono track, `separate` keeps the user on the
+ * left and the agent on the right channel.
+ */
+export type AudioExportTracks = 'mixed' | 'separate';
+
+/**
+ * Returns the channels to export for a recorded conversation.
+ */
+export function getExportChannels(
+  audio: ConversationAudio,
+  tracks: AudioExportTracks
+): Float32Array[] {
+  if (tracks === 'separate') return [audio.user, audio.agent];
+  const mixed = new Float32Array(audio.user.length);
+  for (let i = 0; i < mixed.length; i++) {
+    mixed[i] = Math.max(-1, Math.min(1, audio.user[i] + audio.agent[i]));
+  }
+  return [mixed];
+}
+
+/**
+ * Encodes channels of equal length as a 16-bit PCM WAV file.
+ */
+export function encodeWav(channels: Float32Array[], sampleRate: number) {
+  const numChannels = channels.length;
+  const length = channels[0]?.length ?? 0;
+  const dataSize = length * numChannels * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeString = (offset: number, s: string) =>
+    [...s].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numChannels * 2, true);
+  view.setUint16(32, numChannels * 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const pcm = channels.map(float32ToPcm16);
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      view.setInt16(offset, pcm[c][i], true);
+      offset += 2;
+    }
+  }
+  return new Blob([view.buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Whether the browser can encode Opus with WebCodecs.
+ */
+export function canEncodeOpus() {
+  return typeof AudioEncoder !== 'undefined';
+}
+
+// Opus granule positions always count samples at 48 kHz
+const OPUS_GRANULE_RATE = 48000;
+// Samples the decoder discards at the start, the libopus default
+const OPUS_PRE_SKIP = 312;
+
+/**
+ * Encodes channels of equal length as an Ogg Opus file with WebCodecs.
+ */
+export async function encodeOggOpus(
+  channels: Float32Array[],
+  sampleRate: number,
+  bitrate = 64000
+): Promise<Blob> {
+  if (!canEncodeOpus()) {
+    throw new Error('Opus encoding is not supported in this browser');
+  }
+  const numberOfChannels = channels.length;
+  const packets: { data: Uint8Array; duration: number }[] = [];
+  let error: Error | null = null;
+
+  const encoder = new AudioEncoder({
+    output: chunk => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      packets.push({ data, duration: chunk.duration ?? 20000 });
+    },
+    error: e => {
+      error = e;
+    },
+  });
+  encoder.configure({
+    codec: 'opus',
+    sampleRate,
+    numberOfChannels,
+    bitrate,
+  });
+
+  // Feed the encoder planar audio in one second blocks
+  const length = channels[0]?.length ?? 0;
+  for (let offset = 0; offset < length; offset += sampleRate) {
+    const frames = Math.min(sampleRate, length - offset);
+    const planar = new Float32Array(frames * numberOfChannels);
+    channels.forEach((channel, c) =>
+      planar.set(channel.subarray(offset, offset + frames), c * frames)
+    );
+    const audioData = new AudioData({
+      format: 'f32-planar',
+      sampleRate,
+      numberOfFrames: frames,
+      numberOfChannels,
+      timestamp: (offset / sampleRate) * 1e6,
+      data: planar,
+    });
+    encoder.encode(audioData);
+    audioData.close();
+  }
+  await encoder.flush();
+  encoder.close();
+  if (error) throw error;
+
+  return muxOggOpus(packets, numberOfChannels, sampleRate);
+}
+
+/**
+ * Wraps raw Opus packets into an Ogg container, one packet per page.
+ * See RFC 7845.
+ */
+function muxOggOpus(
+  packets: { data: Uint8Array; duration: number }[],
+  numberOfChannels: number,
+  inputSampleRate: number
+) {
+  const serial = (Math.random() * 0xffffffff) >>> 0;
+  const pages: Uint8Array[] = [];
+  let sequence = 0;
+
+  const head = new Uint8Array(19);
+  const headView = new DataView(head.buffer);
+  head.set(new TextEncoder().encode('OpusHead'));
+  head[8] = 1; // version
+  head[9] = numberOfChannels;
+  headView.setUint16(10, OPUS_PRE_SKIP, true);
+  headView.setUint32(12, inputSampleRate, true);
+  headView.setInt16(16, 0, true); // output gain
+  head[18] = 0; // mapping family
+
+  const vendor = new TextEncoder().encode('chatterbots');
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+  const tagsView = new DataView(tags.buffer);
+  tags.set(new TextEncoder().encode('OpusTags'));
+  tagsView.setUint32(8, vendor.length, true);
+  tags.set(vendor, 12);
+  tagsView.setUint32(12 + vendor.length, 0, true); // no user comments
+
+  pages.push(createOggPage(head, 0, serial, sequence++, 0x02));
+  pages.push(createOggPage(tags, 0, serial, sequence++, 0));
+
+  let granule = OPUS_PRE_SKIP;
+  packets.forEach(({ data, duration }, i) => {
+    granule += Math.round((duration / 1e6) * OPUS_GRANULE_RATE);
+    const last = i === packets.length - 1;
+    pages.push(
+      createOggPage(data, granule, serial, sequence++, last ? 0x04 : 0)
+    );
+  });
+
+  return new Blob(pages, { type: 'audio/ogg; codecs=opus' });
+}
+
+function createOggPage(
+  packet: Uint8Array,
+  granule: number,
+  serial: number,
+  sequence: number,
+  headerType: number
+) {
+  // Lacing values: runs of 255 followed by the remainder, which is 0 when
+  // the size is a multiple of 255
+  const lacing = [
+    ...Array(Math.floor(packet.length / 255)).fill(255),
+    packet.length % 255,
+  ];
+  const page = new Uint8Array(27 + lacing.length + packet.length);
+  const view = new DataView(page.buffer);
+  page.set(new TextEncoder().encode('OggS'));
+  page[4] = 0; // version
+  page[5] = headerType;
+  view.setBigUint64(6, BigInt(granule), true);
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  page[26] = lacing.length;
+  page.set(lacing, 27);
+  page.set(packet, 27 + lacing.length);
+  view.setUint32(22, oggCrc32(page), true);
+  return page;
+}
+
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let r = i << 24;
+    for (let j = 0; j < 8; j++) {
+      r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+    }
+    table[i] = r >>> 0;
+  }
+  return table;
+})();
+
+// CRC-32 of an Ogg page, computed with the checksum field set to zero
+function oggCrc32(page: Uint8Array) {
+  let crc = 0;
+  for (let i = 0; i < page.length; i++) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+/**
+ * Formats a transcript as WebVTT captions for the exported audio.
+ */
+export function toWebVTT(
+  transcript: TranscriptCue[],
+  names: { user: string; agent: string }
+) {
+  const timestamp = (seconds: number) => {
+    const ms = Math.round(seconds * 1000);
+    const pad = (n: number, width = 2) => String(n).padStart(width, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(
+      Math.floor(ms / 60000) % 60
+    )}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+  };
+  const cues = transcript.map(
+    cue =>
+      `${timestamp(cue.start)} --> ${timestamp(Math.max(cue.end, cue.start))}
+<v ${names[cue.role]}>${cue.text}`
+  );
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Saves a recorded conversation through the browser as an audio file in the
+ * given format plus a WebVTT transcript with the same name.
+ */
+export async function downloadConversation(
+  audio: ConversationAudio,
+  {
+    format,
+    tracks,
+    names,
+  }: {
+    format: AudioExportFormat;
+    tracks: AudioExportTracks;
+    names: { user: string; agent: string };
+  }
+) {
+  const channels = getExportChannels(audio, tracks);
+  const blob =
+    format === 'opus'
+      ? await encodeOggOpus(channels, audio.sampleRate)
+      : encodeWav(channels, audio.sampleRate);
+  const basename = `conversation-${new Date()
+    .toISOString()
+    .replace(/[:.]/g, '-')}`;
+
+  downloadBlob(blob, `${basename}.${format === 'opus' ? 'ogg' : 'wav'}`);
+  downloadBlob(
+    new Blob([toWebVTT(audio.transcript, names)], { type: 'text/vtt' }),
+    `${basename}.vtt`
+  );
+}
@@ -0,0 +1,85 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { DEFAULT_INPUT_SAMPLE_RATE } from './constants';
+import { GenAILiveClient } from './genai-live-client';
+import { pcmMimeType } from './pcm';
+
+/**
+ * How microphone audio reaches the Live session:
+ * - `always`: every chunk is streamed and the server detects speech
+ * - `push-to-talk`: audio is only sent while the talk button or key is held
+ * - `vad`: audio is only sent while the local voice activity detector hears
+ *   speech
+ */
+export type InputMode = 'always' | 'push-to-talk' | 'vad';
+
+// Chunks kept while the gate is closed and sent once it opens, so the onset
+// of speech detected by the VAD is not cut off
+const PRE_ROLL_CHUNKS = 2;
+
+/**
+ * Decides which microphone chunks are sent to the Live session, and brackets
+ * the sent audio with explicit activity start and end signals when the mode
+ * is not `always`.
+ */
+export class AudioInputGate {
+  private open = false;
+  private preRoll: string[] = [];
+
+  constructor(
+    private readonly client: GenAILiveClient,
+    public readonly mode: InputMode,
+    // Sample rate of the chunks passed to `send`
+    private readonly sampleRate = DEFAULT_INPUT_SAMPLE_RATE
+  ) {}
+
+  public get isOpen() {
+    return this.open;
+  }
+
+  /**
+   * Handles a base64 PCM16 chunk from the `AudioRecorder`.
+   */
+  public send(base64: string) {
+    if (this.mode === 'always' || this.open) {
+      this.sendChunk(base64);
+      return;
+    }
+    if (this.mode === 'vad') {
+      this.preRoll = [...this.preRoll, base64].slice(-PRE_ROLL_CHUNKS);
+    }
+  }
+
+  /**
+   * Starts passing audio through, signalling the start of user activity.
+   */
+  public openGate() {
+    if (this.mode === 'always' || this.open) return;
+    this.open = true;
+    this.client.sendActivityStart();
+    this.preRoll.forEach(chunk => this.sendChunk(chunk));
+    this.preRoll = [];
+  }
+
+  /**
+   * Stops passing audio through, signalling the end of user activity.
+   */
+  public closeGate() {
+    if (!this.open) return;
+    this.open = false;
+    if (this.client.connected) {
+      this.client.sendActivityEnd();
+    }
+  }
+
+  private sendChunk(data: string) {
+    this.client.sendRealtimeInput([
+      {
+        mimeType: pcmMimeType(this.sampleRate),
+        data,
+      },
+    ]);
+  }
+}
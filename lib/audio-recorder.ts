@@ -19,12 +19,17 @@
  */
 
 import { audioContext } from './utils';
+import { DEFAULT_INPUT_SAMPLE_RATE } from './constants';
 import AudioRecordingWorklet from './worklets/audio-processing';
 import VolMeterWorket from './worklets/vol-meter';
+import VoiceActivityWorklet from './worklets/voice-activity';
 
 import { createWorketFromSrc } from './audioworklet-registry';
 import EventEmitter from 'eventemitter3';
 
+// Reference level below which the agent is considered silent
+const REFERENCE_SILENCE_LEVEL = 0.01;
+
 function arrayBufferToBase64(buffer: ArrayBuffer) {
   var binary = '';
   var bytes = new Uint8Array(buffer);
@@ -42,11 +47,73 @@ export class AudioRecorder extends EventEmitter {
   recording: boolean = false;
   recordingWorklet: AudioWorkletNode | undefined;
   vuWorklet: AudioWorkletNode | undefined;
+  vadWorklet: AudioWorkletNode | undefined;
+  // Whether the voice activity worklet currently hears speech
+  speaking: boolean = false;
+  private referenceLevel: number = 0;
+  // Microphone to record from, empty for the system default
+  private deviceId: string = '';
 
   private starting: Promise<void> | null = null;
+  private restarting: Promise<void> = Promise.resolve();
 
-  constructor(public sampleRate = 16000) {
+  constructor(public sampleRate = DEFAULT_INPUT_SAMPLE_RATE) {
     super();
+    this.onTrackEnded = this.onTrackEnded.bind(this);
+  }
+
+  /**
+   * Switches to another microphone. While recording, the new device is
+   * swapped in without interrupting the listeners.
+   * @param deviceId id from `enumerateDevices`, empty for the default
+   */
+  setDeviceId(deviceId: string) {
+    if (deviceId === this.deviceId) return this.restarting;
+    this.deviceId = deviceId;
+    return this.restart();
+  }
+
+  // Restarts a running recording, e.g. with another device
+  private restart() {
+    // A failed restart does not keep later ones from running
+    this.restarting = this.restarting
+      .catch(() => {})
+      .then(async () => {
+        await this.starting?.catch(() => {});
+        if (!this.recording) return;
+        this.stop();
+        await this.start();
+      });
+    return this.restarting;
+  }
+
+  // The device was unplugged or revoked, continue with what is available
+  private onTrackEnded() {
+    this.restart().catch(err => {
+      console.error('Error restarting microphone:', err);
+    });
+  }
+
+  private async getStream() {
+    const audio: MediaTrackConstraints = {
+      echoCancellation: true,
+      noiseSuppression: true,
+      autoGainControl: true,
+    };
+    if (this.deviceId) {
+      try {
+        return await navigator.mediaDevices.getUserMedia({
+          audio: { ...audio, deviceId: { exact: this.deviceId } },
+        });
+      } catch (e) {
+        // The chosen microphone is not available, use the default one
+        const name = (e as Error).name;
+        if (name !== 'OverconstrainedError' && name !== 'NotFoundError') {
+          throw e;
+        }
+      }
+    }
+    return navigator.mediaDevices.getUserMedia({ audio });
   }
 
   async start() {
@@ -54,10 +121,27 @@ export class AudioRecorder extends EventEmitter {
       throw new Error('Could not request user media');
     }
 
-    this.starting = new Promise(async (resolve, reject) => {
-      this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const starting = new Promise<void>(async (resolve, reject) => {
+      try {
+        this.stream = await this.getStream();
+      } catch (e) {
+        // E.g. the microphone permission was denied
+        this.starting = null;
+        return reject(e);
+      }
+      this.stream
+        .getAudioTracks()
+        .forEach(track => track.addEventListener('ended', this.onTrackEnded));
       this.audioContext = await audioContext({ sampleRate: this.sampleRate });
-      this.source = this.audioContext.createMediaStreamSource(this.stream);
+      try {
+        this.source = this.audioContext.createMediaStreamSource(this.stream);
+      } catch (e) {
+        // Some browsers cannot connect a microphone to a context running at
+        // a different rate than the device, so capture at the device rate
+        // and let the worklet resample
+        this.audioContext = await audioContext();
+        this.source = this.audioContext.createMediaStreamSource(this.stream);
+      }
 
       const workletName = 'audio-recorder-worklet';
       const src = createWorketFromSrc(workletName, AudioRecordingWorklet);
@@ -65,7 +149,8 @@ export class AudioRecorder extends EventEmitter {
       await this.audioContext.audioWorklet.addModule(src);
       this.recordingWorklet = new AudioWorkletNode(
         this.audioContext,
-        workletName
+        workletName,
+        { processorOptions: { targetSampleRate: this.sampleRate } }
       );
 
       this.recordingWorklet.port.onmessage = async (ev: MessageEvent) => {
@@ -90,10 +175,44 @@ export class AudioRecorder extends EventEmitter {
       };
 
       this.source.connect(this.vuWorklet);
+
+      // voice activity worklet, emits `speechstart` and `speechend`
+      const vadWorkletName = 'voice-activity';
+      await this.audioContext.audioWorklet.addModule(
+        createWorketFromSrc(vadWorkletName, VoiceActivityWorklet)
+      );
+      this.vadWorklet = new AudioWorkletNode(this.audioContext, vadWorkletName);
+      this.vadWorklet.port.onmessage = (ev: MessageEvent) => {
+        this.speaking = ev.data.speaking;
+        this.updateSuppression();
+        this.emit(ev.data.speaking ? 'speechstart' : 'speechend');
+      };
+
+      this.source.connect(this.vadWorklet);
       this.recording = true;
       resolve();
       this.starting = null;
     });
+    this.starting = starting;
+    await starting;
+  }
+
+  /**
+   * Sets the level of the audio currently played by the agent, which the
+   * microphone may pick up as echo. While it is audible and no local speech
+   * is detected, the recorded audio is attenuated.
+   * @param level RMS level of the played audio between 0 and 1
+   */
+  setReferenceLevel(level: number) {
+    this.referenceLevel = level > REFERENCE_SILENCE_LEVEL ? level : 0;
+    this.vadWorklet?.port.postMessage({ referenceLevel: this.referenceLevel });
+    this.updateSuppression();
+  }
+
+  private updateSuppression() {
+    this.recordingWorklet?.port.postMessage({
+      suppress: this.referenceLevel > 0 && !this.speaking,
+    });
   }
 
   stop() {
@@ -101,13 +220,22 @@ export class AudioRecorder extends EventEmitter {
     // such as if the Websocket immediately hangs up
     const handleStop = () => {
       this.source?.disconnect();
-      this.stream?.getTracks().forEach(track => track.stop());
+      this.stream?.getTracks().forEach(track => {
+        track.removeEventListener('ended', this.onTrackEnded);
+        track.stop();
+      });
       this.stream = undefined;
+      this.audioContext?.close();
+      this.audioContext = undefined;
       this.recordingWorklet = undefined;
       this.vuWorklet = undefined;
+      this.vadWorklet = undefined;
+      this.speaking = false;
+      this.recording = false;
     };
     if (this.starting) {
-      this.starting.then(handleStop);
+      // Nothing is left to stop when starting failed
+      this.starting.then(handleStop, () => {});
       return;
     }
     handleStop();
@@ -22,22 +22,79 @@ import {
   createWorketFromSrc,
   registeredWorklets,
 } from './audioworklet-registry';
+import { DEFAULT_OUTPUT_SAMPLE_RATE } from './constants';
+import { JitterBuffer } from './jitter-buffer';
+import { pcm16ToFloat32 } from './pcm';
+import {
+  createEffectChain,
+  EffectChain,
+  getEffectTail,
+  getPlaybackRate,
+  loadVoiceEffects,
+  VoiceEffect,
+} from './voice-effects';
+
+// `setSinkId` is not part of the TypeScript DOM types for `AudioContext` yet
+type AudioContextWithSink = AudioContext & {
+  sinkId?: string | object;
+  setSinkId?: (sinkId: string) => Promise<void>;
+};
+
+/**
+ * Whether the browser can route Web Audio output to a chosen device.
+ */
+export function canSelectOutputDevice() {
+  return (
+    typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype
+  );
+}
+
+// Longest silence in the middle of a turn counted as an underrun. Longer
+// pauses, e.g. while a tool call is answered, start a new burst.
+const MAX_UNDERRUN_GAP = 1;
+
+/**
+ * Playback statistics of an `AudioStreamer`.
+ */
+export type PlaybackStats = {
+  // Audio scheduled and not played yet
+  bufferedMs: number;
+  // Latency the jitter buffer currently aims for
+  targetLatencyMs: number;
+  // Variation of the chunk arrival times
+  jitterMs: number;
+  // Times playback ran dry in the middle of a turn
+  underruns: number;
+  // Time from the arrival of the latest chunk until it is heard, including
+  // the output latency of the device
+  latencyMs: number;
+};
 
 export class AudioStreamer {
-  private sampleRate: number = 24000;
-  private bufferSize: number = 7680;
-  // A queue of audio buffers to be played. Each buffer is a Float32Array.
-  private audioQueue: Float32Array[] = [];
+  // Sample rate of chunks added without one
+  private sampleRate: number = DEFAULT_OUTPUT_SAMPLE_RATE;
   private isPlaying: boolean = false;
   // Indicates if the stream has finished playing, e.g., interrupted.
   private isStreamComplete: boolean = false;
-  private checkInterval: number | null = null;
+  // Context time at which the audio scheduled so far ends
   private scheduledTime: number = 0;
-  private initialBufferTime: number = 0.1; //0.1 // 100ms initial buffer
-  // Web Audio API nodes. source => gain => destination
+  // Decides how far ahead of its arrival audio is scheduled
+  private jitterBuffer = new JitterBuffer();
+  // Sources scheduled and not yet ended
+  private sources: Set<AudioBufferSourceNode> = new Set();
+  // Time from the arrival of the latest chunk until it is heard, in seconds
+  private latency: number = 0;
+  // Web Audio API nodes. source => effects => gain => destination
   public gainNode: GainNode;
   public source: AudioBufferSourceNode;
+  // Measures the audible output, used as the echo reference. gain => analyser
+  private analyser: AnalyserNode;
+  private analyserData: Float32Array<ArrayBuffer>;
   private endOfQueueAudioSource: AudioBufferSourceNode | null = null;
+  // Voice effects applied to the played audio, see `setEffects`
+  private effects: VoiceEffect[] = [];
+  private effectChain: EffectChain;
+  private playbackRate: number = 1;
 
   public onComplete = () => {};
 
@@ -45,9 +102,111 @@ export class AudioStreamer {
     this.gainNode = this.context.createGain();
     this.source = this.context.createBufferSource();
     this.gainNode.connect(this.context.destination);
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.analyserData = new Float32Array(this.analyser.fftSize);
+    this.gainNode.connect(this.analyser);
+    this.effectChain = this.createEffectChain();
     this.addPCM16 = this.addPCM16.bind(this);
   }
 
+  /**
+   * Applies voice effects to the audio played from now on, in order. Audio
+   * already scheduled plays out through the previous effects, so switching
+   * does not cut it off.
+   */
+  async setEffects(effects: VoiceEffect[]) {
+    await loadVoiceEffects(this.context, effects);
+    const previous = this.effectChain;
+    const tail = getEffectTail(this.effects);
+    this.effects = effects;
+    this.playbackRate = getPlaybackRate(effects);
+    this.effectChain = this.createEffectChain();
+
+    // Release the previous chain once its sources have ended and the tail
+    // of effects like reverb has faded
+    const pending = new Set(this.sources);
+    const release = () =>
+      setTimeout(
+        () => previous.nodes.forEach(node => node.disconnect()),
+        tail * 1000
+      );
+    if (!pending.size) {
+      release();
+      return;
+    }
+    pending.forEach(source =>
+      source.addEventListener('ended', () => {
+        pending.delete(source);
+        if (!pending.size) release();
+      })
+    );
+  }
+
+  private createEffectChain() {
+    const chain = createEffectChain(this.context, this.effects);
+    chain.output.connect(this.gainNode);
+    return chain;
+  }
+
+  /**
+   * Whether audio is audible or queued to be played right now.
+   */
+  get playing() {
+    return this.scheduledTime > this.context.currentTime;
+  }
+
+  /**
+   * Context time of the audio heard right now. Audio is rendered ahead of
+   * what comes out of the speakers by the output latency, so this is behind
+   * `context.currentTime`.
+   */
+  getOutputTime() {
+    const { contextTime } = this.context.getOutputTimestamp?.() ?? {};
+    if (contextTime !== undefined) return contextTime;
+    return (
+      this.context.currentTime -
+      (this.context.outputLatency || this.context.baseLatency || 0)
+    );
+  }
+
+  /**
+   * RMS level of the audio currently played, between 0 and 1.
+   */
+  getOutputLevel() {
+    this.analyser.getFloatTimeDomainData(this.analyserData);
+    let sum = 0;
+    for (let i = 0; i < this.analyserData.length; i++) {
+      sum += this.analyserData[i] * this.analyserData[i];
+    }
+    return Math.sqrt(sum / this.analyserData.length);
+  }
+
+  /**
+   * Lowers the playback volume without stopping, e.g. while the user may be
+   * talking over the agent.
+   */
+  duck(level = 0.2) {
+    this.gainNode.gain.setTargetAtTime(level, this.context.currentTime, 0.02);
+  }
+
+  /**
+   * Restores the playback volume after `duck`.
+   */
+  unduck() {
+    this.gainNode.gain.setTargetAtTime(1, this.context.currentTime, 0.05);
+  }
+
+  /**
+   * Plays through another output device, see `canSelectOutputDevice`.
+   * @param deviceId id from `enumerateDevices`, empty for the default
+   */
+  async setOutputDevice(deviceId: string) {
+    const context = this.context as AudioContextWithSink;
+    if (!context.setSinkId || context.sinkId === deviceId) return;
+    await context.setSinkId(deviceId);
+  }
+
   async addWorklet<T extends (d: any) => void>(
     workletName: string,
     workletSrc: string,
@@ -81,161 +240,148 @@ export class AudioStreamer {
   }
 
   /**
-   * Converts a Uint8Array of PCM16 audio data into a Float32Array.
-   * PCM16 is a common raw audio format, but the Web Audio API generally
-   * expects audio data as Float32Arrays with samples normalized between -1.0 and 1.0.
-   * This function handles that conversion.
+   * Schedules PCM16 audio for playback as soon as it arrives, the target
+   * latency of the jitter buffer after the audio already scheduled.
    * @param chunk The Uint8Array containing PCM16 audio data.
-   * @returns A Float32Array representing the converted audio data.
+   * @param sampleRate The sample rate of the chunk, as given in its mimeType.
+   * The Web Audio API resamples it to the rate of the context.
    */
-  private _processPCM16Chunk(chunk: Uint8Array): Float32Array {
-    const float32Array = new Float32Array(chunk.length / 2);
-    const dataView = new DataView(chunk.buffer);
-
-    for (let i = 0; i < chunk.length / 2; i++) {
-      try {
-        const int16 = dataView.getInt16(i * 2, true);
-        float32Array[i] = int16 / 32768;
-      } catch (e) {
-        console.error(e);
-      }
-    }
-    return float32Array;
-  }
-
-  addPCM16(chunk: Uint8Array) {
+  addPCM16(chunk: Uint8Array, sampleRate: number = this.sampleRate) {
+    const streamComplete = this.isStreamComplete;
     // Reset the stream complete flag when a new chunk is added.
     this.isStreamComplete = false;
-    // Process the chunk into a Float32Array
-    let processingBuffer = this._processPCM16Chunk(chunk);
-    // Add the processed buffer to the queue if it's larger than the buffer size.
-    // This is to ensure that the buffer is not too large.
-    while (processingBuffer.length >= this.bufferSize) {
-      const buffer = processingBuffer.slice(0, this.bufferSize);
-      this.audioQueue.push(buffer);
-      processingBuffer = processingBuffer.slice(this.bufferSize);
-    }
-    // Add the remaining buffer to the queue if it's not empty.
-    if (processingBuffer.length > 0) {
-      this.audioQueue.push(processingBuffer);
+    const audioBuffer = this.createAudioBuffer(
+      pcm16ToFloat32(chunk),
+      sampleRate
+    );
+    const duration = audioBuffer.duration / this.playbackRate;
+    const now = this.context.currentTime;
+
+    // Everything scheduled so far has been played
+    const idle = this.scheduledTime <= now;
+    if (
+      idle &&
+      this.isPlaying &&
+      !streamComplete &&
+      now - this.scheduledTime < MAX_UNDERRUN_GAP
+    ) {
+      // The chunk still counts towards the burst it was late for
+      this.jitterBuffer.underrun();
+    } else if (idle) {
+      // A new turn or a pause
+      this.jitterBuffer.endBurst();
     }
-    // Start playing if not already playing.
-    if (!this.isPlaying) {
-      this.isPlaying = true;
-      // Initialize scheduledTime only when we start playing
-      this.scheduledTime = this.context.currentTime + this.initialBufferTime;
-      this.scheduleNextBuffer();
+    this.jitterBuffer.arrive(now, duration);
+    if (idle) {
+      // Buffer again before playing, also after an underrun
+      this.jitterBuffer.startBurst(now, duration);
+      this.scheduledTime = now + this.jitterBuffer.targetLatency;
     }
+    this.isPlaying = true;
+
+    const startTime = this.scheduledTime;
+    this.scheduleBuffer(audioBuffer, startTime);
+    this.scheduledTime = startTime + duration;
+    this.latency =
+      startTime -
+      now +
+      (this.context.outputLatency || this.context.baseLatency || 0);
   }
 
-  private createAudioBuffer(audioData: Float32Array): AudioBuffer {
+  private createAudioBuffer(
+    audioData: Float32Array,
+    sampleRate: number
+  ): AudioBuffer {
     const audioBuffer = this.context.createBuffer(
       1,
       audioData.length,
-      this.sampleRate
+      sampleRate
     );
     audioBuffer.getChannelData(0).set(audioData);
     return audioBuffer;
   }
 
-  private scheduleNextBuffer() {
-    const SCHEDULE_AHEAD_TIME = 0.2;
+  private scheduleBuffer(audioBuffer: AudioBuffer, startTime: number) {
+    const source = this.context.createBufferSource();
+    this.sources.add(source);
 
-    while (
-      this.audioQueue.length > 0 &&
-      this.scheduledTime < this.context.currentTime + SCHEDULE_AHEAD_TIME
-    ) {
-      const audioData = this.audioQueue.shift()!;
-      const audioBuffer = this.createAudioBuffer(audioData);
-      const source = this.context.createBufferSource();
-
-      if (this.audioQueue.length === 0) {
-        if (this.endOfQueueAudioSource) {
-          this.endOfQueueAudioSource.onended = null;
+    if (this.endOfQueueAudioSource) {
+      this.endOfQueueAudioSource.onended = null;
+    }
+    this.endOfQueueAudioSource = source;
+    source.onended = () => {
+      this.sources.delete(source);
+      if (this.endOfQueueAudioSource === source) {
+        this.endOfQueueAudioSource = null;
+        if (this.isStreamComplete) {
+          this.isPlaying = false;
         }
-        this.endOfQueueAudioSource = source;
-        source.onended = () => {
-          if (
-            !this.audioQueue.length &&
-            this.endOfQueueAudioSource === source
-          ) {
-            this.endOfQueueAudioSource = null;
-            this.onComplete();
-          }
-        };
+        this.onComplete();
       }
+    };
 
-      source.buffer = audioBuffer;
-      source.connect(this.gainNode);
-
-      const worklets = registeredWorklets.get(this.context);
-
-      if (worklets) {
-        Object.entries(worklets).forEach(([workletName, graph]) => {
-          const { node, handlers } = graph;
-          if (node) {
-            source.connect(node);
-            node.port.onmessage = function (ev: MessageEvent) {
-              handlers.forEach(handler => {
-                handler.call(node.port, ev);
-              });
-            };
-            node.connect(this.context.destination);
-          }
-        });
-      }
-      // Ensure we never schedule in the past
-      const startTime = Math.max(this.scheduledTime, this.context.currentTime);
-      source.start(startTime);
-      this.scheduledTime = startTime + audioBuffer.duration;
-    }
+    source.buffer = audioBuffer;
+    source.playbackRate.value = this.playbackRate;
+    source.connect(this.effectChain.input);
 
-    if (this.audioQueue.length === 0) {
-      if (this.isStreamComplete) {
-        this.isPlaying = false;
-        if (this.checkInterval) {
-          clearInterval(this.checkInterval);
-          this.checkInterval = null;
-        }
-      } else {
-        if (!this.checkInterval) {
-          this.checkInterval = window.setInterval(() => {
-            if (this.audioQueue.length > 0) {
-              this.scheduleNextBuffer();
-            }
-          }, 100) as unknown as number;
+    const worklets = registeredWorklets.get(this.context);
+
+    if (worklets) {
+      Object.entries(worklets).forEach(([workletName, graph]) => {
+        const { node, handlers } = graph;
+        if (node) {
+          source.connect(node);
+          node.port.onmessage = function (ev: MessageEvent) {
+            handlers.forEach(handler => {
+              handler.call(node.port, ev);
+            });
+          };
+          node.connect(this.context.destination);
         }
-      }
-    } else {
-      const nextCheckTime =
-        (this.scheduledTime - this.context.currentTime) * 1000;
-      setTimeout(
-        () => this.scheduleNextBuffer(),
-        Math.max(0, nextCheckTime - 50)
-      );
+      });
     }
+    source.start(startTime);
+  }
+
+  /**
+   * Statistics of the playback, e.g. for a debug overlay.
+   */
+  getStats(): PlaybackStats {
+    return {
+      bufferedMs:
+        Math.max(0, this.scheduledTime - this.context.currentTime) * 1000,
+      targetLatencyMs: this.jitterBuffer.targetLatency * 1000,
+      jitterMs: this.jitterBuffer.jitter * 1000,
+      underruns: this.jitterBuffer.underruns,
+      latencyMs: this.latency * 1000,
+    };
   }
 
   stop() {
     this.isPlaying = false;
     this.isStreamComplete = true;
-    this.audioQueue = [];
+    this.jitterBuffer.endBurst();
     this.scheduledTime = this.context.currentTime;
 
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-      this.checkInterval = null;
-    }
-
     this.gainNode.gain.linearRampToValueAtTime(
       0,
       this.context.currentTime + 0.1
     );
+    // Stop the scheduled sources once faded out, as they also feed the
+    // worklets measuring the output
+    this.sources.forEach(source => source.stop(this.context.currentTime + 0.1));
+    this.sources.clear();
+    this.endOfQueueAudioSource = null;
 
     setTimeout(() => {
       this.gainNode.disconnect();
       this.gainNode = this.context.createGain();
       this.gainNode.connect(this.context.destination);
+      this.gainNode.connect(this.analyser);
+      // Start over with a new chain, so the tail of effects like reverb
+      // stays muted
+      this.effectChain.nodes.forEach(node => node.disconnect());
+      this.effectChain = this.createEffectChain();
     }, 200);
   }
 
@@ -244,12 +390,18 @@ export class AudioStreamer {
       await this.context.resume();
     }
     this.isStreamComplete = false;
-    this.scheduledTime = this.context.currentTime + this.initialBufferTime;
+    this.scheduledTime =
+      this.context.currentTime + this.jitterBuffer.targetLatency;
     this.gainNode.gain.setValueAtTime(1, this.context.currentTime);
   }
 
+  /**
+   * Marks the end of the streamed audio, e.g. when the turn is complete, so
+   * the silence that follows is not counted as an underrun.
+   */
   complete() {
     this.isStreamComplete = true;
+    this.jitterBuffer.endBurst();
     this.onComplete();
   }
 }
@@ -45,3 +45,32 @@ export const createWorketFromSrc = (
 
   return URL.createObjectURL(script);
 };
+
+const loadedModules: WeakMap<
+  BaseAudioContext,
+  Map<string, Promise<void>>
+> = new WeakMap();
+
+/**
+ * Adds a worklet module to a context once, so processors can be created by
+ * name any number of times, e.g. for effect chains that are rebuilt.
+ */
+export const addWorkletModule = (
+  context: BaseAudioContext,
+  workletName: string,
+  workletSrc: string
+) => {
+  let modules = loadedModules.get(context);
+  if (!modules) {
+    modules = new Map();
+    loadedModules.set(context, modules);
+  }
+  let loading = modules.get(workletName);
+  if (!loading) {
+    loading = context.audioWorklet.addModule(
+      createWorketFromSrc(workletName, workletSrc)
+    );
+    modules.set(workletName, loading);
+  }
+  return loading;
+};
@@ -0,0 +1,95 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { describe, expect, it } from 'vitest';
+import { parseRigManifest } from './avatar-rig';
+
+const BASE_URL = 'https://example.com/rigs/cat/rig.json';
+
+describe('parseRigManifest', () => {
+  it('resolves the layers against the URL of the manifest', () => {
+    const manifest = parseRigManifest(
+      {
+        width: 400,
+        height: 300,
+        layers: [
+          { src: 'body.png' },
+          { src: '/shared/eye.png', part: 'eye', pivot: [100, 80], x: 50 },
+          { src: 'o.png', part: 'mouth', viseme: 'round' },
+        ],
+      },
+      BASE_URL
+    );
+    expect(manifest).toEqual({
+      width: 400,
+      height: 300,
+      layers: [
+        { src: 'https://example.com/rigs/cat/body.png' },
+        {
+          src: 'https://example.com/shared/eye.png',
+          part: 'eye',
+          pivot: [100, 80],
+          x: 50,
+        },
+        {
+          src: 'https://example.com/rigs/cat/o.png',
+          part: 'mouth',
+          viseme: 'round',
+        },
+      ],
+    });
+  });
+
+  it('leaves out fields the format does not know', () => {
+    const manifest = parseRigManifest(
+      { width: 1, height: 1, layers: [{ src: 'a.png', onload: 'x' }], x: 1 },
+      BASE_URL
+    );
+    expect(manifest).toEqual({
+      width: 1,
+      height: 1,
+      layers: [{ src: 'https://example.com/rigs/cat/a.png' }],
+    });
+  });
+
+  it('rejects what is not a manifest object', () => {
+    for (const data of [null, 'rig', [], 42]) {
+      expect(() => parseRigManifest(data, BASE_URL)).toThrow(
+        'Invalid rig manifest: not a JSON object'
+      );
+    }
+  });
+
+  it('lists every problem of an invalid manifest', () => {
+    expect(() =>
+      parseRigManifest(
+        {
+          width: -1,
+          height: '300',
+          layers: [
+            null,
+            { part: 'tail' },
+            { src: 'a.png', viseme: 'ee', pivot: [1], width: '10' },
+          ],
+        },
+        BASE_URL
+      )
+    ).toThrow(
+      'Invalid rig manifest: width must be a positive number, ' +
+        'height must be a positive number, ' +
+        'layer 0 is not an object, ' +
+        'layer 1 has no src, ' +
+        'layer 1 has the unknown part "tail", ' +
+        'layer 2 has the unknown viseme "ee", ' +
+        'layer 2 has a width that is not a number, ' +
+        'layer 2 has a pivot that is not [x, y]'
+    );
+  });
+
+  it('requires layers', () => {
+    expect(() =>
+      parseRigManifest({ width: 1, height: 1, layers: [] }, BASE_URL)
+    ).toThrow('layers must be a non-empty list');
+  });
+});
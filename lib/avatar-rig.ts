@@ -0,0 +1,311 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { AvatarInputs, svgToDataUrl } from './avatars';
+import { isRecord } from './utils';
+import { Viseme } from './visemes';
+
+/**
+ * What a layer of a rig moves with. Static layers, e.g. the body, are drawn
+ * as they are.
+ */
+export type RigPart = 'static' | 'eye' | 'mouth' | 'brow' | 'blush';
+
+export type RigLayer = {
+  /** URL of the image, relative to the manifest. */
+  src: string;
+  /** Position and size of the image on the rig, defaults to all of it. */
+  x?: number;
+  y?: number;
+  width?: number;
+  height?: number;
+  part?: RigPart;
+  /** Point the layer scales and rotates around, defaults to its center. */
+  pivot?: [number, number];
+  /**
+   * For mouths, the shape the layer shows instead of the mouth without a
+   * shape, e.g. a round mouth for "o".
+   */
+  viseme?: Viseme;
+  /** For brows, the side of the face, which sets how they tilt. */
+  side?: 'left' | 'right';
+};
+
+/**
+ * A layered 2D avatar as described by its JSON manifest. Layers are drawn
+ * in order, the first one at the back.
+ */
+export type RigManifest = {
+  width: number;
+  height: number;
+  layers: RigLayer[];
+};
+
+export type LoadedRig = RigManifest & {
+  images: HTMLImageElement[];
+};
+
+const RIG_PARTS: RigPart[] = ['static', 'eye', 'mouth', 'brow', 'blush'];
+const VISEMES: Viseme[] = ['closed', 'open', 'wide', 'round'];
+
+const isNumber = (value: unknown): value is number =>
+  typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Checks a layer of a manifest and copies its known fields, resolving its
+ * source against the URL of the manifest. Problems are added to `problems`.
+ */
+function parseRigLayer(
+  layer: unknown,
+  i: number,
+  baseUrl: string,
+  problems: string[]
+): RigLayer | null {
+  if (!isRecord(layer)) {
+    problems.push(`layer ${i} is not an object`);
+    return null;
+  }
+  const { src, part, viseme, pivot, side } = layer;
+  const count = problems.length;
+
+  let url = '';
+  if (typeof src !== 'string') {
+    problems.push(`layer ${i} has no src`);
+  } else {
+    try {
+      url = new URL(src, baseUrl).href;
+    } catch {
+      problems.push(`layer ${i} has the invalid src "${src}"`);
+    }
+  }
+  if (part !== undefined && !RIG_PARTS.includes(part as RigPart)) {
+    problems.push(`layer ${i} has the unknown part "${part}"`);
+  }
+  if (viseme !== undefined && !VISEMES.includes(viseme as Viseme)) {
+    problems.push(`layer ${i} has the unknown viseme "${viseme}"`);
+  }
+  if (side !== undefined && side !== 'left' && side !== 'right') {
+    problems.push(`layer ${i} has the unknown side "${side}"`);
+  }
+  const box: Pick<RigLayer, 'x' | 'y' | 'width' | 'height'> = {};
+  for (const key of ['x', 'y', 'width', 'height'] as const) {
+    const value = layer[key];
+    if (value === undefined) continue;
+    if (isNumber(value)) box[key] = value;
+    else problems.push(`layer ${i} has a ${key} that is not a number`);
+  }
+  const validPivot =
+    Array.isArray(pivot) && pivot.length === 2 && pivot.every(isNumber);
+  if (pivot !== undefined && !validPivot) {
+    problems.push(`layer ${i} has a pivot that is not [x, y]`);
+  }
+  if (problems.length > count) return null;
+
+  return {
+    src: url,
+    ...box,
+    ...(part !== undefined && { part: part as RigPart }),
+    ...(validPivot && { pivot: pivot as [number, number] }),
+    ...(viseme !== undefined && { viseme: viseme as Viseme }),
+    ...(side !== undefined && { side: side as 'left' | 'right' }),
+  };
+}
+
+/**
+ * Checks a parsed manifest, e.g. fetched JSON, and resolves the sources of
+ * its layers against the URL it was loaded from. Fields the manifest format
+ * does not know are left out.
+ * @throws if the manifest is invalid, listing its problems
+ */
+export function parseRigManifest(data: unknown, baseUrl: string): RigManifest {
+  if (!isRecord(data)) {
+    throw new Error('Invalid rig manifest: not a JSON object');
+  }
+  const { width, height, layers } = data;
+  const problems: string[] = [];
+  if (!isNumber(width) || width <= 0) {
+    problems.push('width must be a positive number');
+  }
+  if (!isNumber(height) || height <= 0) {
+    problems.push('height must be a positive number');
+  }
+  const parsed: RigLayer[] = [];
+  if (!Array.isArray(layers) || !layers.length) {
+    problems.push('layers must be a non-empty list');
+  } else {
+    layers.forEach((layer: unknown, i) => {
+      const rigLayer = parseRigLayer(layer, i, baseUrl, problems);
+      if (rigLayer) parsed.push(rigLayer);
+    });
+  }
+  if (problems.length) {
+    throw new Error(`Invalid rig manifest: ${problems.join(', ')}`);
+  }
+  return { width: width as number, height: height as number, layers: parsed };
+}
+
+async function loadImage(src: string) {
+  const image = new Image();
+  image.src = src;
+  await image.decode();
+  return image;
+}
+
+/**
+ * Loads the images of a rig, and its manifest first when given its URL.
+ */
+export async function loadRig(
+  source: string | RigManifest,
+  signal?: AbortSignal
+): Promise<LoadedRig> {
+  let manifest = source as RigManifest;
+  if (typeof source === 'string') {
+    const response = await fetch(source, { signal });
+    if (!response.ok) {
+      throw new Error(`Could not load ${source}: ${response.status}`);
+    }
+    manifest = parseRigManifest(
+      await response.json(),
+      new URL(source, location.href).href
+    );
+  }
+  const images = await Promise.all(
+    manifest.layers.map(layer => loadImage(layer.src))
+  );
+  return { ...manifest, images };
+}
+
+// Fraction of the height of the rig the brows move up and down
+const BROW_TRAVEL = 0.03;
+// Rotation of the brows in radians when fully tilted
+const BROW_ROTATION = 0.3;
+
+/**
+ * Draws a rig with its eyes, mouth, brows and blush following the inputs.
+ * The canvas may be of any size, the rig is scaled to fit.
+ */
+export function renderRig(
+  ctx: CanvasRenderingContext2D,
+  rig: LoadedRig,
+  { eyeScale, mouthScale, mouthShape, pose }: AvatarInputs
+) {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.save();
+  ctx.scale(width / rig.width, height / rig.height);
+
+  const mouthOpen = mouthShape !== 'closed';
+  // Mouths made for the current shape replace the one without a shape
+  const shapedMouth = rig.layers.some(
+    layer => layer.part === 'mouth' && layer.viseme === mouthShape
+  );
+
+  rig.layers.forEach((layer, i) => {
+    const {
+      x = 0,
+      y = 0,
+      width: w = rig.width,
+      height: h = rig.height,
+      part = 'static',
+    } = layer;
+    const [px, py] = layer.pivot ?? [x + w / 2, y + h / 2];
+
+    ctx.save();
+    ctx.translate(px, py);
+    switch (part) {
+      case 'eye':
+        ctx.scale(1, Math.max(0.05, eyeScale) * pose.eyeOpen);
+        break;
+      case 'mouth': {
+        if (layer.viseme ? layer.viseme !== mouthShape : shapedMouth) {
+          ctx.restore();
+          return;
+        }
+        const open = mouthOpen ? 1 + mouthScale * 2 : 1;
+        ctx.scale(1, open * (pose.mouthCurve < 0 ? -1 : 1));
+        break;
+      }
+      case 'brow':
+        ctx.translate(0, -pose.browRaise * rig.height * BROW_TRAVEL);
+        ctx.rotate(
+          pose.browTilt * BROW_ROTATION * (layer.side === 'left' ? -1 : 1)
+        );
+        break;
+      case 'blush':
+        ctx.globalAlpha = pose.blush;
+        break;
+    }
+    ctx.translate(-px, -py);
+    ctx.drawImage(rig.images[i], x, y, w, h);
+    ctx.restore();
+  });
+
+  // Tint what was drawn in the pulse color
+  if (pose.pulse > 0) {
+    ctx.globalCompositeOperation = 'source-atop';
+    ctx.fillStyle = `rgba(${pose.pulseColor.join(', ')}, ${pose.pulse * 0.35})`;
+    ctx.fillRect(0, 0, rig.width, rig.height);
+  }
+  ctx.restore();
+}
+
+const svgLayer = (body: string) =>
+  svgToDataUrl(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400">${body}</svg>`
+  );
+
+/**
+ * A rig of a round head in the given color, for agents with a rig avatar
+ * but no manifest of their own.
+ */
+export const createDefaultRig = (color: string): RigManifest => ({
+  width: 400,
+  height: 400,
+  layers: [
+    { src: svgLayer(`<circle cx="200" cy="210" r="170" fill="${color}" />`) },
+    {
+      src: svgLayer(
+        '<ellipse cx="110" cy="235" rx="30" ry="18" fill="#ff6987" /><ellipse cx="290" cy="235" rx="30" ry="18" fill="#ff6987" />'
+      ),
+      part: 'blush',
+    },
+    {
+      src: svgLayer('<ellipse cx="145" cy="175" rx="16" ry="24" />'),
+      part: 'eye',
+      pivot: [145, 175],
+    },
+    {
+      src: svgLayer('<ellipse cx="255" cy="175" rx="16" ry="24" />'),
+      part: 'eye',
+      pivot: [255, 175],
+    },
+    {
+      src: svgLayer(
+        '<path d="M120 128 h50" stroke="black" stroke-width="10" stroke-linecap="round" />'
+      ),
+      part: 'brow',
+      side: 'left',
+      pivot: [145, 128],
+    },
+    {
+      src: svgLayer(
+        '<path d="M230 128 h50" stroke="black" stroke-width="10" stroke-linecap="round" />'
+      ),
+      part: 'brow',
+      side: 'right',
+      pivot: [255, 128],
+    },
+    {
+      src: svgLayer('<path d="M150 260 Q200 300 250 260 Q200 280 150 260" />'),
+      part: 'mouth',
+      pivot: [200, 270],
+    },
+    {
+      src: svgLayer('<ellipse cx="200" cy="272" rx="20" ry="22" />'),
+      part: 'mouth',
+      viseme: 'round',
+      pivot: [200, 272],
+    },
+  ],
+});
@@ -0,0 +1,217 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { FacePose } from './expressions';
+import { isRecord } from './utils';
+import { Viseme } from './visemes';
+
+/**
+ * What every avatar renderer draws from, whatever it looks like.
+ */
+export type AvatarInputs = {
+  /** How open the eyes are, 0 while blinking. */
+  eyeScale: number;
+  /** How open the mouth is, between 0 and 0.5. */
+  mouthScale: number;
+  /** The shape of the mouth for the sound being spoken. */
+  mouthShape: Viseme;
+  /** The expression of the face. */
+  pose: FacePose;
+  /** Tilt of the head in degrees. */
+  tilt: number;
+  /** Vertical offset of the hovering avatar in pixels. */
+  hover: number;
+};
+
+/**
+ * How an agent is drawn. Sprite sheets and rigs without a source of their
+ * own use one generated in the color of the agent.
+ */
+export type AvatarConfig =
+  | { type: 'basic' }
+  | {
+      type: 'sprite';
+      /** URL of the sprite sheet, with the frames of `SPRITE_FRAMES`. */
+      src?: string;
+    }
+  | {
+      type: 'rig';
+      /** URL of the JSON manifest of the rig, see `lib/avatar-rig.ts`. */
+      manifest?: string;
+    };
+
+export type AvatarType = AvatarConfig['type'];
+
+export const AVATAR_TYPES: Record<AvatarType, string> = {
+  basic: 'Face',
+  sprite: 'Sprite sheet',
+  rig: 'Rig',
+};
+
+// Schemes an avatar may load its sprite sheet or rig manifest from
+const AVATAR_URL_PROTOCOLS = ['http:', 'https:', 'data:'];
+
+// Whether a value is a URL an avatar can load, relative ones included.
+// Data URLs must hold the given type of content, e.g. `image/`.
+function isAvatarUrl(value: unknown, dataType: string) {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    const { protocol } = new URL(value, 'https://avatar.invalid/');
+    return (
+      AVATAR_URL_PROTOCOLS.includes(protocol) &&
+      (protocol !== 'data:' || value.startsWith(`data:${dataType}`))
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks an avatar read from external input, e.g. an imported agent card,
+ * and copies the fields of its type. Problems are added to `problems`.
+ */
+export function parseAvatarConfig(
+  value: unknown,
+  problems: string[]
+): AvatarConfig | null {
+  if (
+    !isRecord(value) ||
+    !(Object.keys(AVATAR_TYPES) as unknown[]).includes(value.type)
+  ) {
+    problems.push('the avatar type is unknown');
+    return null;
+  }
+  const { type, src, manifest } = value;
+  switch (type as AvatarType) {
+    case 'basic':
+      return { type: 'basic' };
+    case 'sprite':
+      if (src !== undefined && !isAvatarUrl(src, 'image/')) {
+        problems.push('the sprite sheet is not an image URL');
+        return null;
+      }
+      return {
+        type: 'sprite',
+        ...(src !== undefined && { src: src as string }),
+      };
+    case 'rig':
+      if (
+        manifest !== undefined &&
+        !isAvatarUrl(manifest, 'application/json')
+      ) {
+        problems.push('the rig manifest is not a JSON URL');
+        return null;
+      }
+      return {
+        type: 'rig',
+        ...(manifest !== undefined && { manifest: manifest as string }),
+      };
+  }
+}
+
+/**
+ * The frames of a sprite sheet, square and side by side in a single row in
+ * this order.
+ */
+export const SPRITE_FRAMES = [
+  'closed',
+  'open',
+  'wide',
+  'round',
+  'blink',
+] as const;
+
+export type SpriteFrame = (typeof SPRITE_FRAMES)[number];
+
+// Mouth openness below which the mouth is drawn closed
+const MOUTH_OPEN_THRESHOLD = 0.03;
+
+// Eye openness below which the eyes are drawn closed
+const EYES_CLOSED_THRESHOLD = 0.35;
+
+/**
+ * The sprite frame showing the eyes and mouth of the inputs. Blinks show
+ * only while the mouth is closed, as the sheet has no frame with both.
+ */
+export function getSpriteFrame({
+  eyeScale,
+  mouthScale,
+  mouthShape,
+  pose,
+}: AvatarInputs): SpriteFrame {
+  const mouthOpen =
+    mouthShape !== 'closed' && mouthScale > MOUTH_OPEN_THRESHOLD;
+  if (mouthOpen) return mouthShape;
+  return eyeScale * pose.eyeOpen < EYES_CLOSED_THRESHOLD ? 'blink' : 'closed';
+}
+
+/**
+ * CSS transform tilting and hovering an avatar.
+ */
+export const getAvatarTransform = ({ tilt, hover }: AvatarInputs) =>
+  `translateY(${hover}px) rotate(${tilt}deg)`;
+
+/**
+ * CSS filter glowing in the pulse color of the expression.
+ */
+export const getPulseFilter = ({ pose }: AvatarInputs) =>
+  pose.pulse > 0.01
+    ? `drop-shadow(0 0 ${pose.pulse * 24}px rgba(${pose.pulseColor.join(
+        ', '
+      )}, ${pose.pulse}))`
+    : 'none';
+
+export const svgToDataUrl = (svg: string) =>
+  `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+// Size of a frame of the generated sprite sheet
+const SPRITE_SIZE = 200;
+
+const SPRITE_MOUTHS: Record<SpriteFrame, string> = {
+  closed: '<path d="M70 135 Q100 155 130 135" fill="none" />',
+  open: '<ellipse cx="100" cy="140" rx="28" ry="18" />',
+  wide: '<ellipse cx="100" cy="138" rx="38" ry="10" />',
+  round: '<ellipse cx="100" cy="140" rx="14" ry="16" />',
+  blink: '<path d="M70 135 Q100 155 130 135" fill="none" />',
+};
+
+/**
+ * A sprite sheet of a boxy face in the given color, as an SVG data URL.
+ */
+export function createSpriteSheet(color: string) {
+  const frames = SPRITE_FRAMES.map((frame, i) => {
+    const eyes =
+      frame === 'blink'
+        ? '<path d="M58 85 h28 M114 85 h28" fill="none" />'
+        : '<rect x="62" y="70" width="20" height="30" rx="8" /><rect x="118" y="70" width="20" height="30" rx="8" />';
+    return `<g transform="translate(${i * SPRITE_SIZE} 0)">
+  <rect x="20" y="20" width="160" height="160" rx="40" fill="${color}" />
+  <g fill="black" stroke="black" stroke-width="8" stroke-linecap="round">
+    ${eyes}
+    ${SPRITE_MOUTHS[frame]}
+  </g>
+</g>`;
+  });
+  return svgToDataUrl(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${
+      SPRITE_SIZE * SPRITE_FRAMES.length
+    }" height="${SPRITE_SIZE}">${frames.join('')}</svg>`
+  );
+}
+
+/**
+ * Props of the components drawing an avatar of the given type.
+ */
+export type AvatarRendererProps<T extends AvatarType = AvatarType> = {
+  inputs: AvatarInputs;
+  /** Width and height of the avatar in pixels. */
+  size: number;
+  color: string;
+  config: Extract<AvatarConfig, { type: T }>;
+  /**
+   * Called when the sprite sheet or rig of the avatar could not be loaded,
+   * and with null once it has loaded.
+   */
+  onError?: (error: Error | null) => void;
+};
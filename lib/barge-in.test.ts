@@ -0,0 +1,87 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import EventEmitter from 'eventemitter3';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { AudioRecorder } from './audio-recorder';
+import { AudioStreamer } from './audio-streamer';
+import { BargeInAction, BargeInDetector } from './barge-in';
+import { GenAILiveClient } from './genai-live-client';
+
+function setup(action: BargeInAction) {
+  const client = new EventEmitter();
+  const recorder = Object.assign(new EventEmitter(), {
+    setReferenceLevel: vi.fn(),
+  });
+  const streamer = {
+    playing: true,
+    getOutputLevel: () => 0.5,
+    stop: vi.fn(),
+    duck: vi.fn(),
+    unduck: vi.fn(),
+  };
+  const detector = new BargeInDetector(
+    client as unknown as GenAILiveClient,
+    recorder as unknown as AudioRecorder,
+    streamer as unknown as AudioStreamer,
+    { action, confirmTimeoutMs: 1000 }
+  ).attach();
+  return { client, recorder, streamer, detector };
+}
+
+describe('BargeInDetector', () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  it('drops the rest of a stopped turn when the server does not confirm', () => {
+    const { client, recorder, streamer, detector } = setup('stop');
+    const dismissed = vi.fn();
+    detector.on('dismissed', dismissed);
+
+    recorder.emit('speechstart');
+    expect(streamer.stop).toHaveBeenCalled();
+    expect(detector.dropOutput).toBe(true);
+
+    vi.advanceTimersByTime(1000);
+    expect(dismissed).toHaveBeenCalled();
+    expect(detector.dropOutput).toBe(true);
+
+    client.emit('turncomplete');
+    expect(detector.dropOutput).toBe(false);
+    detector.detach();
+  });
+
+  it('drops the rest of a stopped turn once the server confirms', () => {
+    const { client, recorder, detector } = setup('stop');
+    recorder.emit('speechstart');
+    client.emit('interrupted');
+    expect(detector.dropOutput).toBe(true);
+    client.emit('turncomplete');
+    expect(detector.dropOutput).toBe(false);
+    detector.detach();
+  });
+
+  it('restores ducked playback when the server does not confirm', () => {
+    const { recorder, streamer, detector } = setup('duck');
+    recorder.emit('speechstart');
+    expect(streamer.duck).toHaveBeenCalledWith(0.2);
+    expect(detector.dropOutput).toBe(false);
+
+    vi.advanceTimersByTime(1000);
+    expect(streamer.unduck).toHaveBeenCalled();
+    detector.detach();
+  });
+
+  it('leaves ducked playback to the app once the server confirms', () => {
+    const { client, recorder, streamer, detector } = setup('duck');
+    const confirmed = vi.fn();
+    detector.on('confirmed', confirmed);
+    recorder.emit('speechstart');
+    client.emit('interrupted');
+    vi.advanceTimersByTime(1000);
+    expect(confirmed).toHaveBeenCalled();
+    expect(streamer.unduck).not.toHaveBeenCalled();
+    detector.detach();
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import EventEmitter from 'eventemitter3';
+import { AudioRecorder } from './audio-recorder';
+import { AudioStreamer } from './audio-streamer';
+import { GenAILiveClient } from './genai-live-client';
+
+/**
+ * What happens to the agent voice when the user starts talking over it:
+ * - `duck`: lower the volume until the server confirms the interruption
+ * - `stop`: stop playback right away and drop the rest of the agent turn,
+ *   even if the server does not confirm the interruption
+ * - `off`: keep playing until the server sends `interrupted`
+ */
+export type BargeInAction = 'duck' | 'stop' | 'off';
+
+export type BargeInOptions = {
+  action: BargeInAction;
+  // Playback volume while ducked, between 0 and 1
+  duckLevel: number;
+  // Time to wait for the server `interrupted` event before treating the
+  // detected speech as a false alarm and restoring the volume
+  confirmTimeoutMs: number;
+  // Interval at which the played audio level is passed to the recorder as
+  // the echo reference
+  referenceIntervalMs: number;
+};
+
+const DEFAULT_BARGE_IN_OPTIONS: BargeInOptions = {
+  action: 'duck',
+  duckLevel: 0.2,
+  confirmTimeoutMs: 1500,
+  referenceIntervalMs: 50,
+};
+
+export interface BargeInEventTypes {
+  // Emitted when local speech is detected while the agent is speaking
+  bargein: (action: BargeInAction) => void;
+  // Emitted when the server confirms the interruption
+  confirmed: () => void;
+  // Emitted when the server did not interrupt in time, after which ducked
+  // playback is restored
+  dismissed: () => void;
+}
+
+/**
+ * Connects an `AudioRecorder` and an `AudioStreamer`: feeds the played
+ * audio level to the recorder as echo reference, and reacts to the user
+ * talking over the agent before the server notices.
+ */
+export class BargeInDetector extends EventEmitter<BargeInEventTypes> {
+  private readonly options: BargeInOptions;
+  private active = false;
+  private confirmTimer: ReturnType<typeof setTimeout> | null = null;
+  private referenceTimer: ReturnType<typeof setInterval> | null = null;
+  // Set after stopping playback locally, until the agent turn is over
+  private _dropOutput = false;
+
+  /**
+   * Whether audio from the server should be discarded because playback was
+   * stopped for a barge-in.
+   */
+  public get dropOutput() {
+    return this._dropOutput;
+  }
+
+  constructor(
+    private readonly client: GenAILiveClient,
+    private readonly recorder: AudioRecorder,
+    private readonly streamer: AudioStreamer,
+    options: Partial<BargeInOptions> = {}
+  ) {
+    super();
+    this.options = { ...DEFAULT_BARGE_IN_OPTIONS, ...options };
+    this.onSpeechStart = this.onSpeechStart.bind(this);
+    this.onInterrupted = this.onInterrupted.bind(this);
+    this.onTurnComplete = this.onTurnComplete.bind(this);
+  }
+
+  attach() {
+    this.recorder.on('speechstart', this.onSpeechStart);
+    this.client.on('interrupted', this.onInterrupted);
+    this.client.on('turncomplete', this.onTurnComplete);
+    this.referenceTimer = setInterval(
+      () =>
+        this.recorder.setReferenceLevel(
+          this.streamer.playing ? this.streamer.getOutputLevel() : 0
+        ),
+      this.options.referenceIntervalMs
+    );
+    return this;
+  }
+
+  detach() {
+    this.recorder.off('speechstart', this.onSpeechStart);
+    this.client.off('interrupted', this.onInterrupted);
+    this.client.off('turncomplete', this.onTurnComplete);
+    if (this.referenceTimer) clearInterval(this.referenceTimer);
+    this.referenceTimer = null;
+    this.recorder.setReferenceLevel(0);
+    this.reset(true);
+    this._dropOutput = false;
+  }
+
+  private onSpeechStart() {
+    const { action, duckLevel, confirmTimeoutMs } = this.options;
+    if (action === 'off' || this.active || !this.streamer.playing) return;
+
+    this.active = true;
+    if (action === 'stop') {
+      this.streamer.stop();
+      this._dropOutput = true;
+    } else {
+      this.streamer.duck(duckLevel);
+    }
+    this.emit('bargein', action);
+
+    // Stopped audio cannot pick up where it left off, so after a stop the
+    // rest of the turn is dropped until it completes, confirmed or not
+    this.confirmTimer = setTimeout(() => {
+      this.reset(true);
+      this.emit('dismissed');
+    }, confirmTimeoutMs);
+  }
+
+  private onInterrupted() {
+    if (!this.active) return;
+    // Playback is stopped by the `interrupted` handler of the app, so the
+    // volume is not restored here
+    this.reset(false);
+    this.emit('confirmed');
+  }
+
+  private onTurnComplete() {
+    this._dropOutput = false;
+  }
+
+  private reset(restoreVolume: boolean) {
+    if (this.confirmTimer) clearTimeout(this.confirmTimer);
+    this.confirmTimer = null;
+    if (restoreVolume && this.active && this.options.action === 'duck') {
+      this.streamer.unduck();
+    }
+    this.active = false;
+  }
+}
@@ -23,3 +23,12 @@
  */
 export const DEFAULT_LIVE_API_MODEL = 'gemini-2.5-flash-preview-native-audio-dialog';
 
+/**
+ * Sample rate of the PCM audio sent to the Live API
+ */
+export const DEFAULT_INPUT_SAMPLE_RATE = 16000;
+
+/**
+ * Sample rate assumed for Live API audio whose mimeType has no `rate`
+ */
+export const DEFAULT_OUTPUT_SAMPLE_RATE = 24000;
@@ -0,0 +1,190 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {
+  DEFAULT_INPUT_SAMPLE_RATE,
+  DEFAULT_OUTPUT_SAMPLE_RATE,
+} from './constants';
+import { GenAILiveClient } from './genai-live-client';
+import { pcm16ToFloat32, resampleLinear } from './pcm';
+import { base64ToArrayBuffer } from './utils';
+
+/**
+ * A transcribed turn, timed in seconds from the start of the recording.
+ */
+export type TranscriptCue = {
+  role: 'user' | 'agent';
+  start: number;
+  end: number;
+  text: string;
+};
+
+/**
+ * Both sides of a recorded conversation as separate tracks of equal length.
+ */
+export type ConversationAudio = {
+  sampleRate: number;
+  user: Float32Array;
+  agent: Float32Array;
+  transcript: TranscriptCue[];
+};
+
+/**
+ * A mono track assembled from chunks placed on a timeline. Chunks that
+ * arrive while earlier audio is still due are queued behind it, the way
+ * `AudioStreamer` plays them.
+ */
+class Track {
+  private segments: { start: number; data: Float32Array }[] = [];
+  public end = 0;
+
+  append(data: Float32Array, at: number) {
+    const start = Math.max(at, this.end);
+    this.segments.push({ start, data });
+    this.end = start + data.length;
+    return start;
+  }
+
+  // Drops everything after `at`, e.g. queued speech that was interrupted
+  truncate(at: number) {
+    this.segments = this.segments
+      .filter(s => s.start < at)
+      .map(s =>
+        s.start + s.data.length > at
+          ? { start: s.start, data: s.data.subarray(0, at - s.start) }
+          : s
+      );
+    this.end = Math.min(this.end, Math.max(at, 0));
+  }
+
+  render(length: number) {
+    const out = new Float32Array(length);
+    this.segments.forEach(({ start, data }) =>
+      out.set(data.subarray(0, Math.max(0, length - start)), start)
+    );
+    return out;
+  }
+}
+
+/**
+ * Records the microphone audio and the agent speech of a conversation,
+ * along with a timed transcript. Microphone chunks are passed in with
+ * `addInput`, agent audio and transcriptions are taken from the client.
+ */
+export class ConversationRecorder {
+  private user = new Track();
+  private agent = new Track();
+  private transcript: TranscriptCue[] = [];
+  // Start of the user and agent turns in progress, in samples
+  private userTurn: { start: number; text: string } | null = null;
+  private agentTurnStart: number | null = null;
+  private startTime = 0;
+  private _recording = false;
+  public get recording() {
+    return this._recording;
+  }
+
+  constructor(
+    private readonly client: GenAILiveClient,
+    public readonly sampleRate = DEFAULT_OUTPUT_SAMPLE_RATE
+  ) {
+    this.onAudio = this.onAudio.bind(this);
+    this.onInterrupted = this.onInterrupted.bind(this);
+    this.onInputTranscription = this.onInputTranscription.bind(this);
+    this.onComplete = this.onComplete.bind(this);
+  }
+
+  start() {
+    this.user = new Track();
+    this.agent = new Track();
+    this.transcript = [];
+    this.userTurn = null;
+    this.agentTurnStart = null;
+    this.startTime = performance.now();
+    this._recording = true;
+    this.client
+      .on('audio', this.onAudio)
+      .on('interrupted', this.onInterrupted)
+      .on('inputtranscription', this.onInputTranscription)
+      .on('complete', this.onComplete);
+  }
+
+  stop(): ConversationAudio {
+    this._recording = false;
+    this.client
+      .off('audio', this.onAudio)
+      .off('interrupted', this.onInterrupted)
+      .off('inputtranscription', this.onInputTranscription)
+      .off('complete', this.onComplete);
+
+    const length = Math.max(this.user.end, this.agent.end);
+    return {
+      sampleRate: this.sampleRate,
+      user: this.user.render(length),
+      agent: this.agent.render(length),
+      transcript: this.transcript,
+    };
+  }
+
+  /**
+   * Adds a base64 PCM16 microphone chunk, as emitted by `AudioRecorder`.
+   */
+  addInput(base64: string, sampleRate = DEFAULT_INPUT_SAMPLE_RATE) {
+    if (!this._recording) return;
+    const samples = pcm16ToFloat32(base64ToArrayBuffer(base64));
+    this.user.append(
+      resampleLinear(samples, sampleRate, this.sampleRate),
+      this.now()
+    );
+  }
+
+  // Current position of the recording in samples
+  private now() {
+    return Math.round(
+      ((performance.now() - this.startTime) / 1000) * this.sampleRate
+    );
+  }
+
+  private onAudio(data: ArrayBuffer, sampleRate: number) {
+    const samples = resampleLinear(
+      pcm16ToFloat32(data),
+      sampleRate,
+      this.sampleRate
+    );
+    const start = this.agent.append(samples, this.now());
+    if (this.agentTurnStart === null) this.agentTurnStart = start;
+  }
+
+  private onInterrupted() {
+    this.agent.truncate(this.now());
+  }
+
+  private onInputTranscription(text: string) {
+    if (!this.userTurn) this.userTurn = { start: this.now(), text: '' };
+    this.userTurn.text += text;
+  }
+
+  private onComplete(text: string) {
+    const seconds = (samples: number) => samples / this.sampleRate;
+    if (this.userTurn?.text.trim()) {
+      this.transcript.push({
+        role: 'user',
+        start: seconds(this.userTurn.start),
+        end: seconds(this.agentTurnStart ?? this.now()),
+        text: this.userTurn.text.trim(),
+      });
+    }
+    if (text.trim()) {
+      const start = this.agentTurnStart ?? this.now();
+      this.transcript.push({
+        role: 'agent',
+        start: seconds(start),
+        end: seconds(Math.max(this.agent.end, start)),
+        text: text.trim(),
+      });
+    }
+    this.userTurn = null;
+    this.agentTurnStart = null;
+  }
+}
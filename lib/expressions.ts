@@ -0,0 +1,276 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { LiveServerToolCall } from '@google/genai';
+import { GenAILiveClient } from './genai-live-client';
+import { useExpressions } from './state';
+
+export const EXPRESSIONS = [
+  'neutral',
+  'happy',
+  'sad',
+  'angry',
+  'surprised',
+  'exasperated',
+  'embarrassed',
+  'thinking',
+] as const;
+
+export type Expression = (typeof EXPRESSIONS)[number];
+
+/**
+ * Where an expression came from. Expressions the model chose with the
+ * `set_expression` tool are not overridden by the sentiment fallback.
+ */
+export type ExpressionSource = 'tool' | 'sentiment';
+
+// Time an expression is held before the face relaxes to neutral
+export const EXPRESSION_HOLD_MS = 8000;
+
+/**
+ * Features of the face an expression is made of. The neutral pose draws the
+ * face as it always looked.
+ */
+export type FacePose = {
+  /** Raises the brows, or lowers them when negative, between -1 and 1. */
+  browRaise: number;
+  /** Lifts the inner ends of the brows, or drops them when negative. */
+  browTilt: number;
+  /** Height of the open eyes relative to the neutral eyes. */
+  eyeOpen: number;
+  /** How far the lower lids cover the eyes, between 0 and 1. */
+  eyeSquint: number;
+  /** Curvature of the mouth, 1 for the smile and -1 for a frown. */
+  mouthCurve: number;
+  /** Strength of the blush on the cheeks, between 0 and 1. */
+  blush: number;
+  /** Strength of the color pulsing over the face, between 0 and 1. */
+  pulse: number;
+  /** RGB color of the pulse. */
+  pulseColor: [number, number, number];
+};
+
+export const NEUTRAL_POSE: FacePose = {
+  browRaise: 0,
+  browTilt: 0,
+  eyeOpen: 1,
+  eyeSquint: 0,
+  mouthCurve: 1,
+  blush: 0,
+  pulse: 0,
+  pulseColor: [255, 255, 255],
+};
+
+export const EXPRESSION_POSES: Record<Expression, FacePose> = {
+  neutral: NEUTRAL_POSE,
+  happy: {
+    ...NEUTRAL_POSE,
+    browRaise: 0.3,
+    eyeSquint: 0.35,
+    mouthCurve: 1.4,
+    pulse: 0.25,
+  },
+  sad: {
+    ...NEUTRAL_POSE,
+    browRaise: 0.1,
+    browTilt: 0.9,
+    eyeOpen: 0.75,
+    mouthCurve: -0.8,
+  },
+  angry: {
+    ...NEUTRAL_POSE,
+    browRaise: -0.6,
+    browTilt: -1,
+    eyeOpen: 0.8,
+    eyeSquint: 0.2,
+    mouthCurve: -0.6,
+    pulse: 0.6,
+    pulseColor: [255, 40, 20],
+  },
+  surprised: {
+    ...NEUTRAL_POSE,
+    browRaise: 1,
+    eyeOpen: 1.35,
+    mouthCurve: 0.4,
+  },
+  exasperated: {
+    ...NEUTRAL_POSE,
+    browRaise: 0.5,
+    browTilt: 0.6,
+    eyeOpen: 0.55,
+    mouthCurve: -0.35,
+  },
+  embarrassed: {
+    ...NEUTRAL_POSE,
+    browTilt: 0.5,
+    eyeSquint: 0.25,
+    mouthCurve: 0.5,
+    blush: 1,
+    pulse: 0.2,
+    pulseColor: [255, 120, 150],
+  },
+  thinking: {
+    ...NEUTRAL_POSE,
+    browRaise: 0.35,
+    browTilt: -0.3,
+    eyeOpen: 0.85,
+    mouthCurve: 0.2,
+  },
+};
+
+const lerp = (a: number, b: number, t: number) => a + (b - a) * t;
+
+/**
+ * Blends two poses, from `a` at 0 to `b` at 1.
+ */
+export function blendPoses(a: FacePose, b: FacePose, t: number): FacePose {
+  return {
+    browRaise: lerp(a.browRaise, b.browRaise, t),
+    browTilt: lerp(a.browTilt, b.browTilt, t),
+    eyeOpen: lerp(a.eyeOpen, b.eyeOpen, t),
+    eyeSquint: lerp(a.eyeSquint, b.eyeSquint, t),
+    mouthCurve: lerp(a.mouthCurve, b.mouthCurve, t),
+    blush: lerp(a.blush, b.blush, t),
+    pulse: lerp(a.pulse, b.pulse, t),
+    pulseColor: [0, 1, 2].map(i =>
+      lerp(a.pulseColor[i], b.pulseColor[i], t)
+    ) as FacePose['pulseColor'],
+  };
+}
+
+/**
+ * The pose of an expression shown at the given intensity, between 0 and 1.
+ */
+export const getExpressionPose = (expression: Expression, intensity = 1) =>
+  blendPoses(NEUTRAL_POSE, EXPRESSION_POSES[expression], intensity);
+
+export const isExpression = (value: unknown): value is Expression =>
+  EXPRESSIONS.includes(value as Expression);
+
+// Words and phrases hinting at the mood of what the agent says
+const SENTIMENT_CUES: Array<[Exclude<Expression, 'neutral'>, RegExp]> = [
+  [
+    'happy',
+    /\b(ha(ha)+|lol|glad|happy|delighted|wonderful|lovely|great|fantastic|excellent|splendid|marvell?ous|awesome|yay|love)\b/gi,
+  ],
+  [
+    'sad',
+    /\b(sad|sorry|unfortunately|alas|miss(ed)?|lonely|regret|heartbroken|tragic|afraid not)\b/gi,
+  ],
+  [
+    'angry',
+    /\b(angry|furious|outrageous|unacceptable|how dare|hate|infuriating|livid)\b/gi,
+  ],
+  [
+    'surprised',
+    /\b(wow|whoa|oh my|incredible|unbelievable|no way|goodness|astonishing|really\?)/gi,
+  ],
+  [
+    'exasperated',
+    /\b(sigh|ugh|honestly|seriously|good grief|for heaven'?s sake|not again|oh dear|tsk|ridiculous)\b/gi,
+  ],
+  [
+    'embarrassed',
+    /\b(oops|embarrass\w*|blush\w*|flatter\w*|awkward|pardon me|how silly)\b/gi,
+  ],
+  [
+    'thinking',
+    /\b(hmm+|let me think|i wonder|perhaps|let's see|interesting|on the other hand)\b/gi,
+  ],
+];
+
+/**
+ * Guesses the expression matching a text from the words it contains, or
+ * null when nothing stands out. More cues make the expression stronger.
+ */
+export function detectExpression(
+  text: string
+): { expression: Expression; intensity: number } | null {
+  let best: { expression: Expression; hits: number } | null = null;
+  for (const [expression, cues] of SENTIMENT_CUES) {
+    const hits = text.match(cues)?.length ?? 0;
+    if (hits && (!best || hits > best.hits)) best = { expression, hits };
+  }
+  if (!best) return null;
+  return {
+    expression: best.expression,
+    intensity: Math.min(1, 0.45 + 0.15 * best.hits),
+  };
+}
+
+/**
+ * Sets the expression of an agent from the sentiment of what it says, for
+ * models that do not call the `set_expression` tool. An expression the
+ * model chose itself is kept until it relaxes.
+ */
+export class SentimentExpressions {
+  // What the agent has said so far in the current turn
+  private turnText = '';
+  // Whether the agent set its expression with the tool during this turn
+  private toolUsed = false;
+
+  constructor(
+    private client: GenAILiveClient,
+    private agentId: string
+  ) {
+    this.onText = this.onText.bind(this);
+    this.onToolCall = this.onToolCall.bind(this);
+    this.onTurnEnd = this.onTurnEnd.bind(this);
+  }
+
+  attach() {
+    this.client.on('text', this.onText);
+    this.client.on('outputtranscription', this.onText);
+    this.client.on('toolcall', this.onToolCall);
+    this.client.on('turncomplete', this.onTurnEnd);
+    this.client.on('interrupted', this.onTurnEnd);
+    return this;
+  }
+
+  detach() {
+    this.client.off('text', this.onText);
+    this.client.off('outputtranscription', this.onText);
+    this.client.off('toolcall', this.onToolCall);
+    this.client.off('turncomplete', this.onTurnEnd);
+    this.client.off('interrupted', this.onTurnEnd);
+  }
+
+  private onText(text: string) {
+    this.turnText += text;
+    if (this.toolUsed) return;
+
+    const { expressions, setExpression } = useExpressions.getState();
+    const current = expressions[this.agentId];
+    if (
+      current?.source === 'tool' &&
+      Date.now() - current.updatedAt < EXPRESSION_HOLD_MS
+    ) {
+      return;
+    }
+    const detected = detectExpression(this.turnText);
+    if (
+      detected &&
+      (detected.expression !== current?.expression ||
+        detected.intensity !== current.intensity)
+    ) {
+      setExpression(
+        this.agentId,
+        detected.expression,
+        detected.intensity,
+        'sentiment'
+      );
+    }
+  }
+
+  private onToolCall(toolCall: LiveServerToolCall) {
+    if (toolCall.functionCalls?.some(call => call.name === 'set_expression')) {
+      this.toolUsed = true;
+    }
+  }
+
+  private onTurnEnd() {
+    this.turnText = '';
+    this.toolUsed = false;
+  }
+}
@@ -3,21 +3,31 @@
  * SPDX-License-Identifier: Apache-2.0
 */
 import {
-  GoogleGenAI,
+  FunctionCall,
   LiveCallbacks,
   LiveClientToolResponse,
   LiveConnectConfig,
   LiveServerContent,
+  LiveServerGoAway,
   LiveServerMessage,
   LiveServerToolCall,
   LiveServerToolCallCancellation,
   Part,
-  Session,
+  UsageMetadata,
 } from '@google/genai';
 import EventEmitter from 'eventemitter3';
-import { DEFAULT_LIVE_API_MODEL } from './constants';
-import { difference } from 'lodash';
+import {
+  DEFAULT_LIVE_API_MODEL,
+  DEFAULT_OUTPUT_SAMPLE_RATE,
+} from './constants';
+import { parsePcmSampleRate } from './pcm';
 import { base64ToArrayBuffer } from './utils';
+import {
+  createErrorEvent,
+  GenAITransport,
+  LiveTransport,
+  LiveTransportSession,
+} from './live-transport';
 
 /**
  * Represents a single log entry in the system.
@@ -36,27 +46,110 @@ export interface StreamingLog {
   type: string;
 }
 
+/**
+ * Connection status of the client. `reconnecting` means the connection was
+ * lost unexpectedly and the client is trying to resume the same session.
+ */
+export type LiveClientStatus =
+  'connected' | 'disconnected' | 'connecting' | 'reconnecting';
+
+/**
+ * Options controlling automatic reconnection after an unexpected disconnect.
+ */
+export interface ReconnectOptions {
+  // Whether to reconnect automatically at all
+  enabled: boolean;
+  // Maximum number of consecutive attempts before giving up
+  maxAttempts: number;
+  // Delay before the first attempt, doubled on every further attempt
+  initialDelayMs: number;
+  // Upper bound for the delay between attempts
+  maxDelayMs: number;
+}
+
+// Close codes after which reconnecting is pointless, e.g. an invalid API key
+// or exhausted quota
+const NON_RETRYABLE_CLOSE_CODES = [1007, 1008];
+
+const DEFAULT_RECONNECT_OPTIONS: ReconnectOptions = {
+  enabled: true,
+  maxAttempts: 5,
+  initialDelayMs: 500,
+  maxDelayMs: 10000,
+};
+
+// `CloseEvent` is not available in Node, so events created by the client
+// itself fall back to plain objects of the same shape, see `createErrorEvent`
+function createCloseEvent(code: number, reason: string): CloseEvent {
+  return typeof CloseEvent === 'function'
+    ? new CloseEvent('close', { code, reason })
+    : ({ type: 'close', code, reason } as CloseEvent);
+}
+
+// Time `ask` waits for the turn to complete before rejecting
+const DEFAULT_ASK_TIMEOUT_MS = 15000;
+
+export type AskOptions = {
+  // Milliseconds to wait for the turn to complete
+  timeout?: number;
+  // Rejects the request when aborted, whether queued or in progress
+  signal?: AbortSignal;
+};
+
+/**
+ * Everything the model produced in response to a single `ask`.
+ */
+export type AskResult = {
+  text: string;
+  audio: ArrayBuffer[];
+  toolCalls: FunctionCall[];
+  usage?: UsageMetadata;
+  // Whether the turn was cut short by an interruption
+  interrupted: boolean;
+};
+
+export type GenAILiveClientOptions = {
+  // Overrides for automatic reconnection
+  reconnect?: Partial<ReconnectOptions>;
+  // Transport used to open sessions, defaults to the `@google/genai` SDK
+  transport?: LiveTransport;
+};
+
 /**
  * Event types that can be emitted by the MultimodalLiveClient.
  * Each event corresponds to a specific message from GenAI or client state change.
  */
 export interface LiveClientEventTypes {
-  // Emitted when audio data is received
-  audio: (data: ArrayBuffer) => void;
+  // Emitted when audio data is received, PCM16 at the given sample rate
+  audio: (data: ArrayBuffer, sampleRate: number) => void;
   // Emitted when the connection closes
   close: (event: CloseEvent) => void;
+  // Emitted when the current turn is complete or interrupted, with the full
+  // text of the turn
+  complete: (text: string) => void;
   // Emitted when content is received from the server
   content: (data: LiveServerContent) => void;
   // Emitted when an error occurs
   error: (e: ErrorEvent) => void;
+  // Emitted when the server announces it will close the connection soon
+  goaway: (goAway: LiveServerGoAway) => void;
+  // Emitted when a transcription of the user's audio input is received
+  inputtranscription: (text: string, finished: boolean) => void;
   // Emitted when the server interrupts the current generation
   interrupted: () => void;
   // Emitted for logging events
   log: (log: StreamingLog) => void;
   // Emitted when the connection opens
   open: () => void;
+  // Emitted when a transcription of the model's audio output is received
+  outputtranscription: (text: string, finished: boolean) => void;
+  // Emitted before each reconnection attempt, with attempt 0 when handing
+  // over to a resumed session after a goAway notice
+  reconnecting: (attempt: number, delayMs: number) => void;
   // Emitted when the initial setup is complete
   setupcomplete: () => void;
+  // Emitted for each chunk of text generated by the model
+  text: (text: string) => void;
   // Emitted when a tool call is received
   toolcall: (toolCall: LiveServerToolCall) => void;
   // Emitted when a tool call is cancelled
@@ -65,86 +158,224 @@ export interface LiveClientEventTypes {
   ) => void;
   // Emitted when the current turn is complete
   turncomplete: () => void;
+  // Emitted when token usage metadata is received
+  usage: (usage: UsageMetadata) => void;
 }
 
 export class GenAILiveClient extends EventEmitter<LiveClientEventTypes> {
   public readonly model: string = DEFAULT_LIVE_API_MODEL;
 
-  protected readonly client: GoogleGenAI;
-  protected session?: Session;
+  protected readonly transport: LiveTransport;
+  protected session?: LiveTransportSession;
 
-  private _status: 'connected' | 'disconnected' | 'connecting' = 'disconnected';
+  // Text assembled over the current turn, emitted with the `complete` event
+  private turnText: string = '';
+  // Output transcription assembled over the current turn, used as the turn
+  // text when the model responds with audio only
+  private turnTranscription: string = '';
+
+  private _status: LiveClientStatus = 'disconnected';
   public get status() {
     return this._status;
   }
+  public get connected() {
+    return this._status === 'connected';
+  }
+
+  public readonly reconnectOptions: ReconnectOptions;
+
+  // Config used by `connect` when none is passed, and reused when reconnecting
+  private config: LiveConnectConfig = {};
+  // Latest session resumption handle sent by the server
+  private resumptionHandle?: string;
+  // Incremented for every opened session so callbacks of stale sessions can
+  // be ignored
+  private sessionId: number = 0;
+  private reconnectAttempt: number = 0;
+  private reconnectTimeout: ReturnType<typeof setTimeout> | null = null;
+  // Settles once every `ask` queued so far has finished its turn
+  private askQueue: Promise<void> = Promise.resolve();
 
   /**
    * Creates a new GenAILiveClient instance.
    * @param apiKey - API key for authentication with Google GenAI
    * @param model - Optional model name to override the default model
+   * @param options - Optional reconnection and transport settings
    */
-  constructor(apiKey: string, model?: string) {
+  constructor(
+    apiKey: string,
+    model?: string,
+    options: GenAILiveClientOptions = {}
+  ) {
     super();
     if (model) this.model = model;
+    this.reconnectOptions = {
+      ...DEFAULT_RECONNECT_OPTIONS,
+      ...options.reconnect,
+    };
 
-    this.client = new GoogleGenAI({
-      apiKey: apiKey,
-    });
+    this.transport = options.transport || new GenAITransport(apiKey);
+  }
+
+  /**
+   * Sets the config used for the next `connect` without a config.
+   */
+  public setConfig(config: LiveConnectConfig) {
+    this.config = config;
+  }
+
+  public getConfig() {
+    return this.config;
   }
 
-  public async connect(config: LiveConnectConfig): Promise<boolean> {
+  /**
+   * Opens a new session.
+   * @param config - Optional config, replacing the one set with `setConfig`
+   */
+  public async connect(config?: LiveConnectConfig): Promise<boolean> {
     if (this._status === 'connected' || this._status === 'connecting') {
       return false;
     }
 
+    // An explicit connect always starts a new conversation
+    this.cancelReconnect();
+    this.resumptionHandle = undefined;
+    if (config) this.config = config;
+
     this._status = 'connecting';
+    if (!(await this.openSession())) {
+      this._status = 'disconnected';
+      return false;
+    }
+
+    this._status = 'connected';
+    return true;
+  }
+
+  /**
+   * Opens a new session with the stored config, resuming the previous
+   * session if the server has handed out a resumption handle.
+   */
+  private async openSession(): Promise<boolean> {
+    const id = ++this.sessionId;
+    // Ignore callbacks from sessions that have since been replaced
+    const current =
+      <T extends unknown[]>(fn: (...args: T) => void) =>
+      (...args: T) => {
+        if (id === this.sessionId) fn.apply(this, args);
+      };
     const callbacks: LiveCallbacks = {
-      onopen: this.onOpen.bind(this),
-      onmessage: this.onMessage.bind(this),
-      onerror: this.onError.bind(this),
-      onclose: this.onClose.bind(this),
+      onopen: current(this.onOpen),
+      onmessage: current(this.onMessage),
+      onerror: current(this.onError),
+      onclose: current(this.onClose),
     };
 
     try {
-      this.session = await this.client.live.connect({
+      const session = await this.transport.connect({
         model: this.model,
         config: {
-          ...config,
+          ...this.config,
+          sessionResumption: { handle: this.resumptionHandle },
         },
         callbacks,
       });
+      if (id !== this.sessionId) {
+        // Disconnected or replaced while connecting
+        session.close();
+        return false;
+      }
+      this.session = session;
     } catch (e) {
       console.error('Error connecting to GenAI Live:', e);
-      this._status = 'disconnected';
-      this.session = undefined;
+      if (id === this.sessionId) this.session = undefined;
       return false;
     }
-
-    this._status = 'connected';
     return true;
   }
 
+  /**
+   * Schedules the next reconnection attempt with exponential backoff, or
+   * gives up and closes the client once the attempts are exhausted.
+   */
+  private scheduleReconnect(closeEvent: CloseEvent) {
+    if (this.reconnectTimeout) {
+      return;
+    }
+    const { maxAttempts, initialDelayMs, maxDelayMs } = this.reconnectOptions;
+    if (this.reconnectAttempt >= maxAttempts) {
+      this.log('client.reconnect', `giving up after ${maxAttempts} attempts`);
+      this.reconnectAttempt = 0;
+      this._status = 'disconnected';
+      this.emit('close', closeEvent);
+      return;
+    }
+
+    const attempt = ++this.reconnectAttempt;
+    const delay = Math.min(maxDelayMs, initialDelayMs * 2 ** (attempt - 1));
+    this._status = 'reconnecting';
+    this.log('client.reconnect', `attempt ${attempt} in ${delay}ms`);
+    this.emit('reconnecting', attempt, delay);
+
+    this.reconnectTimeout = setTimeout(async () => {
+      this.reconnectTimeout = null;
+      if (await this.openSession()) {
+        this.reconnectAttempt = 0;
+        this._status = 'connected';
+      } else if (this._status === 'reconnecting') {
+        this.scheduleReconnect(closeEvent);
+      }
+    }, delay);
+  }
+
+  private cancelReconnect() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+    this.reconnectAttempt = 0;
+  }
+
   public disconnect() {
+    this.cancelReconnect();
+    // Invalidate the session so its close callback is ignored
+    this.sessionId++;
     this.session?.close();
     this.session = undefined;
     this._status = 'disconnected';
+    this.turnText = '';
+    this.turnTranscription = '';
 
     this.log('client.close', `Disconnected`);
     return true;
   }
 
+  /**
+   * Checks whether a message can be sent on the current session. While
+   * reconnecting, messages are dropped quietly instead of raising errors.
+   */
+  private canSend(type: string) {
+    if (this._status === 'connected' && this.session) {
+      return true;
+    }
+    if (this._status === 'reconnecting') {
+      this.log(`client.${type}`, 'dropped while reconnecting');
+    } else {
+      this.emit('error', createErrorEvent('Client is not connected'));
+    }
+    return false;
+  }
+
   public send(parts: Part | Part[], turnComplete: boolean = true) {
-    if (this._status !== 'connected' || !this.session) {
-      this.emit('error', new ErrorEvent('Client is not connected'));
+    if (!this.canSend('send')) {
       return;
     }
-    this.session.sendClientContent({ turns: parts, turnComplete });
+    this.session!.sendClientContent({ turns: parts, turnComplete });
     this.log(`client.send`, parts);
   }
 
   public sendRealtimeInput(chunks: Array<{ mimeType: string; data: string }>) {
-    if (this._status !== 'connected' || !this.session) {
-      this.emit('error', new ErrorEvent('Client is not connected'));
+    if (!this.canSend('realtimeInput')) {
       return;
     }
     chunks.forEach(chunk => {
@@ -167,16 +398,136 @@ export class GenAILiveClient extends EventEmitter<LiveClientEventTypes> {
     this.log(`client.realtimeInput`, message);
   }
 
+  /**
+   * Marks the start of user speech. Only valid when automatic activity
+   * detection is disabled in the `realtimeInputConfig`.
+   */
+  public sendActivityStart() {
+    if (!this.canSend('activityStart')) {
+      return;
+    }
+    this.session!.sendRealtimeInput({ activityStart: {} });
+    this.log(`client.realtimeInput`, 'activityStart');
+  }
+
+  /**
+   * Marks the end of user speech, prompting the model to respond.
+   */
+  public sendActivityEnd() {
+    if (!this.canSend('activityEnd')) {
+      return;
+    }
+    this.session!.sendRealtimeInput({ activityEnd: {} });
+    this.log(`client.realtimeInput`, 'activityEnd');
+  }
+
+  /**
+   * Sends a complete user turn and resolves with the model response to
+   * exactly that turn. Overlapping requests are queued and sent one at a
+   * time, so responses are never mixed up. Rejects right away when the
+   * client is not connected, e.g. while reconnecting.
+   * @param parts - The content of the user turn
+   * @param options - Timeout and abort signal for the request
+   */
+  public ask(
+    parts: Part | Part[],
+    { timeout = DEFAULT_ASK_TIMEOUT_MS, signal }: AskOptions = {}
+  ): Promise<AskResult> {
+    return new Promise<AskResult>((resolve, reject) => {
+      let settled = false;
+      const settle = (fn: () => void) => {
+        if (settled) return;
+        settled = true;
+        signal?.removeEventListener('abort', onAbort);
+        fn();
+      };
+      const onAbort = () =>
+        settle(() =>
+          reject(signal?.reason ?? new Error('Request was aborted'))
+        );
+      signal?.addEventListener('abort', onAbort);
+      if (signal?.aborted) return onAbort();
+      if (!this.connected) {
+        return settle(() => reject(new Error('Client is not connected')));
+      }
+
+      const run = () =>
+        new Promise<void>(done => {
+          if (settled) return done();
+          if (!this.connected) {
+            settle(() => reject(new Error('Client is not connected')));
+            return done();
+          }
+
+          const result: AskResult = {
+            text: '',
+            audio: [],
+            toolCalls: [],
+            interrupted: false,
+          };
+          const onAudio = (data: ArrayBuffer) => result.audio.push(data);
+          const onToolCall = (toolCall: LiveServerToolCall) =>
+            result.toolCalls.push(...(toolCall.functionCalls || []));
+          const onUsage = (usage: UsageMetadata) => (result.usage = usage);
+          const onInterrupted = () => (result.interrupted = true);
+          const onComplete = (text: string) =>
+            release(() => resolve({ ...result, text }));
+          const onError = (e: ErrorEvent) =>
+            release(() => reject(new Error(e.message)));
+          const onClose = () =>
+            release(() => reject(new Error('Connection closed')));
+          const onReconnecting = () =>
+            release(() => reject(new Error('Connection lost')));
+
+          // A request that timed out or was aborted keeps its place until its
+          // turn is over, so its late output is not taken for the response
+          // to the next request. Should the turn never end, it gives up after
+          // another timeout.
+          let timer = setTimeout(() => {
+            settle(() =>
+              reject(new Error(`Response timed out after ${timeout}ms`))
+            );
+            timer = setTimeout(() => release(() => {}), timeout);
+          }, timeout);
+
+          const release = (fn: () => void) => {
+            clearTimeout(timer);
+            this.off('audio', onAudio);
+            this.off('toolcall', onToolCall);
+            this.off('usage', onUsage);
+            this.off('interrupted', onInterrupted);
+            this.off('complete', onComplete);
+            this.off('error', onError);
+            this.off('close', onClose);
+            this.off('reconnecting', onReconnecting);
+            settle(fn);
+            done();
+          };
+
+          this.on('audio', onAudio);
+          this.on('toolcall', onToolCall);
+          this.on('usage', onUsage);
+          this.on('interrupted', onInterrupted);
+          this.on('complete', onComplete);
+          this.on('error', onError);
+          this.on('close', onClose);
+          this.on('reconnecting', onReconnecting);
+          this.send(parts, true);
+        });
+
+      this.askQueue = this.askQueue.then(run);
+    });
+  }
+
   public sendToolResponse(toolResponse: LiveClientToolResponse) {
-    if (this._status !== 'connected' || !this.session) {
-      this.emit('error', new ErrorEvent('Client is not connected'));
+    if (!this.canSend('toolResponse')) {
       return;
     }
     if (
       toolResponse.functionResponses &&
       toolResponse.functionResponses.length
     ) {
-      this.session.sendToolResponse({
+      this.session!.sendToolResponse({
         functionResponses: toolResponse.functionResponses!,
       });
     }
@@ -185,6 +536,22 @@ export class GenAILiveClient extends EventEmitter<LiveClientEventTypes> {
   }
 
   protected onMessage(message: LiveServerMessage) {
+    if (message.usageMetadata) {
+      this.emit('usage', message.usageMetadata);
+    }
+    if (message.sessionResumptionUpdate) {
+      const { resumable, newHandle } = message.sessionResumptionUpdate;
+      if (resumable && newHandle) {
+        this.resumptionHandle = newHandle;
+      }
+      return;
+    }
+    if (message.goAway) {
+      this.log('server.goAway', `time left: ${message.goAway.timeLeft}`);
+      this.emit('goaway', message.goAway);
+      this.resumeSession();
+      return;
+    }
     if (message.setupComplete) {
       this.emit('setupcomplete');
       return;
@@ -205,11 +572,24 @@ export class GenAILiveClient extends EventEmitter<LiveClientEventTypes> {
       if ('interrupted' in serverContent) {
         this.log('receive.serverContent', 'interrupted');
         this.emit('interrupted');
+        // The interrupted turn ends here, whether or not the server completes
+        // it, so its text does not run into the next turn
+        this.completeTurn();
         return;
       }
-      if ('turnComplete' in serverContent) {
-        this.log('server.send', 'turnComplete');
-        this.emit('turncomplete');
+
+      if (serverContent.inputTranscription) {
+        const { text = '', finished = false } =
+          serverContent.inputTranscription;
+        this.emit('inputtranscription', text, finished);
+        this.log('server.inputTranscription', text);
+      }
+      if (serverContent.outputTranscription) {
+        const { text = '', finished = false } =
+          serverContent.outputTranscription;
+        this.turnTranscription += text;
+        this.emit('outputtranscription', text, finished);
+        this.log('server.outputTranscription', text);
       }
 
       if (serverContent.modelTurn) {
@@ -218,33 +598,73 @@ export class GenAILiveClient extends EventEmitter<LiveClientEventTypes> {
         const audioParts = parts.filter(p =>
           p.inlineData?.mimeType?.startsWith('audio/pcm')
         );
-        const base64s = audioParts.map(p => p.inlineData?.data);
-        const otherParts = difference(parts, audioParts);
-
-        base64s.forEach(b64 => {
-          if (b64) {
-            const data = base64ToArrayBuffer(b64);
-            this.emit('audio', data);
+        const otherParts = parts.filter(p => !audioParts.includes(p));
+
+        audioParts.forEach(({ inlineData }) => {
+          if (inlineData?.data) {
+            const data = base64ToArrayBuffer(inlineData.data);
+            const sampleRate = parsePcmSampleRate(
+              inlineData.mimeType || '',
+              DEFAULT_OUTPUT_SAMPLE_RATE
+            );
+            this.emit('audio', data, sampleRate);
             this.log(`server.audio`, `buffer (${data.byteLength})`);
           }
         });
-        if (!otherParts.length) {
-          return;
-        }
 
-        parts = otherParts;
+        if (otherParts.length) {
+          otherParts.forEach(p => {
+            if (p.text && !p.thought) {
+              this.turnText += p.text;
+              this.emit('text', p.text);
+            }
+          });
+
+          const content: LiveServerContent = {
+            modelTurn: { parts: otherParts },
+          };
+          this.emit('content', content);
+          this.log(`server.content`, message);
+        }
+      }
 
-        const content: LiveServerContent = { modelTurn: { parts } };
-        this.emit('content', content);
-        this.log(`server.content`, message);
-      } else {
-        console.log('received unmatched message', message);
+      if ('turnComplete' in serverContent) {
+        this.log('server.send', 'turnComplete');
+        this.emit('turncomplete');
+        this.completeTurn();
       }
     }
   }
 
+  /**
+   * Emits the `complete` event with the text assembled over the current turn
+   * and resets the turn buffers. Falls back to the output transcription when
+   * the model did not respond with text parts.
+   */
+  private completeTurn() {
+    const text = this.turnText || this.turnTranscription;
+    this.turnText = '';
+    this.turnTranscription = '';
+    this.emit('complete', text);
+  }
+
+  /**
+   * Replaces the current session with a resumed one without going through
+   * the backoff, e.g. when the server announces it will disconnect.
+   */
+  private async resumeSession() {
+    const previous = this.session;
+    this._status = 'reconnecting';
+    this.emit('reconnecting', 0, 0);
+    if (await this.openSession()) {
+      previous?.close();
+      this._status = 'connected';
+    } else if (this._status === 'reconnecting') {
+      this.scheduleReconnect(createCloseEvent(1000, 'goAway'));
+    }
+  }
+
   protected onError(e: ErrorEvent) {
-    this._status = 'disconnected';
     console.error('error:', e);
 
     const message = `Could not connect to GenAI Live: ${e.message}`;
@@ -258,7 +678,6 @@ export class GenAILiveClient extends EventEmitter<LiveClientEventTypes> {
   }
 
   protected onClose(e: CloseEvent) {
-    this._status = 'disconnected';
     let reason = e.reason || '';
     if (reason.toLowerCase().includes('error')) {
       const prelude = 'ERROR]';
@@ -272,6 +691,17 @@ export class GenAILiveClient extends EventEmitter<LiveClientEventTypes> {
       `server.${e.type}`,
       `disconnected ${reason ? `with reason: ${reason}` : ``}`
     );
+
+    this.session = undefined;
+    if (
+      this.reconnectOptions.enabled &&
+      (this._status === 'connected' || this._status === 'reconnecting') &&
+      !NON_RETRYABLE_CLOSE_CODES.includes(e.code)
+    ) {
+      this.scheduleReconnect(e);
+      return;
+    }
+    this._status = 'disconnected';
     this.emit('close', e);
   }
 
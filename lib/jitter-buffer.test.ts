@@ -0,0 +1,174 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { AudioStreamer } from './audio-streamer';
+import { JitterBuffer } from './jitter-buffer';
+
+// Chunks of 100ms, as the Live API roughly sends them
+const CHUNK = 0.1;
+
+/**
+ * Feeds a burst of chunks arriving at `start` plus their place in the
+ * burst plus the delay returned for each, and returns their lateness.
+ */
+function feed(
+  buffer: JitterBuffer,
+  start: number,
+  count: number,
+  delay: (i: number) => number = () => 0
+) {
+  return Array.from({ length: count }, (_, i) =>
+    buffer.arrive(start + i * CHUNK + delay(i), CHUNK)
+  );
+}
+
+describe('JitterBuffer', () => {
+  it('starts at the initial latency', () => {
+    expect(new JitterBuffer().targetLatency).toBe(0.1);
+    expect(new JitterBuffer({ initialLatency: 0.3 }).targetLatency).toBe(0.3);
+  });
+
+  it('shrinks to the minimum while chunks arrive on time', () => {
+    const buffer = new JitterBuffer();
+    const lateness = feed(buffer, 5, 600);
+    expect(Math.max(...lateness)).toBeCloseTo(0);
+    expect(buffer.jitter).toBeCloseTo(0);
+    expect(buffer.targetLatency).toBeCloseTo(0.04, 3);
+  });
+
+  it('grows to cover the arrival jitter', () => {
+    const buffer = new JitterBuffer();
+    // Every other chunk is 150ms late
+    const lateness = feed(buffer, 0, 100, i => (i % 2 ? 0.15 : 0));
+    expect(lateness[1]).toBeCloseTo(0.15);
+    expect(buffer.jitter).toBeGreaterThan(0.1);
+    expect(buffer.targetLatency).toBeGreaterThan(0.15 + buffer.jitter);
+    expect(buffer.targetLatency).toBeLessThanOrEqual(1);
+  });
+
+  it('grows at once after a late chunk and shrinks again slowly', () => {
+    const buffer = new JitterBuffer();
+    feed(buffer, 0, 10);
+    // Half a second late, playback restarts with it
+    buffer.arrive(1.5, CHUNK);
+    buffer.startBurst(1.5, CHUNK);
+    const afterGap = buffer.targetLatency;
+    expect(afterGap).toBeGreaterThan(0.5);
+
+    // Ten seconds on time, one decay time
+    feed(buffer, 1.6, 100);
+    expect(buffer.targetLatency).toBeLessThan(afterGap * 0.5);
+    expect(buffer.targetLatency).toBeGreaterThan(0.1);
+  });
+
+  it('stays within the bounds', () => {
+    const buffer = new JitterBuffer({ maxLatency: 0.5 });
+    feed(buffer, 0, 2, i => i * 5);
+    expect(buffer.targetLatency).toBe(0.5);
+  });
+
+  it('measures the chunks after an underrun from a new burst', () => {
+    const buffer = new JitterBuffer();
+    feed(buffer, 0, 3);
+    // The fourth chunk is 100ms late, playback ran dry and restarts with it
+    expect(buffer.arrive(0.4, CHUNK)).toBeCloseTo(0.1);
+    buffer.underrun();
+    buffer.startBurst(0.4, CHUNK);
+
+    expect(buffer.underruns).toBe(1);
+    expect(buffer.targetLatency).toBeGreaterThanOrEqual(0.12);
+    // On time for the new burst, although late for the first one
+    expect(Math.max(...feed(buffer, 0.5, 5))).toBeCloseTo(0);
+  });
+
+  it('starts a new burst with the first chunk after the burst ended', () => {
+    const buffer = new JitterBuffer();
+    feed(buffer, 0, 5);
+    buffer.endBurst();
+    // The next turn starts much later, which is not lateness
+    expect(buffer.arrive(30, CHUNK)).toBe(0);
+    expect(buffer.arrive(30 + CHUNK, CHUNK)).toBeCloseTo(0);
+  });
+});
+
+/**
+ * The parts of an `AudioContext` the streamer uses, with a clock the test
+ * moves. Sources record when they were scheduled.
+ */
+function createFakeContext() {
+  const node = () => ({
+    connect: (target: unknown) => target,
+    disconnect: () => {},
+    gain: {
+      value: 1,
+      setTargetAtTime: () => {},
+      setValueAtTime: () => {},
+      linearRampToValueAtTime: () => {},
+    },
+  });
+  const starts: number[] = [];
+  const context = {
+    currentTime: 0,
+    outputLatency: 0,
+    destination: node(),
+    createGain: node,
+    createAnalyser: () => ({
+      ...node(),
+      fftSize: 0,
+      getFloatTimeDomainData: () => {},
+    }),
+    createBuffer: (_: number, length: number, sampleRate: number) => ({
+      duration: length / sampleRate,
+      getChannelData: () => new Float32Array(length),
+    }),
+    createBufferSource: () => ({
+      ...node(),
+      playbackRate: { value: 1 },
+      start: (time: number) => starts.push(time),
+      stop: () => {},
+      addEventListener: () => {},
+    }),
+  };
+  return { context, starts };
+}
+
+describe('AudioStreamer scheduling', () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  // 100ms of silence at 24 kHz
+  const chunk = new Uint8Array(4800);
+
+  it('counts a chunk that arrives after playback ran dry as an underrun', () => {
+    const { context, starts } = createFakeContext();
+    const streamer = new AudioStreamer(context as unknown as AudioContext);
+    streamer.addPCM16(chunk, 24000);
+    context.currentTime = 0.3;
+    streamer.addPCM16(chunk, 24000);
+
+    expect(streamer.getStats().underruns).toBe(1);
+    // Buffered again before playing on
+    expect(starts[1]).toBeGreaterThan(0.3);
+  });
+
+  it('starts over after stop, without counting an underrun', () => {
+    const { context, starts } = createFakeContext();
+    const streamer = new AudioStreamer(context as unknown as AudioContext);
+    streamer.addPCM16(chunk, 24000);
+    expect(starts[0]).toBeCloseTo(0.1);
+
+    context.currentTime = 0.05;
+    streamer.stop();
+    vi.runAllTimers();
+    expect(streamer.getStats().bufferedMs).toBe(0);
+
+    context.currentTime = 0.3;
+    streamer.addPCM16(chunk, 24000);
+    expect(streamer.getStats().underruns).toBe(0);
+    expect(starts[1]).toBeCloseTo(
+      0.3 + streamer.getStats().targetLatencyMs / 1000
+    );
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+export type JitterBufferOptions = {
+  // Bounds of the target latency in seconds
+  minLatency: number;
+  maxLatency: number;
+  // Latency initially, before any arrivals were measured
+  initialLatency: number;
+  // Added to the measured lateness to absorb small variations
+  safetyMargin: number;
+  // Time constant in seconds with which the target shrinks again after
+  // late arrivals, e.g. once the network recovered
+  decayTime: number;
+};
+
+const DEFAULT_JITTER_BUFFER_OPTIONS: JitterBufferOptions = {
+  minLatency: 0.04,
+  maxLatency: 1,
+  initialLatency: 0.1,
+  safetyMargin: 0.02,
+  decayTime: 10,
+};
+
+/**
+ * Chooses how far ahead to schedule streamed audio. Chunks are measured
+ * against the time they would be due if a burst of audio were played as soon
+ * as its first chunk arrived; the target latency follows the worst recent
+ * lateness, so it grows right after gaps and slowly shrinks while chunks
+ * arrive on time.
+ *
+ * Times are in seconds on any clock, e.g. `AudioContext.currentTime`.
+ */
+export class JitterBuffer {
+  private readonly options: JitterBufferOptions;
+  private burstStart: number | null = null;
+  // Duration of the audio received since the burst started
+  private burstDuration = 0;
+  private peakLateness: number;
+  private lastLateness = 0;
+  private lastArrival: number | null = null;
+  private _targetLatency: number;
+  private _jitter = 0;
+  private _underruns = 0;
+
+  constructor(options: Partial<JitterBufferOptions> = {}) {
+    this.options = { ...DEFAULT_JITTER_BUFFER_OPTIONS, ...options };
+    // Seeded so the target starts at the initial latency
+    this.peakLateness = Math.max(
+      0,
+      this.options.initialLatency - this.options.safetyMargin
+    );
+    this._targetLatency = this.options.initialLatency;
+  }
+
+  /** Time audio should be scheduled ahead of its arrival. */
+  public get targetLatency() {
+    return this._targetLatency;
+  }
+
+  /** Smoothed variation of the lateness between consecutive chunks. */
+  public get jitter() {
+    return this._jitter;
+  }
+
+  /** Number of times playback ran dry in the middle of a burst. */
+  public get underruns() {
+    return this._underruns;
+  }
+
+  /**
+   * Records a chunk of audio arriving at `time`, and returns how late it
+   * was for a burst played without latency.
+   */
+  arrive(time: number, duration: number) {
+    if (this.burstStart === null) {
+      this.startBurst(time);
+    }
+    const lateness = Math.max(0, time - this.burstStart! - this.burstDuration);
+    this.burstDuration += duration;
+
+    // RFC 3550 style smoothing of the lateness differences
+    this._jitter +=
+      (Math.abs(lateness - this.lastLateness) - this._jitter) / 16;
+    this.lastLateness = lateness;
+
+    const decay =
+      this.lastArrival === null
+        ? 1
+        : Math.exp(-(time - this.lastArrival) / this.options.decayTime);
+    this.lastArrival = time;
+    this.peakLateness = Math.max(lateness, this.peakLateness * decay);
+    this.updateTarget();
+    return lateness;
+  }
+
+  /**
+   * Starts measuring a new burst, e.g. a new turn or the audio following an
+   * underrun, from a chunk arriving at `time`.
+   * @param duration Duration of the chunk if it was already passed to
+   * `arrive`
+   */
+  startBurst(time: number, duration = 0) {
+    this.burstStart = time;
+    this.burstDuration = duration;
+    this.lastLateness = 0;
+  }
+
+  /** Ends the current burst, e.g. when the turn is complete. */
+  endBurst() {
+    this.burstStart = null;
+  }
+
+  underrun() {
+    this._underruns++;
+  }
+
+  private updateTarget() {
+    const { minLatency, maxLatency, safetyMargin } = this.options;
+    this._targetLatency = Math.min(
+      maxLatency,
+      Math.max(minLatency, this.peakLateness + this._jitter + safetyMargin)
+    );
+  }
+}
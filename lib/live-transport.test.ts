@@ -0,0 +1,69 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { describe, expect, it, vi } from 'vitest';
+import { WebSocketTransport } from './live-transport';
+
+// Stands in for a WebSocket, with the server side driven by the test
+class FakeWebSocket {
+  static last: FakeWebSocket;
+  onopen?: () => void;
+  onmessage?: (ev: { data: unknown }) => Promise<void>;
+  onerror?: (ev: Event) => void;
+  onclose?: (ev: CloseEvent) => void;
+  sent: string[] = [];
+
+  constructor(public url: string) {
+    FakeWebSocket.last = this;
+    setTimeout(() => this.onopen?.());
+  }
+
+  send(data: string) {
+    this.sent.push(data);
+  }
+
+  close() {}
+}
+
+async function connect() {
+  const callbacks = { onmessage: vi.fn(), onerror: vi.fn() };
+  const transport = new WebSocketTransport(
+    'ws://mock',
+    FakeWebSocket as unknown as new (url: string) => WebSocket
+  );
+  await transport.connect({ model: 'test', config: {}, callbacks });
+  return { callbacks, ws: FakeWebSocket.last };
+}
+
+describe('WebSocketTransport', () => {
+  it('sends the setup message when the connection opens', async () => {
+    const { ws } = await connect();
+    expect(JSON.parse(ws.sent[0]).setup.model).toBe('models/test');
+  });
+
+  it('passes on the messages of the server, as text or binary', async () => {
+    const { callbacks, ws } = await connect();
+    await ws.onmessage!({ data: '{"setupComplete":{}}' });
+    await ws.onmessage!({
+      data: new TextEncoder().encode('{"toolCall":{}}').buffer,
+    });
+    expect(callbacks.onmessage.mock.calls).toEqual([
+      [{ setupComplete: {} }],
+      [{ toolCall: {} }],
+    ]);
+  });
+
+  it('reports a malformed message as an error and goes on', async () => {
+    const { callbacks, ws } = await connect();
+    await ws.onmessage!({ data: '{"serverContent":' });
+    expect(callbacks.onerror).toHaveBeenCalledTimes(1);
+    expect(callbacks.onerror.mock.calls[0][0].message).toMatch(
+      /^Could not read a message from ws:\/\/mock/
+    );
+    expect(callbacks.onmessage).not.toHaveBeenCalled();
+
+    await ws.onmessage!({ data: '{"setupComplete":{}}' });
+    expect(callbacks.onmessage).toHaveBeenCalledWith({ setupComplete: {} });
+  });
+});
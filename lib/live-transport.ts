@@ -0,0 +1,213 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {
+  Content,
+  GoogleGenAI,
+  LiveCallbacks,
+  LiveConnectConfig,
+  LiveSendClientContentParameters,
+  LiveSendRealtimeInputParameters,
+  LiveSendToolResponseParameters,
+  LiveServerMessage,
+  Part,
+} from '@google/genai';
+
+/**
+ * The subset of a Live API session used by the client.
+ * The `Session` returned by `GoogleGenAI.live.connect` satisfies it.
+ */
+export interface LiveTransportSession {
+  sendClientContent(params: LiveSendClientContentParameters): void;
+  sendRealtimeInput(params: LiveSendRealtimeInputParameters): void;
+  sendToolResponse(params: LiveSendToolResponseParameters): void;
+  close(): void;
+}
+
+export type LiveTransportConnectParameters = {
+  model: string;
+  config: LiveConnectConfig;
+  callbacks: LiveCallbacks;
+};
+
+/**
+ * Opens Live API sessions. Swapping the transport lets the client talk to
+ * something other than the hosted API, e.g. the local mock server.
+ */
+export interface LiveTransport {
+  connect(
+    params: LiveTransportConnectParameters
+  ): Promise<LiveTransportSession>;
+}
+
+/**
+ * Transport backed by the `@google/genai` SDK.
+ */
+export class GenAITransport implements LiveTransport {
+  private readonly client: GoogleGenAI;
+
+  constructor(apiKey: string) {
+    this.client = new GoogleGenAI({
+      apiKey: apiKey,
+    });
+  }
+
+  connect(params: LiveTransportConnectParameters) {
+    return this.client.live.connect(params);
+  }
+}
+
+/**
+ * Creates an `ErrorEvent`, or a plain object of the same shape in Node,
+ * where `ErrorEvent` is not available.
+ */
+export function createErrorEvent(message: string): ErrorEvent {
+  return typeof ErrorEvent === 'function'
+    ? new ErrorEvent('error', { message })
+    : ({ type: 'error', message } as ErrorEvent);
+}
+
+type WebSocketConstructor = new (url: string) => WebSocket;
+
+/**
+ * Transport speaking the Live API WebSocket protocol to an arbitrary URL,
+ * such as the mock server in `mock/live-server.js`.
+ */
+export class WebSocketTransport implements LiveTransport {
+  /**
+   * @param url - WebSocket URL of the server
+   * @param WebSocketImpl - WebSocket implementation, for runtimes without a
+   * global `WebSocket`
+   */
+  constructor(
+    public readonly url: string,
+    private readonly WebSocketImpl: WebSocketConstructor = WebSocket
+  ) {}
+
+  connect({ model, config, callbacks }: LiveTransportConnectParameters) {
+    return new Promise<LiveTransportSession>((resolve, reject) => {
+      const ws = new this.WebSocketImpl(this.url);
+      let opened = false;
+
+      const send = (message: object) => ws.send(JSON.stringify(message));
+
+      ws.onopen = () => {
+        opened = true;
+        send(toSetupMessage(model, config));
+        callbacks.onopen?.();
+        resolve({
+          sendClientContent: ({ turns, turnComplete = true }) =>
+            send({
+              clientContent: { turns: toContents(turns), turnComplete },
+            }),
+          sendRealtimeInput: ({ media, ...rest }) =>
+            send({
+              realtimeInput: media ? { mediaChunks: [media], ...rest } : rest,
+            }),
+          sendToolResponse: ({ functionResponses }) =>
+            send({
+              toolResponse: {
+                functionResponses: ([] as unknown[]).concat(functionResponses),
+              },
+            }),
+          close: () => ws.close(),
+        });
+      };
+      ws.onmessage = async (ev: MessageEvent) => {
+        let message: LiveServerMessage;
+        try {
+          const data =
+            typeof ev.data === 'string'
+              ? ev.data
+              : ev.data instanceof Blob
+                ? await ev.data.text()
+                : new TextDecoder().decode(ev.data);
+          message = JSON.parse(data);
+        } catch (e) {
+          // A malformed frame is reported and skipped, the session goes on
+          callbacks.onerror?.(
+            createErrorEvent(
+              `Could not read a message from ${this.url}: ${
+                e instanceof Error ? e.message : e
+              }`
+            )
+          );
+          return;
+        }
+        callbacks.onmessage(message);
+      };
+      ws.onerror = (ev: Event) => {
+        if (!opened) {
+          reject(new Error(`Could not connect to ${this.url}`));
+          return;
+        }
+        callbacks.onerror?.(ev as ErrorEvent);
+      };
+      ws.onclose = (ev: CloseEvent) => {
+        if (!opened) {
+          reject(new Error(`Connection to ${this.url} closed: ${ev.reason}`));
+          return;
+        }
+        callbacks.onclose?.(ev);
+      };
+    });
+  }
+}
+
+function toContents(turns: LiveSendClientContentParameters['turns']) {
+  if (!turns) return [];
+  const list = Array.isArray(turns) ? turns : [turns];
+  if (list.every(t => typeof t === 'object' && 'parts' in t)) {
+    return list as Content[];
+  }
+  const parts = list.map(t => (typeof t === 'string' ? { text: t } : t));
+  return [{ role: 'user', parts: parts as Part[] }];
+}
+
+/**
+ * Builds the `setup` message the Live API expects as the first message of a
+ * session from a `LiveConnectConfig`.
+ */
+function toSetupMessage(model: string, config: LiveConnectConfig) {
+  const {
+    generationConfig,
+    responseModalities,
+    temperature,
+    topP,
+    topK,
+    maxOutputTokens,
+    seed,
+    speechConfig,
+    systemInstruction,
+    tools,
+    sessionResumption,
+    inputAudioTranscription,
+    outputAudioTranscription,
+    realtimeInputConfig,
+  } = config;
+  return {
+    setup: {
+      model: model.startsWith('models/') ? model : `models/${model}`,
+      generationConfig: {
+        ...generationConfig,
+        responseModalities,
+        temperature,
+        topP,
+        topK,
+        maxOutputTokens,
+        seed,
+        speechConfig,
+      },
+      systemInstruction:
+        typeof systemInstruction === 'string'
+          ? { parts: [{ text: systemInstruction }] }
+          : systemInstruction,
+      tools,
+      sessionResumption,
+      inputAudioTranscription,
+      outputAudioTranscription,
+      realtimeInputConfig,
+    },
+  };
+}
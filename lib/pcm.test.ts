@@ -0,0 +1,175 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { describe, expect, it } from 'vitest';
+import {
+  createStreamResampler,
+  float32ToPcm16,
+  parsePcmSampleRate,
+  pcm16ToFloat32,
+  resampleLinear,
+} from './pcm';
+
+const sine = (frequency: number, sampleRate: number, length: number) =>
+  Float32Array.from({ length }, (_, i) =>
+    Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+  );
+
+const rms = (samples: Float32Array) =>
+  Math.sqrt(samples.reduce((sum, s) => sum + s * s, 0) / samples.length);
+
+const concat = (chunks: Float32Array[]) => {
+  const out = new Float32Array(chunks.reduce((n, c) => n + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+};
+
+// Rates the app converts between, device rates to and from the API rates
+const RATE_PAIRS: Array<[number, number]> = [
+  [48000, 16000],
+  [44100, 16000],
+  [24000, 48000],
+  [24000, 44100],
+  [16000, 24000],
+];
+
+describe('pcm16ToFloat32 and float32ToPcm16', () => {
+  it('round trips samples', () => {
+    const samples = Float32Array.from([0, 0.5, -0.5, 0.25, -1]);
+    const pcm = float32ToPcm16(samples);
+    const back = pcm16ToFloat32(new Uint8Array(pcm.buffer));
+    back.forEach((s, i) => expect(s).toBeCloseTo(samples[i], 4));
+  });
+
+  it('clips samples out of range', () => {
+    const pcm = float32ToPcm16(Float32Array.from([1, 1.5, -1, -3, Infinity]));
+    expect(Array.from(pcm)).toEqual([32767, 32767, -32768, -32768, 32767]);
+  });
+
+  it('reads a view into a larger buffer and ignores a trailing odd byte', () => {
+    const bytes = new Uint8Array([0xff, 0x00, 0x40, 0x00, 0xc0, 0x7f]);
+    const samples = pcm16ToFloat32(bytes.subarray(1, 4));
+    expect(Array.from(samples)).toEqual([0x4000 / 32768]);
+  });
+});
+
+describe('parsePcmSampleRate', () => {
+  it('reads the rate parameter', () => {
+    expect(parsePcmSampleRate('audio/pcm;rate=24000', 16000)).toBe(24000);
+    expect(parsePcmSampleRate('audio/pcm; RATE=44100', 16000)).toBe(44100);
+  });
+
+  it('falls back to the default rate', () => {
+    expect(parsePcmSampleRate('audio/pcm', 24000)).toBe(24000);
+    expect(parsePcmSampleRate('audio/pcm;rate=', 24000)).toBe(24000);
+    expect(parsePcmSampleRate('audio/pcm;rate=fast', 24000)).toBe(24000);
+    expect(parsePcmSampleRate('audio/pcm;rate=0', 24000)).toBe(24000);
+    expect(parsePcmSampleRate('', 24000)).toBe(24000);
+  });
+});
+
+describe('resampleLinear', () => {
+  it.each(RATE_PAIRS)('resamples %i Hz to %i Hz', (fromRate, toRate) => {
+    const out = resampleLinear(new Float32Array(fromRate), fromRate, toRate);
+    expect(out.length).toBe(toRate);
+  });
+
+  it('returns the samples as they are at the same rate', () => {
+    const samples = sine(440, 24000, 100);
+    expect(resampleLinear(samples, 24000, 24000)).toBe(samples);
+  });
+});
+
+describe('createStreamResampler', () => {
+  it.each(RATE_PAIRS)(
+    'keeps the rate of %i Hz to %i Hz over many chunks',
+    (fromRate, toRate) => {
+      const resample = createStreamResampler(fromRate, toRate);
+      let length = 0;
+      for (let i = 0; i < 1000; i++) {
+        length += resample(new Float32Array(128)).length;
+      }
+      // Output after the last input sample waits for the next chunk
+      expect(
+        Math.abs(length - (128000 * toRate) / fromRate)
+      ).toBeLessThanOrEqual(1);
+    }
+  );
+
+  it('returns the chunks as they are at the same rate', () => {
+    const chunk = sine(440, 16000, 128);
+    expect(createStreamResampler(16000, 16000)(chunk)).toBe(chunk);
+  });
+
+  it.each(RATE_PAIRS)(
+    'gives the same %i Hz to %i Hz output however the input is split',
+    (fromRate, toRate) => {
+      const input = sine(440, fromRate, 4096);
+      const whole = createStreamResampler(fromRate, toRate)(input);
+
+      const resample = createStreamResampler(fromRate, toRate);
+      const chunks: Float32Array[] = [];
+      const sizes = [1, 127, 128, 3, 0, 500, 77];
+      for (let start = 0, i = 0; start < input.length; i++) {
+        const size = sizes[i % sizes.length];
+        chunks.push(resample(input.subarray(start, start + size)));
+        start += size;
+      }
+      const split = concat(chunks);
+
+      expect(split.length).toBe(whole.length);
+      split.forEach((s, i) => expect(s).toBeCloseTo(whole[i], 5));
+    }
+  );
+
+  it('has no jumps at chunk boundaries', () => {
+    const resample = createStreamResampler(24000, 48000);
+    const input = sine(200, 24000, 2400);
+    const output = concat(
+      Array.from({ length: 24 }, (_, i) =>
+        resample(input.subarray(i * 100, (i + 1) * 100))
+      )
+    );
+    // A 200 Hz sine at 48 kHz moves at most this much between samples
+    const maxStep = (2 * Math.PI * 200) / 48000;
+    for (let i = 1; i < output.length; i++) {
+      expect(Math.abs(output[i] - output[i - 1])).toBeLessThan(maxStep * 1.01);
+    }
+  });
+
+  it('filters frequencies above the new Nyquist frequency', () => {
+    // Downsampled to 16 kHz without a filter, a 12 kHz tone comes back as
+    // a 4 kHz tone at full strength
+    const resample = createStreamResampler(48000, 16000);
+    const alias = resample(sine(12000, 48000, 48000)).subarray(1600);
+    expect(rms(alias)).toBeLessThan(0.15);
+
+    const passed = createStreamResampler(48000, 16000);
+    const tone = passed(sine(1000, 48000, 48000)).subarray(1600);
+    expect(rms(tone)).toBeGreaterThan(0.65);
+  });
+
+  it('does not filter when upsampling', () => {
+    const input = sine(10000, 24000, 2400);
+    const output = createStreamResampler(24000, 48000)(input);
+    for (let i = 0; i < input.length; i++) {
+      expect(output[i * 2]).toBeCloseTo(input[i], 5);
+    }
+  });
+
+  it('works from its source alone, as inlined into the audio worklet', () => {
+    // lib/worklets/audio-processing.ts pastes the source of the function
+    // into the worklet, where nothing else from this module exists
+    const inlined = new Function(`return (${createStreamResampler})`)();
+    const input = sine(440, 48000, 4800);
+    const expected = createStreamResampler(48000, 16000)(input);
+    expect(Array.from(inlined(48000, 16000)(input))).toEqual(
+      Array.from(expected)
+    );
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+/**
+ * Converts little-endian 16-bit PCM to floats between -1 and 1.
+ */
+export function pcm16ToFloat32(data: ArrayBuffer | Uint8Array): Float32Array {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const samples = new Float32Array(Math.floor(bytes.byteLength / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = view.getInt16(i * 2, true) / 32768;
+  }
+  return samples;
+}
+
+/**
+ * Converts floats between -1 and 1 to little-endian 16-bit PCM, clipping
+ * values out of range.
+ */
+export function float32ToPcm16(samples: Float32Array): Int16Array {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = s < 0 ? s * 32768 : s * 32767;
+  }
+  return pcm;
+}
+
+/**
+ * Resamples audio by linear interpolation between neighbouring samples.
+ */
+export function resampleLinear(
+  samples: Float32Array,
+  fromRate: number,
+  toRate: number
+): Float32Array {
+  if (fromRate === toRate || !samples.length) return samples;
+  const ratio = fromRate / toRate;
+  const length = Math.round(samples.length / ratio);
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    const fraction = position - index;
+    out[i] = samples[index] + (samples[next] - samples[index]) * fraction;
+  }
+  return out;
+}
+
+/**
+ * Reads the sample rate from a PCM mimeType such as `audio/pcm;rate=24000`,
+ * falling back to `defaultRate` when the parameter is missing or invalid.
+ */
+export function parsePcmSampleRate(mimeType: string, defaultRate: number) {
+  const match = /;\s*rate=(\d+)/i.exec(mimeType);
+  const rate = match ? Number(match[1]) : NaN;
+  return rate > 0 ? rate : defaultRate;
+}
+
+/**
+ * Builds the mimeType of 16-bit PCM audio at the given sample rate.
+ */
+export function pcmMimeType(sampleRate: number) {
+  return `audio/pcm;rate=${sampleRate}`;
+}
+
+/**
+ * Creates a resampler for audio arriving in consecutive chunks, keeping the
+ * interpolation position and filter state across chunks so there are no
+ * clicks at chunk boundaries. When downsampling, a fourth-order low-pass
+ * filter below the new Nyquist frequency reduces aliasing.
+ *
+ * Self-contained so that it can also be inlined into audio worklets.
+ */
+export function createStreamResampler(fromRate: number, toRate: number) {
+  const ratio = fromRate / toRate;
+
+  // Butterworth biquad coefficients (RBJ cookbook), applied twice
+  const w = (2 * Math.PI * Math.min(0.45 * toRate, 0.45 * fromRate)) / fromRate;
+  const alpha = Math.sin(w) / Math.SQRT2;
+  const a0 = 1 + alpha;
+  const b0 = (1 - Math.cos(w)) / 2 / a0;
+  const b1 = (1 - Math.cos(w)) / a0;
+  const a1 = (-2 * Math.cos(w)) / a0;
+  const a2 = (1 - alpha) / a0;
+  const filter = toRate < fromRate;
+  // x1, x2, y1, y2 of each stage
+  const state = [
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+  ];
+
+  // Position of the next output sample relative to the start of the next
+  // chunk, -1 being the last sample of the previous chunk
+  let position = 0;
+  let previous = 0;
+
+  return function resample(input: Float32Array): Float32Array {
+    if (ratio === 1) return input;
+
+    const samples = new Float32Array(input);
+    if (filter) {
+      for (const s of state) {
+        for (let i = 0; i < samples.length; i++) {
+          const x = samples[i];
+          const y = b0 * x + b1 * s[0] + b0 * s[1] - a1 * s[2] - a2 * s[3];
+          s[1] = s[0];
+          s[0] = x;
+          s[3] = s[2];
+          s[2] = y;
+          samples[i] = y;
+        }
+      }
+    }
+
+    const length = Math.max(
+      0,
+      Math.floor((samples.length - 1 - position) / ratio) + 1
+    );
+    const output = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const a = index < 0 ? previous : samples[index];
+      const b = index + 1 < samples.length ? samples[index + 1] : a;
+      output[i] = a + (b - a) * fraction;
+      position += ratio;
+    }
+    if (samples.length) {
+      position -= samples.length;
+      previous = samples[samples.length - 1];
+    }
+    return output;
+  };
+}
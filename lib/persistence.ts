@@ -0,0 +1,93 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { StateStorage } from 'zustand/middleware';
+
+const DB_NAME = 'chatterbots';
+const STORE_NAME = 'state';
+const CHANNEL_NAME = 'chatterbots-state';
+
+let database: Promise<IDBDatabase> | null = null;
+
+function openDatabase() {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return database;
+}
+
+async function transact<T>(
+  mode: IDBTransactionMode,
+  operation: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(
+      db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+    );
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Tells the other tabs which store changed. A channel does not receive its
+// own messages, so a tab is not notified of its own writes.
+const channel =
+  typeof BroadcastChannel !== 'undefined'
+    ? new BroadcastChannel(CHANNEL_NAME)
+    : null;
+
+/**
+ * Storage for the zustand `persist` middleware keeping the stores in
+ * IndexedDB, which unlike `localStorage` is not limited to a few megabytes.
+ */
+export const indexedDBStorage: StateStorage = {
+  getItem: async name =>
+    (await transact<string | undefined>('readonly', store =>
+      store.get(name)
+    )) ?? null,
+  setItem: async (name, value) => {
+    await transact('readwrite', store => store.put(value, name));
+    channel?.postMessage({ name });
+  },
+  removeItem: async name => {
+    await transact('readwrite', store => store.delete(name));
+    channel?.postMessage({ name });
+  },
+};
+
+/**
+ * Reloads a persisted store whenever another tab saves it.
+ */
+export function syncAcrossTabs(store: {
+  persist: { getOptions: () => { name?: string }; rehydrate: () => unknown };
+}) {
+  channel?.addEventListener('message', (event: MessageEvent) => {
+    if (event.data?.name === store.persist.getOptions().name) {
+      store.persist.rehydrate();
+    }
+  });
+}
+
+/**
+ * Upgrades a persisted state one schema version at a time. The step at index
+ * `n` upgrades states of version `n` to `n + 1`, so the current version is
+ * the number of steps.
+ */
+export type Migration = (state: any) => any;
+
+export function migrate(
+  migrations: Migration[],
+  state: unknown,
+  version: number
+) {
+  return migrations.slice(version).reduce((s, step) => step(s), state);
+}
@@ -2,6 +2,9 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
+import { AvatarConfig } from '../avatars';
+import { VoiceEffect } from '../voice-effects';
+
 export const INTERLOCUTOR_VOICES = [
   'Aoede',
   'Charon',
@@ -21,6 +24,18 @@ export type Agent = {
   personality: string;
   bodyColor: string;
   voice: INTERLOCUTOR_VOICE;
+  /** Names of the tools from the tool registry the agent may call. */
+  tools?: string[];
+  /** Effects applied to the voice on playback, in order. */
+  effects?: VoiceEffect[];
+  /** The situation the conversation takes place in. */
+  scenario?: string;
+  /** What the agent says first when a new conversation starts. */
+  greeting?: string;
+  /** Whether the agent replies by voice, the default, or in text. */
+  responseModality?: 'audio' | 'text';
+  /** How the agent is drawn, the face by default. */
+  avatar?: AvatarConfig;
 };
 
 export const AGENT_COLORS = [
@@ -102,4 +117,8 @@ who speaks in a very laid-back, chill style. You're constantly referencing stran
 and very specific situations you've found yourself during your globe-hopping adventures.`,
   bodyColor: '#34a853',
   voice: 'Leda',
+  tools: ['get_current_time'],
 };
+
+/** The agents available out of the box, in the order they are listed. */
+export const PRESET_AGENTS: Agent[] = [Paul, Charlotte, Shane, Penny];
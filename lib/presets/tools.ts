@@ -0,0 +1,92 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { Type } from '@google/genai';
+import { EXPRESSIONS, isExpression } from '../expressions';
+import { useExpressions } from '../state';
+import { Tool } from '../tool-registry';
+
+export const getCurrentTime: Tool = {
+  name: 'get_current_time',
+  description:
+    'Returns the current local date and time, optionally in a given IANA time zone such as "Asia/Tokyo".',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      timeZone: {
+        type: Type.STRING,
+        description: 'IANA time zone name. Defaults to the user time zone.',
+      },
+    },
+  },
+  handler: async ({ timeZone }) => {
+    const zone = typeof timeZone === 'string' ? timeZone : undefined;
+    return new Intl.DateTimeFormat('en-US', {
+      dateStyle: 'full',
+      timeStyle: 'short',
+      timeZone: zone,
+    }).format(new Date());
+  },
+};
+
+export const rollDice: Tool = {
+  name: 'roll_dice',
+  description: 'Rolls one or more dice and returns the individual results.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      count: {
+        type: Type.INTEGER,
+        description: 'Number of dice to roll, between 1 and 10.',
+      },
+      sides: {
+        type: Type.INTEGER,
+        description: 'Number of sides on each die. Defaults to 6.',
+      },
+    },
+  },
+  handler: async ({ count = 1, sides = 6 }) => {
+    const n = Math.min(10, Math.max(1, Number(count) || 1));
+    const s = Math.max(2, Number(sides) || 6);
+    return Array.from({ length: n }, () => 1 + Math.floor(Math.random() * s));
+  },
+};
+
+export const setExpression: Tool = {
+  name: 'set_expression',
+  description:
+    'Changes the expression on your face. Call it whenever your mood changes noticeably, without mentioning it.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      expression: {
+        type: Type.STRING,
+        enum: [...EXPRESSIONS],
+        description: 'The expression to show.',
+      },
+      intensity: {
+        type: Type.NUMBER,
+        description:
+          'How strongly to show it, between 0 and 1. Defaults to 0.8.',
+      },
+    },
+    required: ['expression'],
+  },
+  handler: async ({ expression, intensity = 0.8 }, { agentId }) => {
+    if (!isExpression(expression)) {
+      throw new Error(`Unknown expression: ${expression}`);
+    }
+    if (!agentId) throw new Error('There is no face to show it on');
+    const strength = Math.min(1, Math.max(0, Number(intensity) || 0));
+    useExpressions
+      .getState()
+      .setExpression(agentId, expression, strength, 'tool');
+    return { expression, intensity: strength };
+  },
+};
+
+export const PRESET_TOOLS: Tool[] = [getCurrentTime, rollDice, setExpression];
+
+// Tools every agent may call, whether or not they are among its tools
+export const BUILT_IN_TOOLS = [setExpression.name];
@@ -3,14 +3,31 @@
  * SPDX-License-Identifier: Apache-2.0
 */
 import { Agent } from './presets/agents';
-import { User } from './state';
+import { ConversationTurn, User } from './state';
 
-export const createSystemInstructions = (agent: Agent, user: User) =>
+/**
+ * Replaces the `{{user}}` placeholders of imported character cards with the
+ * name of the user.
+ */
+export const fillUserPlaceholders = (text: string, user: User) =>
+  text.replace(/\{\{user\}\}/gi, user.name || 'the user');
+
+export const createSystemInstructions = (
+  agent: Agent,
+  user: User,
+  history: ConversationTurn[] = []
+) =>
   `Your name is ${agent.name} and you are in a conversation with the user\
 ${user.name ? ` (${user.name})` : ''}.
 
 Your personality is described like this:
-${agent.personality}\
+${fillUserPlaceholders(agent.personality, user)}\
+${
+  agent.scenario
+    ? `\n\nThe conversation takes place in this scenario:
+${fillUserPlaceholders(agent.scenario, user)}`
+    : ''
+}\
 ${
   user.info
     ? `\nHere is some information about ${user.name || 'the user'}:
@@ -29,4 +46,35 @@ Today's date is ${new Intl.DateTimeFormat(navigator.languages[0], {
 Output a thoughtful response that makes sense given your personality and interests. \
 Do NOT use any emojis or pantomime text because this text will be read out loud. \
 Keep it fairly concise, don't speak too many sentences at once. NEVER EVER repeat \
-things you've said before in the conversation!`;
+things you've said before in the conversation!\
+${
+  history.length
+    ? `\n\nYou have talked with ${user.name || 'the user'} before. \
+Here is the most recent part of that conversation, continue from there:
+${history
+  .map(
+    turn =>
+      `${turn.role === 'user' ? user.name || 'User' : agent.name}: ${turn.text}\
+${turn.interrupted ? ' (interrupted)' : ''}`
+  )
+  .join('\n')}`
+    : ''
+}`;
+
+/**
+ * Instructions for an agent taking part in a round table, where the turns of
+ * the others are passed on as lines starting with their name.
+ */
+export const createRoundTableInstructions = (
+  agent: Agent,
+  others: Agent[],
+  user: User
+) =>
+  `${createSystemInstructions(agent, user)}
+
+You are taking part in a round table with ${user.name || 'the user'} and \
+${others.map(other => other.name).join(', ')}. What the others say is passed \
+on to you as lines starting with their name, like "${others[0]?.name}: Hello". \
+Only ever speak for yourself and do not start your answers with your name. \
+Address someone by name when you want them to answer. Keep your turns short \
+so everyone gets to speak.`;
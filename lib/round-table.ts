@@ -0,0 +1,333 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import EventEmitter from 'eventemitter3';
+import { AudioStreamer } from './audio-streamer';
+import { GenAILiveClient } from './genai-live-client';
+import { pcmMimeType } from './pcm';
+import { Agent } from './presets/agents';
+
+export const MIN_ROUND_TABLE_SIZE = 2;
+export const MAX_ROUND_TABLE_SIZE = 4;
+
+/**
+ * An agent taking part in a round table, with its own session and playback.
+ */
+export type RoundTableMember = {
+  agent: Agent;
+  client: GenAILiveClient;
+  streamer: AudioStreamer;
+};
+
+/**
+ * A completed turn of the round table, said by the user unless it has an
+ * `agentId`.
+ */
+export type RoundTableTurn = {
+  agentId?: string;
+  text: string;
+  interrupted?: boolean;
+};
+
+export type ModeratorOptions = {
+  // Turns agents may take in a row before the user gets to speak again,
+  // counting the answer to the user
+  maxAgentTurns: number;
+};
+
+const DEFAULT_MODERATOR_OPTIONS: ModeratorOptions = {
+  maxAgentTurns: 2,
+};
+
+/**
+ * Names an agent can be addressed by: its full name without emojis, and the
+ * last word of it, e.g. "Paul" for "🫖 Proper Paul".
+ */
+export function getAddressNames(agent: Agent) {
+  const name = agent.name.replace(/[^\p{L}\p{N}\s'-]/gu, '').trim();
+  const words = name.split(/\s+/);
+  return [...new Set([name, words[words.length - 1]])].filter(Boolean);
+}
+
+/**
+ * Finds the agent mentioned first in a text by one of its address names.
+ */
+export function findAddressedAgent(agents: Agent[], text: string) {
+  let addressed: Agent | undefined;
+  let firstIndex = Infinity;
+  agents.forEach(agent => {
+    getAddressNames(agent).forEach(name => {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const match = new RegExp(
+        `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`,
+        'iu'
+      ).exec(text);
+      if (match && match.index < firstIndex) {
+        firstIndex = match.index;
+        addressed = agent;
+      }
+    });
+  });
+  return addressed;
+}
+
+/**
+ * Decides who speaks next at a round table. An agent addressed by name gets
+ * the floor. Otherwise the agent the user talks to answers, and the agent
+ * who has been quiet the longest reacts to an agent, until the agents have
+ * had `maxAgentTurns` in a row or one of them asks a question.
+ */
+export class RoundTableModerator {
+  private readonly options: ModeratorOptions;
+  // Turns the agents had since the user last spoke
+  private agentTurns = 0;
+  // Order in which the agents last spoke, by agent id
+  private lastSpoke: Map<string, number> = new Map();
+  private clock = 0;
+
+  constructor(
+    private readonly agents: Agent[],
+    options: Partial<ModeratorOptions> = {}
+  ) {
+    this.options = { ...DEFAULT_MODERATOR_OPTIONS, ...options };
+  }
+
+  /**
+   * Returns the id of the agent answering the user.
+   * @param floorId the agent the user was talking to
+   */
+  afterUserTurn(text: string, floorId: string) {
+    this.agentTurns = 0;
+    return findAddressedAgent(this.agents, text)?.id ?? floorId;
+  }
+
+  /**
+   * Returns the id of the agent speaking next, or null when it is the turn
+   * of the user.
+   */
+  afterAgentTurn(agentId: string, text: string, interrupted = false) {
+    this.lastSpoke.set(agentId, ++this.clock);
+    this.agentTurns++;
+    if (interrupted || this.agentTurns >= this.options.maxAgentTurns) {
+      return null;
+    }
+    const others = this.agents.filter(a => a.id !== agentId);
+    const addressed = findAddressedAgent(others, text);
+    if (addressed) return addressed.id;
+    // A question to nobody in particular is left to the user
+    if (text.trim().endsWith('?')) return null;
+    const quietest = others.reduce<Agent | undefined>(
+      (quietest, agent) =>
+        !quietest ||
+        (this.lastSpoke.get(agent.id) ?? 0) <
+          (this.lastSpoke.get(quietest.id) ?? 0)
+          ? agent
+          : quietest,
+      undefined
+    );
+    return quietest?.id ?? null;
+  }
+}
+
+export interface RoundTableEventTypes {
+  // Emitted when another agent gets the floor, i.e. speaks next and hears
+  // the microphone
+  floor: (agentId: string) => void;
+  // Emitted for every completed turn
+  turn: (turn: RoundTableTurn) => void;
+}
+
+/**
+ * Runs a conversation between the user and several agents, each in a
+ * session of its own. One agent at a time has the floor: it receives the
+ * microphone and only its audio is played. Every turn is passed on to the
+ * other agents as text, so they all follow the conversation, and the
+ * moderator hands the floor on.
+ *
+ * The sessions should have input and output transcription enabled.
+ */
+export class RoundTable extends EventEmitter<RoundTableEventTypes> {
+  private readonly moderator: RoundTableModerator;
+  private _floorId: string;
+  // Input transcription of the floor agent since the user last spoke
+  private userText = '';
+  // Agents whose current answer is dropped as the user addressed someone
+  // else, with the id of the agent answering instead
+  private superseded: Map<string, string> = new Map();
+  private interrupted: Set<string> = new Set();
+  private detachers: Array<() => void> = [];
+
+  public get floorId() {
+    return this._floorId;
+  }
+
+  constructor(
+    private readonly members: RoundTableMember[],
+    private readonly userName: string,
+    options: Partial<ModeratorOptions> = {}
+  ) {
+    super();
+    if (members.length < MIN_ROUND_TABLE_SIZE) {
+      throw new Error(
+        `A round table needs at least ${MIN_ROUND_TABLE_SIZE} agents`
+      );
+    }
+    this.moderator = new RoundTableModerator(
+      members.map(m => m.agent),
+      options
+    );
+    this._floorId = members[0].agent.id;
+  }
+
+  attach() {
+    this.members.forEach(member => {
+      const { client, streamer, agent } = member;
+      const onInputTranscription = (text: string) => {
+        if (agent.id === this._floorId) this.userText += text;
+      };
+      const onOutputTranscription = () => this.takeUserTurn(member);
+      const onAudio = (data: ArrayBuffer, sampleRate: number) => {
+        this.takeUserTurn(member);
+        if (agent.id !== this._floorId) return;
+        streamer.addPCM16(new Uint8Array(data), sampleRate);
+      };
+      const onInterrupted = () => {
+        this.interrupted.add(agent.id);
+        streamer.stop();
+      };
+      const onTurnComplete = () => streamer.complete();
+      const onComplete = (text: string) => {
+        this.takeUserTurn(member);
+        this.takeAgentTurn(member, text);
+      };
+
+      client.on('inputtranscription', onInputTranscription);
+      client.on('outputtranscription', onOutputTranscription);
+      client.on('audio', onAudio);
+      client.on('interrupted', onInterrupted);
+      client.on('turncomplete', onTurnComplete);
+      client.on('complete', onComplete);
+      this.detachers.push(() => {
+        client.off('inputtranscription', onInputTranscription);
+        client.off('outputtranscription', onOutputTranscription);
+        client.off('audio', onAudio);
+        client.off('interrupted', onInterrupted);
+        client.off('turncomplete', onTurnComplete);
+        client.off('complete', onComplete);
+      });
+    });
+    return this;
+  }
+
+  detach() {
+    this.members.forEach(m => (m.streamer.onComplete = () => {}));
+    this.detachers.forEach(detach => detach());
+    this.detachers = [];
+  }
+
+  /**
+   * Opens the conversation with a greeting of the first agent.
+   */
+  start() {
+    this.userText = '';
+    this.superseded.clear();
+    this.interrupted.clear();
+    this.setFloor(this.members[0].agent.id);
+    this.members[0].client.send(
+      {
+        text: `Open the round table: greet ${this.userName} and the others \
+and introduce yourself in a sentence or two.`,
+      },
+      true
+    );
+  }
+
+  /**
+   * Sends audio of the microphone to the agent having the floor.
+   * @param base64 PCM16 audio as emitted by `AudioRecorder`
+   */
+  sendAudio(base64: string, sampleRate: number) {
+    this.getMember(this._floorId)?.client.sendRealtimeInput([
+      { mimeType: pcmMimeType(sampleRate), data: base64 },
+    ]);
+  }
+
+  private getMember(agentId: string) {
+    return this.members.find(m => m.agent.id === agentId);
+  }
+
+  private setFloor(agentId: string) {
+    if (agentId === this._floorId) return;
+    this._floorId = agentId;
+    this.userText = '';
+    this.emit('floor', agentId);
+  }
+
+  // Passes a turn on to the other agents, prompting `nextId` to answer
+  private share(from: RoundTableMember | null, line: string, nextId?: string) {
+    this.members
+      .filter(m => m !== from)
+      .forEach(m => m.client.send({ text: line }, m.agent.id === nextId));
+  }
+
+  /**
+   * Completes the turn of the user once the floor agent starts to answer,
+   * by which time the input transcription has arrived.
+   */
+  private takeUserTurn(member: RoundTableMember) {
+    const text = this.userText.trim();
+    if (member.agent.id !== this._floorId || !text) return;
+    this.userText = '';
+    this.emit('turn', { text });
+
+    const answerId = this.moderator.afterUserTurn(text, member.agent.id);
+    // The floor agent heard the user already
+    this.share(member, `${this.userName}: ${text}`, answerId);
+    if (answerId !== member.agent.id) {
+      this.superseded.set(member.agent.id, answerId);
+      this.setFloor(answerId);
+    }
+  }
+
+  private takeAgentTurn(member: RoundTableMember, text: string) {
+    const { agent, client } = member;
+    const interrupted = this.interrupted.delete(agent.id);
+    const answerId = this.superseded.get(agent.id);
+    if (answerId) {
+      this.superseded.delete(agent.id);
+      client.send(
+        {
+          text: `(Nobody heard your last answer, ${
+            this.getMember(answerId)?.agent.name
+          } answered instead.)`,
+        },
+        false
+      );
+      return;
+    }
+    text = text.trim();
+    if (!text) return;
+    this.emit('turn', { agentId: agent.id, text, interrupted });
+
+    const nextId = this.moderator.afterAgentTurn(agent.id, text, interrupted);
+    const line = `${agent.name}: ${text}${interrupted ? ' (interrupted)' : ''}`;
+    if (!nextId) return this.share(member, line);
+    // The answer is generated faster than it is played, so the next agent
+    // waits until it was heard
+    this.afterPlayback(member.streamer, () => {
+      // Unless the user started talking meanwhile
+      if (this.userText.trim()) return this.share(member, line);
+      this.share(member, line, nextId);
+      this.setFloor(nextId);
+    });
+  }
+
+  private afterPlayback(streamer: AudioStreamer, callback: () => void) {
+    if (!streamer.playing) return callback();
+    streamer.onComplete = () => {
+      streamer.onComplete = () => {};
+      callback();
+    };
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { readFileSync } from 'fs';
+import { describe, expect, it } from 'vitest';
+import { GenAILiveClient } from './genai-live-client';
+import { parseRecording, ReplayTransport } from './session-recording';
+
+// Recorded against the mock server: a greeting, then a dice roll through the
+// `roll_dice` tool
+const recording = parseRecording(
+  readFileSync(
+    new URL('../mock/recordings/roll-dice.json', import.meta.url),
+    'utf8'
+  )
+);
+
+/**
+ * Replays the recording without waiting and collects the events of the
+ * client until the replay closes the session.
+ */
+async function replay() {
+  const client = new GenAILiveClient('', undefined, {
+    transport: new ReplayTransport(recording, { speed: Infinity }),
+    reconnect: { enabled: false },
+  });
+  const events: string[] = [];
+  client.on('open', () => events.push('open'));
+  client.on('setupcomplete', () => events.push('setupcomplete'));
+  client.on('text', text => events.push(`text ${text}`));
+  client.on('toolcall', toolCall =>
+    events.push(
+      `toolcall ${toolCall.functionCalls?.map(call => call.name).join(', ')}`
+    )
+  );
+  client.on('usage', usage => events.push(`usage ${usage.totalTokenCount}`));
+  client.on('turncomplete', () => events.push('turncomplete'));
+  client.on('complete', text => events.push(`complete ${text}`));
+
+  const closed = new Promise<string>(resolve =>
+    client.on('close', e => resolve(e.reason))
+  );
+  expect(await client.connect()).toBe(true);
+  const reason = await closed;
+  return { client, events, reason };
+}
+
+describe('ReplayTransport', () => {
+  it('replays a recording as the same sequence of client events', async () => {
+    const { client, events, reason } = await replay();
+    expect(events).toEqual([
+      'open',
+      'setupcomplete',
+      'text Hello ',
+      'text there! ',
+      'text I ',
+      'text am ',
+      'text a ',
+      'text mock ',
+      'text ChatterBot ',
+      'text running ',
+      'text entirely ',
+      'text on ',
+      'text your ',
+      'text machine. ',
+      'usage 69',
+      'turncomplete',
+      'complete Hello there! I am a mock ChatterBot running entirely on your machine. ',
+      'toolcall roll_dice',
+      'text I ',
+      'text rolled ',
+      'text [3,5]. ',
+      'usage 15',
+      'turncomplete',
+      'complete I rolled [3,5]. ',
+    ]);
+    expect(reason).toBe('replay finished');
+    expect(client.status).toBe('disconnected');
+  });
+
+  it('produces the same events on every replay', async () => {
+    const first = await replay();
+    const second = await replay();
+    expect(second.events).toEqual(first.events);
+  });
+
+  it('stops replaying when the session is closed', async () => {
+    const client = new GenAILiveClient('', undefined, {
+      transport: new ReplayTransport(recording),
+      reconnect: { enabled: false },
+    });
+    const texts: string[] = [];
+    client.on('text', text => texts.push(text));
+    await client.connect();
+    client.disconnect();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(texts).toEqual([]);
+  });
+});
+
+describe('parseRecording', () => {
+  it('rejects files that are not recordings', () => {
+    expect(() => parseRecording('{}')).toThrow('Not a valid session recording');
+    expect(() =>
+      parseRecording(JSON.stringify({ version: 2, events: [] }))
+    ).toThrow('Not a valid session recording');
+    expect(() => parseRecording('null')).toThrow(
+      'Not a valid session recording'
+    );
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {
+  LiveConnectConfig,
+  LiveSendClientContentParameters,
+  LiveSendRealtimeInputParameters,
+  LiveSendToolResponseParameters,
+  LiveServerMessage,
+} from '@google/genai';
+import {
+  LiveTransport,
+  LiveTransportConnectParameters,
+  LiveTransportSession,
+} from './live-transport';
+import { downloadBlob } from './utils';
+
+const RECORDING_VERSION = 1;
+
+/**
+ * A single recorded event. `t` is the time in milliseconds since the
+ * recording started.
+ */
+export type RecordedEvent =
+  | { t: number; type: 'connect'; model: string; config: LiveConnectConfig }
+  | {
+      t: number;
+      type: 'clientContent';
+      params: LiveSendClientContentParameters;
+    }
+  | {
+      t: number;
+      type: 'realtimeInput';
+      params: LiveSendRealtimeInputParameters;
+    }
+  | { t: number; type: 'toolResponse'; params: LiveSendToolResponseParameters }
+  | { t: number; type: 'message'; message: LiveServerMessage }
+  | { t: number; type: 'close'; code: number; reason: string };
+
+export type SessionRecording = {
+  version: number;
+  startedAt: string;
+  events: RecordedEvent[];
+};
+
+/**
+ * Collects the traffic of Live sessions into a timestamped recording.
+ * Attach it with a `RecordingTransport`.
+ */
+export class SessionRecorder {
+  private events: RecordedEvent[] = [];
+  private startTime: number = 0;
+  private startedAt: string = '';
+  private _recording: boolean = false;
+  public get recording() {
+    return this._recording;
+  }
+
+  start() {
+    this.events = [];
+    this.startTime = Date.now();
+    this.startedAt = new Date(this.startTime).toISOString();
+    this._recording = true;
+  }
+
+  stop(): SessionRecording {
+    this._recording = false;
+    return {
+      version: RECORDING_VERSION,
+      startedAt: this.startedAt,
+      events: this.events,
+    };
+  }
+
+  record(event: DistributiveOmit<RecordedEvent, 't'>) {
+    if (!this._recording) return;
+    this.events.push({
+      ...event,
+      t: Date.now() - this.startTime,
+    } as RecordedEvent);
+  }
+}
+
+type DistributiveOmit<T, K extends PropertyKey> = T extends unknown
+  ? Omit<T, K>
+  : never;
+
+/**
+ * Transport that records everything sent and received through another
+ * transport while the recorder is recording.
+ */
+export class RecordingTransport implements LiveTransport {
+  constructor(
+    private readonly transport: LiveTransport,
+    public readonly recorder: SessionRecorder
+  ) {}
+
+  async connect({ model, config, callbacks }: LiveTransportConnectParameters) {
+    const { recorder } = this;
+    recorder.record({ type: 'connect', model, config });
+
+    const session = await this.transport.connect({
+      model,
+      config,
+      callbacks: {
+        ...callbacks,
+        onmessage: message => {
+          recorder.record({ type: 'message', message });
+          callbacks.onmessage(message);
+        },
+        onclose: e => {
+          recorder.record({ type: 'close', code: e.code, reason: e.reason });
+          callbacks.onclose?.(e);
+        },
+      },
+    });
+
+    return {
+      sendClientContent: params => {
+        recorder.record({ type: 'clientContent', params });
+        session.sendClientContent(params);
+      },
+      sendRealtimeInput: params => {
+        recorder.record({ type: 'realtimeInput', params });
+        session.sendRealtimeInput(params);
+      },
+      sendToolResponse: params => {
+        recorder.record({ type: 'toolResponse', params });
+        session.sendToolResponse(params);
+      },
+      close: () => session.close(),
+    } as LiveTransportSession;
+  }
+}
+
+export type ReplayOptions = {
+  // Playback speed relative to the original timing, `Infinity` replays all
+  // messages back to back without waiting
+  speed?: number;
+};
+
+/**
+ * Transport that plays back the server messages of a recording instead of
+ * talking to a server. Everything sent by the client is ignored, so the
+ * same recording always produces the same sequence of client events.
+ */
+export class ReplayTransport implements LiveTransport {
+  constructor(
+    private readonly recording: SessionRecording,
+    private readonly options: ReplayOptions = {}
+  ) {}
+
+  async connect({ callbacks }: LiveTransportConnectParameters) {
+    const { speed = 1 } = this.options;
+    const messages = this.recording.events.filter(
+      (e): e is Extract<RecordedEvent, { type: 'message' }> =>
+        e.type === 'message'
+    );
+    let closed = false;
+
+    const close = (reason: string) => {
+      if (closed) return;
+      closed = true;
+      // Plain object rather than `new CloseEvent` so replay also runs in Node
+      callbacks.onclose?.({ type: 'close', code: 1000, reason } as CloseEvent);
+    };
+
+    const play = async () => {
+      let elapsed = messages.length ? messages[0].t : 0;
+      for (const { t, message } of messages) {
+        const wait = (t - elapsed) / speed;
+        elapsed = t;
+        await new Promise(resolve =>
+          Number.isFinite(wait) && wait > 0
+            ? setTimeout(resolve, wait)
+            : resolve(undefined)
+        );
+        if (closed) return;
+        callbacks.onmessage(message);
+      }
+      close('replay finished');
+    };
+
+    callbacks.onopen?.();
+    // Start once the session has been handed to the client
+    setTimeout(play);
+
+    const ignore = () => {};
+    return {
+      sendClientContent: ignore,
+      sendRealtimeInput: ignore,
+      sendToolResponse: ignore,
+      close: () => close('replay stopped'),
+    };
+  }
+}
+
+/**
+ * Parses and validates a recording read from a file.
+ */
+export function parseRecording(json: string): SessionRecording {
+  const recording = JSON.parse(json);
+  if (
+    !recording ||
+    recording.version !== RECORDING_VERSION ||
+    !Array.isArray(recording.events)
+  ) {
+    throw new Error('Not a valid session recording');
+  }
+  return recording as SessionRecording;
+}
+
+/**
+ * Saves a recording as a JSON file through the browser.
+ */
+export function downloadRecording(recording: SessionRecording) {
+  const blob = new Blob([JSON.stringify(recording)], {
+    type: 'application/json',
+  });
+  downloadBlob(
+    blob,
+    `session-${recording.startedAt.replace(/[:.]/g, '-')}.json`
+  );
+}
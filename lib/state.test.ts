@@ -0,0 +1,79 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { ConversationTurn, useHistory } from './state';
+
+// The stores persist to `window.localStorage`, which Node does not have
+vi.hoisted(() => {
+  const items = new Map<string, string>();
+  const localStorage = {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => void items.set(key, value),
+    removeItem: (key: string) => void items.delete(key),
+  };
+  vi.stubGlobal('window', Object.assign(new EventTarget(), { localStorage }));
+});
+
+const turn = (timestamp: number): ConversationTurn => ({
+  role: 'user',
+  text: `at ${timestamp}`,
+  timestamp,
+});
+
+describe('useHistory', () => {
+  beforeEach(() => useHistory.setState({ sessions: [], activeSessionIds: {} }));
+
+  it('drops the least recently updated sessions of an agent', () => {
+    const { startSession, continueSession, addTurn } = useHistory.getState();
+    for (let i = 0; i < 20; i++) {
+      startSession('a');
+      addTurn('a', turn(1000 + i));
+    }
+    const [first, second] = useHistory.getState().sessions;
+
+    // Resuming the oldest session makes the second oldest the least recent
+    continueSession('a', first.id);
+    addTurn('a', turn(2000));
+    startSession('a');
+    addTurn('a', turn(3000));
+
+    const ids = useHistory.getState().sessions.map(s => s.id);
+    expect(ids).toHaveLength(20);
+    expect(ids).toContain(first.id);
+    expect(ids).not.toContain(second.id);
+  });
+
+  it('never drops the active session', () => {
+    const { startSession, continueSession, addTurn } = useHistory.getState();
+    for (let i = 0; i < 20; i++) {
+      startSession('a');
+      addTurn('a', turn(1000 + i));
+    }
+    const [oldest] = useHistory.getState().sessions;
+
+    // A turn with an old timestamp still keeps its session
+    continueSession('a', oldest.id);
+    addTurn('a', turn(1));
+    startSession('a');
+    addTurn('a', turn(500));
+
+    const { sessions, activeSessionIds } = useHistory.getState();
+    expect(sessions).toHaveLength(20);
+    expect(sessions.map(s => s.id)).toContain(activeSessionIds.a);
+  });
+
+  it('keeps the sessions of other agents', () => {
+    const { startSession, addTurn } = useHistory.getState();
+    startSession('b');
+    addTurn('b', turn(1));
+    for (let i = 0; i < 25; i++) {
+      startSession('a');
+      addTurn('a', turn(1000 + i));
+    }
+    const { sessions } = useHistory.getState();
+    expect(sessions.filter(s => s.agentId === 'a')).toHaveLength(20);
+    expect(sessions.filter(s => s.agentId === 'b')).toHaveLength(1);
+  });
+});
@@ -3,7 +3,19 @@
  * SPDX-License-Identifier: Apache-2.0
 */
 import { create } from 'zustand';
-import { Agent, Charlotte, Paul, Shane, Penny } from './presets/agents';
+import { createJSONStorage, persist } from 'zustand/middleware';
+import { Agent, createNewAgent, Paul, PRESET_AGENTS } from './presets/agents';
+import {
+  indexedDBStorage,
+  migrate,
+  Migration,
+  syncAcrossTabs,
+} from './persistence';
+import { InputMode } from './audio-input-gate';
+import { AudioExportFormat, AudioExportTracks } from './audio-export';
+import { BargeInAction } from './barge-in';
+import { MAX_ROUND_TABLE_SIZE } from './round-table';
+import { Expression, ExpressionSource } from './expressions';
 
 /**
  * User
@@ -13,22 +25,111 @@ export type User = {
   info?: string;
 };
 
+// Steps upgrading the persisted user from older schema versions, see
+// `migrate`
+const USER_MIGRATIONS: Migration[] = [
+  // 0 -> 1: saved before versioning
+  state => ({
+    name: typeof state?.name === 'string' ? state.name : '',
+    info: typeof state?.info === 'string' ? state.info : '',
+  }),
+];
+
 export const useUser = create<
   {
     setName: (name: string) => void;
     setInfo: (info: string) => void;
   } & User
+>()(
+  persist(
+    set => ({
+      name: '',
+      info: '',
+      setName: name => set({ name }),
+      setInfo: info => set({ info }),
+    }),
+    {
+      name: 'chatterbots-user',
+      storage: createJSONStorage(() => indexedDBStorage),
+      version: USER_MIGRATIONS.length,
+      migrate: (state, version) => migrate(USER_MIGRATIONS, state, version),
+    }
+  )
+);
+syncAcrossTabs(useUser);
+
+/**
+ * Audio input
+ */
+export const useAudioSettings = create<{
+  // Microphone and speakers chosen by the user, empty for the system default
+  inputDeviceId: string;
+  setInputDeviceId: (inputDeviceId: string) => void;
+  outputDeviceId: string;
+  setOutputDeviceId: (outputDeviceId: string) => void;
+  inputMode: InputMode;
+  setInputMode: (inputMode: InputMode) => void;
+  // Format and track layout of exported conversation recordings
+  recordingFormat: AudioExportFormat;
+  setRecordingFormat: (recordingFormat: AudioExportFormat) => void;
+  recordingTracks: AudioExportTracks;
+  setRecordingTracks: (recordingTracks: AudioExportTracks) => void;
+  // Reaction to the user talking over the agent
+  bargeInAction: BargeInAction;
+  setBargeInAction: (bargeInAction: BargeInAction) => void;
+}>()(
+  persist(
+    set => ({
+      inputDeviceId: '',
+      setInputDeviceId: inputDeviceId => set({ inputDeviceId }),
+      outputDeviceId: '',
+      setOutputDeviceId: outputDeviceId => set({ outputDeviceId }),
+      inputMode: 'always',
+      setInputMode: inputMode => set({ inputMode }),
+      recordingFormat: 'wav',
+      setRecordingFormat: recordingFormat => set({ recordingFormat }),
+      recordingTracks: 'mixed',
+      setRecordingTracks: recordingTracks => set({ recordingTracks }),
+      bargeInAction: 'duck',
+      setBargeInAction: bargeInAction => set({ bargeInAction }),
+    }),
+    {
+      name: 'chatterbots-audio-devices',
+      // Only the device choice is kept across visits
+      partialize: state => ({
+        inputDeviceId: state.inputDeviceId,
+        outputDeviceId: state.outputDeviceId,
+      }),
+    }
+  )
+);
+
+/**
+ * Video input
+ */
+export type VideoSettings = {
+  // Frames sent per second while the camera or screen is shared
+  frameRate: number;
+  // Longest side of the sent frames in pixels
+  maxResolution: number;
+};
+
+export const useVideoSettings = create<
+  {
+    setFrameRate: (frameRate: number) => void;
+    setMaxResolution: (maxResolution: number) => void;
+  } & VideoSettings
 >(set => ({
-  name: '',
-  info: '',
-  setName: name => set({ name }),
-  setInfo: info => set({ info }),
+  frameRate: 1,
+  maxResolution: 640,
+  setFrameRate: frameRate => set({ frameRate }),
+  setMaxResolution: maxResolution => set({ maxResolution }),
 }));
 
 /**
  * Agents
  */
-function getAgentById(id: string) {
+function getAgentById(id: string): Agent | undefined {
   const { availablePersonal, availablePresets } = useAgent.getState();
   return (
     availablePersonal.find(agent => agent.id === id) ||
@@ -36,6 +137,34 @@ function getAgentById(id: string) {
   );
 }
 
+/**
+ * The part of the agents that is persisted. Presets are stored with the
+ * user's edits, and the current agent by id.
+ */
+type PersistedAgents = {
+  availablePresets: Agent[];
+  availablePersonal: Agent[];
+  currentId: string;
+};
+
+// Steps upgrading the persisted agents from older schema versions, see
+// `migrate`
+const AGENT_MIGRATIONS: Migration[] = [
+  // 0 -> 1: saved before versioning, drop agents without an id and fill in
+  // missing fields
+  (state): PersistedAgents => {
+    const agents = (list: unknown) =>
+      (Array.isArray(list) ? list : [])
+        .filter(agent => typeof agent?.id === 'string')
+        .map(agent => createNewAgent(agent));
+    return {
+      availablePresets: agents(state?.availablePresets),
+      availablePersonal: agents(state?.availablePersonal),
+      currentId: state?.currentId ?? state?.current?.id ?? Paul.id,
+    };
+  },
+];
+
 export const useAgent = create<{
   current: Agent;
   availablePresets: Agent[];
@@ -43,35 +172,427 @@ export const useAgent = create<{
   setCurrent: (agent: Agent | string) => void;
   addAgent: (agent: Agent) => void;
   update: (agentId: string, adjustments: Partial<Agent>) => void;
-}>(set => ({
-  current: Paul,
-  availablePresets: [Paul, Charlotte, Shane, Penny],
-  availablePersonal: [],
+  /** Discards the edits of a preset agent. */
+  resetPreset: (agentId: string) => void;
+}>()(
+  persist(
+    set => ({
+      current: Paul,
+      availablePresets: PRESET_AGENTS,
+      availablePersonal: [],
 
-  addAgent: (agent: Agent) => {
-    set(state => ({
-      availablePersonal: [...state.availablePersonal, agent],
-      current: agent,
-    }));
-  },
-  setCurrent: (agent: Agent | string) =>
-    set({ current: typeof agent === 'string' ? getAgentById(agent) : agent }),
-  update: (agentId: string, adjustments: Partial<Agent>) => {
-    let agent = getAgentById(agentId);
-    if (!agent) return;
-    const updatedAgent = { ...agent, ...adjustments };
+      addAgent: (agent: Agent) => {
+        set(state => ({
+          availablePersonal: [...state.availablePersonal, agent],
+          current: agent,
+        }));
+      },
+      setCurrent: (agent: Agent | string) =>
+        set(state => ({
+          current:
+            typeof agent === 'string'
+              ? (getAgentById(agent) ?? state.current)
+              : agent,
+        })),
+      update: (agentId: string, adjustments: Partial<Agent>) => {
+        let agent = getAgentById(agentId);
+        if (!agent) return;
+        const updatedAgent = { ...agent, ...adjustments };
+        set(state => ({
+          availablePresets: state.availablePresets.map(a =>
+            a.id === agentId ? updatedAgent : a
+          ),
+          availablePersonal: state.availablePersonal.map(a =>
+            a.id === agentId ? updatedAgent : a
+          ),
+          current: state.current.id === agentId ? updatedAgent : state.current,
+        }));
+      },
+      resetPreset: (agentId: string) => {
+        const preset = PRESET_AGENTS.find(a => a.id === agentId);
+        if (!preset) return;
+        set(state => ({
+          availablePresets: state.availablePresets.map(a =>
+            a.id === agentId ? preset : a
+          ),
+          current: state.current.id === agentId ? preset : state.current,
+        }));
+      },
+    }),
+    {
+      name: 'chatterbots-agents',
+      storage: createJSONStorage(() => indexedDBStorage),
+      version: AGENT_MIGRATIONS.length,
+      migrate: (state, version) => migrate(AGENT_MIGRATIONS, state, version),
+      partialize: (state): PersistedAgents => ({
+        availablePresets: state.availablePresets,
+        availablePersonal: state.availablePersonal,
+        currentId: state.current.id,
+      }),
+      merge: (persisted, state) => {
+        const saved = persisted as PersistedAgents | undefined;
+        if (!saved) return state;
+        // Presets added since the state was saved are listed as well
+        const availablePresets = PRESET_AGENTS.map(
+          preset =>
+            saved.availablePresets.find(a => a.id === preset.id) ?? preset
+        );
+        const current = [...availablePresets, ...saved.availablePersonal].find(
+          a => a.id === saved.currentId
+        );
+        return {
+          ...state,
+          availablePresets,
+          availablePersonal: saved.availablePersonal,
+          current: current ?? state.current,
+        };
+      },
+    }
+  )
+);
+syncAcrossTabs(useAgent);
+
+/**
+ * Personality revisions
+ */
+export type PromptRevision = {
+  id: string;
+  agentId: string;
+  personality: string;
+  savedAt: number;
+  label?: string;
+};
+
+// Oldest revisions of an agent beyond this count are dropped
+const MAX_REVISIONS_PER_AGENT = 50;
+
+export const useRevisions = create<{
+  revisions: PromptRevision[];
+  /**
+   * Saves the personality of the agent as a revision, unless it is the same
+   * as the latest revision of the agent. Returns the saved revision.
+   */
+  saveRevision: (agent: Agent, label?: string) => PromptRevision;
+  deleteRevision: (revisionId: string) => void;
+  // Scripted user turns of the A/B test, one per line
+  abScript: string;
+  setAbScript: (abScript: string) => void;
+}>()(
+  persist(
+    (set, get) => ({
+      revisions: [],
+      saveRevision: (agent, label) => {
+        const agentRevisions = get().revisions.filter(
+          r => r.agentId === agent.id
+        );
+        const latest = agentRevisions[agentRevisions.length - 1];
+        if (latest?.personality === agent.personality && !label) return latest;
+
+        const revision: PromptRevision = {
+          id: Math.random().toString(36).substring(2, 15),
+          agentId: agent.id,
+          personality: agent.personality,
+          savedAt: Date.now(),
+          ...(label && { label }),
+        };
+        const dropped = agentRevisions
+          .slice(
+            0,
+            Math.max(0, agentRevisions.length + 1 - MAX_REVISIONS_PER_AGENT)
+          )
+          .map(r => r.id);
+        set(state => ({
+          revisions: [
+            ...state.revisions.filter(r => !dropped.includes(r.id)),
+            revision,
+          ],
+        }));
+        return revision;
+      },
+      deleteRevision: revisionId =>
+        set(state => ({
+          revisions: state.revisions.filter(r => r.id !== revisionId),
+        })),
+      abScript: '',
+      setAbScript: abScript => set({ abScript }),
+    }),
+    {
+      name: 'chatterbots-revisions',
+      storage: createJSONStorage(() => indexedDBStorage),
+    }
+  )
+);
+syncAcrossTabs(useRevisions);
+
+/**
+ * Conversation history
+ */
+export type ConversationTurn = {
+  role: 'user' | 'agent';
+  text: string;
+  timestamp: number;
+  /** Whether the agent was interrupted during this turn. */
+  interrupted?: boolean;
+};
+
+export type ConversationSession = {
+  id: string;
+  agentId: string;
+  startedAt: number;
+  updatedAt: number;
+  turns: ConversationTurn[];
+};
+
+// Least recently updated sessions of an agent beyond this count are dropped
+const MAX_SESSIONS_PER_AGENT = 20;
+
+const createSession = (agentId: string): ConversationSession => ({
+  id: Math.random().toString(36).substring(2, 15),
+  agentId,
+  startedAt: Date.now(),
+  updatedAt: Date.now(),
+  turns: [],
+});
+
+export const useHistory = create<{
+  sessions: ConversationSession[];
+  /** The session each agent is currently continuing, by agent id. */
+  activeSessionIds: Record<string, string>;
+  /** Number of recent turns given to the agent as context on reconnect. */
+  contextWindow: number;
+  startSession: (agentId: string) => void;
+  continueSession: (agentId: string, sessionId: string) => void;
+  addTurn: (agentId: string, turn: ConversationTurn) => void;
+  deleteSession: (sessionId: string) => void;
+  clearSessions: (agentId: string) => void;
+  setContextWindow: (contextWindow: number) => void;
+}>()(
+  persist(
+    set => ({
+      sessions: [],
+      activeSessionIds: {},
+      contextWindow: 20,
+
+      startSession: (agentId: string) => {
+        const session = createSession(agentId);
+        set(state => ({
+          sessions: [...state.sessions, session],
+          activeSessionIds: {
+            ...state.activeSessionIds,
+            [agentId]: session.id,
+          },
+        }));
+      },
+      continueSession: (agentId: string, sessionId: string) =>
+        set(state => ({
+          activeSessionIds: { ...state.activeSessionIds, [agentId]: sessionId },
+        })),
+      addTurn: (agentId: string, turn: ConversationTurn) =>
+        set(state => {
+          let sessions = state.sessions;
+          let session = sessions.find(
+            s => s.id === state.activeSessionIds[agentId]
+          );
+          if (!session) {
+            session = createSession(agentId);
+            sessions = [...sessions, session];
+          }
+          const updated = {
+            ...session,
+            updatedAt: turn.timestamp,
+            turns: [...session.turns, turn],
+          };
+          sessions = sessions.map(s => (s.id === updated.id ? updated : s));
+
+          // Drop the least recently updated sessions, never the active one
+          const dropped = sessions
+            .filter(s => s.agentId === agentId && s.id !== updated.id)
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .slice(MAX_SESSIONS_PER_AGENT - 1)
+            .map(s => s.id);
+
+          return {
+            sessions: sessions.filter(s => !dropped.includes(s.id)),
+            activeSessionIds: {
+              ...state.activeSessionIds,
+              [agentId]: updated.id,
+            },
+          };
+        }),
+      deleteSession: (sessionId: string) =>
+        set(state => ({
+          sessions: state.sessions.filter(s => s.id !== sessionId),
+        })),
+      clearSessions: (agentId: string) =>
+        set(state => {
+          const { [agentId]: _, ...activeSessionIds } = state.activeSessionIds;
+          return {
+            sessions: state.sessions.filter(s => s.agentId !== agentId),
+            activeSessionIds,
+          };
+        }),
+      setContextWindow: (contextWindow: number) => set({ contextWindow }),
+    }),
+    { name: 'chatterbots-history' }
+  )
+);
+
+/**
+ * Live transcript
+ */
+export type TranscriptEntry = {
+  id: string;
+  role: 'user' | 'agent';
+  /** The agent speaking, unset for the user. */
+  agentId?: string;
+  text: string;
+  /** When the turn started. */
+  timestamp: number;
+  /** Whether the agent was interrupted during this turn. */
+  interrupted?: boolean;
+  /** Whether the turn is over, the text of open entries still grows. */
+  final: boolean;
+};
+
+const isSpeaker =
+  (role: TranscriptEntry['role'], agentId?: string) =>
+  (entry: TranscriptEntry) =>
+    entry.role === role && entry.agentId === agentId;
+
+export const useTranscript = create<{
+  entries: TranscriptEntry[];
+  /** Adds text to the open turn of the speaker, or starts a new turn. */
+  append: (
+    role: TranscriptEntry['role'],
+    agentId: string | undefined,
+    text: string
+  ) => void;
+  /** Closes the open turn of the speaker. */
+  finish: (
+    role: TranscriptEntry['role'],
+    agentId?: string,
+    interrupted?: boolean
+  ) => void;
+  /** Adds a complete turn. */
+  add: (entry: Omit<TranscriptEntry, 'id' | 'final' | 'timestamp'>) => void;
+  clear: () => void;
+}>(set => ({
+  entries: [],
+  append: (role, agentId, text) =>
+    set(state => {
+      const open = state.entries.find(
+        entry => !entry.final && isSpeaker(role, agentId)(entry)
+      );
+      if (open) {
+        return {
+          entries: state.entries.map(entry =>
+            entry === open ? { ...entry, text: entry.text + text } : entry
+          ),
+        };
+      }
+      if (!text.trim()) return state;
+      return {
+        entries: [
+          ...state.entries,
+          {
+            id: Math.random().toString(36).substring(2, 15),
+            role,
+            agentId,
+            text: text.trimStart(),
+            timestamp: Date.now(),
+            final: false,
+          },
+        ],
+      };
+    }),
+  finish: (role, agentId, interrupted) =>
     set(state => ({
-      availablePresets: state.availablePresets.map(a =>
-        a.id === agentId ? updatedAgent : a
-      ),
-      availablePersonal: state.availablePersonal.map(a =>
-        a.id === agentId ? updatedAgent : a
+      entries: state.entries.map(entry =>
+        !entry.final && isSpeaker(role, agentId)(entry)
+          ? {
+              ...entry,
+              text: entry.text.trim(),
+              final: true,
+              ...(interrupted && { interrupted }),
+            }
+          : entry
       ),
-      current: state.current.id === agentId ? updatedAgent : state.current,
-    }));
-  },
+    })),
+  add: entry =>
+    set(state => ({
+      entries: [
+        ...state.entries,
+        {
+          ...entry,
+          id: Math.random().toString(36).substring(2, 15),
+          timestamp: Date.now(),
+          final: true,
+        },
+      ],
+    })),
+  clear: () => set({ entries: [] }),
 }));
 
+/**
+ * Facial expressions
+ */
+export type ExpressionState = {
+  expression: Expression;
+  /** How strongly the expression shows, between 0 and 1. */
+  intensity: number;
+  source: ExpressionSource;
+  updatedAt: number;
+};
+
+export const useExpressions = create<{
+  /** The latest expression of each agent, by agent id. */
+  expressions: Record<string, ExpressionState>;
+  setExpression: (
+    agentId: string,
+    expression: Expression,
+    intensity: number,
+    source: ExpressionSource
+  ) => void;
+}>(set => ({
+  expressions: {},
+  setExpression: (agentId, expression, intensity, source) =>
+    set(state => ({
+      expressions: {
+        ...state.expressions,
+        [agentId]: { expression, intensity, source, updatedAt: Date.now() },
+      },
+    })),
+}));
+
+/**
+ * Round table
+ */
+export const useRoundTable = create<{
+  // Whether the round table is on stage instead of the current agent
+  active: boolean;
+  setActive: (active: boolean) => void;
+  // Agents at the table, in the order they are seated
+  agentIds: string[];
+  toggleAgent: (agentId: string) => void;
+}>()(
+  persist(
+    set => ({
+      active: false,
+      setActive: active => set({ active }),
+      agentIds: [],
+      toggleAgent: agentId =>
+        set(state => ({
+          agentIds: state.agentIds.includes(agentId)
+            ? state.agentIds.filter(id => id !== agentId)
+            : state.agentIds.length < MAX_ROUND_TABLE_SIZE
+              ? [...state.agentIds, agentId]
+              : state.agentIds,
+        })),
+    }),
+    { name: 'chatterbots-round-table' }
+  )
+);
+
 /**
  * UI
  */
@@ -80,9 +601,29 @@ export const useUI = create<{
   setShowUserConfig: (show: boolean) => void;
   showAgentEdit: boolean;
   setShowAgentEdit: (show: boolean) => void;
+  showHistory: boolean;
+  setShowHistory: (show: boolean) => void;
+  showPlaybackStats: boolean;
+  setShowPlaybackStats: (show: boolean) => void;
+  showRoundTableSetup: boolean;
+  setShowRoundTableSetup: (show: boolean) => void;
+  showTranscript: boolean;
+  setShowTranscript: (show: boolean) => void;
+  showAbTest: boolean;
+  setShowAbTest: (show: boolean) => void;
 }>(set => ({
   showUserConfig: true,
   setShowUserConfig: (show: boolean) => set({ showUserConfig: show }),
   showAgentEdit: false,
   setShowAgentEdit: (show: boolean) => set({ showAgentEdit: show }),
+  showHistory: false,
+  setShowHistory: (show: boolean) => set({ showHistory: show }),
+  showPlaybackStats: false,
+  setShowPlaybackStats: (show: boolean) => set({ showPlaybackStats: show }),
+  showRoundTableSetup: false,
+  setShowRoundTableSetup: (show: boolean) => set({ showRoundTableSetup: show }),
+  showTranscript: false,
+  setShowTranscript: (show: boolean) => set({ showTranscript: show }),
+  showAbTest: false,
+  setShowAbTest: (show: boolean) => set({ showAbTest: show }),
 }));
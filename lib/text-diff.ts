@@ -0,0 +1,90 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+export type DiffPart = {
+  type: 'same' | 'added' | 'removed';
+  text: string;
+};
+
+// Beyond this many token pairs the changed middle is shown as replaced
+// instead of computing the longest common subsequence
+const MAX_DIFF_CELLS = 4_000_000;
+
+// Words, punctuation and the whitespace between them, so the diff keeps
+// line breaks
+const tokenize = (text: string) =>
+  text.split(/(\s+|[.,;:!?"()])/).filter(Boolean);
+
+/**
+ * Word diff from one text to another, e.g. between two revisions of a
+ * personality. Neighbouring parts of the same type are merged.
+ */
+export function diffWords(before: string, after: string): DiffPart[] {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Edits are usually local, the common start and end are skipped
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < a.length - start &&
+    end < b.length - start &&
+    a[a.length - 1 - end] === b[b.length - 1 - end]
+  ) {
+    end++;
+  }
+  const removed = a.slice(start, a.length - end);
+  const added = b.slice(start, b.length - end);
+
+  const parts: DiffPart[] = [];
+  const push = (type: DiffPart['type'], text: string) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else if (text) parts.push({ type, text });
+  };
+
+  push('same', a.slice(0, start).join(''));
+  if (removed.length * added.length > MAX_DIFF_CELLS) {
+    push('removed', removed.join(''));
+    push('added', added.join(''));
+  } else {
+    // Length of the longest common subsequence of the remaining tokens
+    const n = removed.length;
+    const m = added.length;
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] =
+          removed[i] === added[j]
+            ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+            : Math.max(
+                lengths[(i + 1) * (m + 1) + j],
+                lengths[i * (m + 1) + j + 1]
+              );
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && removed[i] === added[j]) {
+        push('same', removed[i++]);
+        j++;
+      } else if (
+        i < n &&
+        (j === m ||
+          lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1])
+      ) {
+        push('removed', removed[i++]);
+      } else {
+        push('added', added[j++]);
+      }
+    }
+  }
+  push('same', a.slice(a.length - end).join(''));
+  return parts;
+}
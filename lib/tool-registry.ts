@@ -0,0 +1,200 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import {
+  FunctionCall,
+  FunctionDeclaration,
+  LiveServerToolCall,
+  LiveServerToolCallCancellation,
+  Schema,
+} from '@google/genai';
+import { GenAILiveClient } from './genai-live-client';
+import { BUILT_IN_TOOLS, PRESET_TOOLS } from './presets/tools';
+
+// Time a handler may take before the call is answered with an error
+const DEFAULT_TOOL_TIMEOUT_MS = 10000;
+
+export type ToolHandlerOptions = {
+  // Aborted when the server cancels the call or the handler times out
+  signal: AbortSignal;
+  // The agent whose session made the call
+  agentId?: string;
+};
+
+/**
+ * A function the model can call, declared with a JSON schema for its
+ * arguments and answered by an async handler.
+ */
+export type Tool = {
+  name: string;
+  description: string;
+  parameters?: Schema;
+  handler: (
+    args: Record<string, unknown>,
+    options: ToolHandlerOptions
+  ) => Promise<unknown>;
+  timeoutMs?: number;
+};
+
+/**
+ * Maps tool names to their definitions. Agents refer to tools by name so they
+ * stay plain, serializable objects.
+ */
+export class ToolRegistry {
+  private tools: Map<string, Tool> = new Map();
+
+  constructor(tools: Tool[] = []) {
+    tools.forEach(tool => this.register(tool));
+  }
+
+  register(tool: Tool) {
+    this.tools.set(tool.name, tool);
+  }
+
+  unregister(name: string) {
+    this.tools.delete(name);
+  }
+
+  get(name: string) {
+    return this.tools.get(name);
+  }
+
+  list() {
+    return Array.from(this.tools.values());
+  }
+
+  /**
+   * Returns the function declarations for the given tool names, skipping
+   * names that are not registered.
+   */
+  getFunctionDeclarations(names: string[] = []): FunctionDeclaration[] {
+    return names
+      .map(name => this.tools.get(name))
+      .filter((tool): tool is Tool => !!tool)
+      .map(({ name, description, parameters }) => ({
+        name,
+        description,
+        parameters,
+      }));
+  }
+}
+
+export const toolRegistry = new ToolRegistry(PRESET_TOOLS);
+
+/**
+ * The names of the tools an agent may call, the built-in tools and its own.
+ */
+export const getAgentToolNames = (tools: string[] = []) => [
+  ...BUILT_IN_TOOLS,
+  ...tools.filter(name => !BUILT_IN_TOOLS.includes(name)),
+];
+
+/**
+ * Answers the tool calls a client receives by running the matching handlers
+ * from a registry. Calls are timed out, aborted when the server cancels them,
+ * and answered with an error when the tool is unknown or not enabled.
+ */
+export class ToolDispatcher {
+  // Abort controllers of the calls currently running, by call id
+  private pending: Map<string, AbortController> = new Map();
+
+  /**
+   * @param agentId - The agent the session belongs to, passed on to the
+   * handlers
+   */
+  constructor(
+    private client: GenAILiveClient,
+    private toolNames: string[],
+    private agentId?: string,
+    private registry: ToolRegistry = toolRegistry
+  ) {
+    this.onToolCall = this.onToolCall.bind(this);
+    this.onToolCallCancellation = this.onToolCallCancellation.bind(this);
+    this.cancelAll = this.cancelAll.bind(this);
+  }
+
+  attach() {
+    this.client.on('toolcall', this.onToolCall);
+    this.client.on('toolcallcancellation', this.onToolCallCancellation);
+    this.client.on('close', this.cancelAll);
+    return this;
+  }
+
+  detach() {
+    this.client.off('toolcall', this.onToolCall);
+    this.client.off('toolcallcancellation', this.onToolCallCancellation);
+    this.client.off('close', this.cancelAll);
+    this.cancelAll();
+  }
+
+  cancelAll() {
+    this.pending.forEach(controller => controller.abort());
+    this.pending.clear();
+  }
+
+  private onToolCall(toolCall: LiveServerToolCall) {
+    (toolCall.functionCalls || []).forEach(call => this.dispatch(call));
+  }
+
+  private onToolCallCancellation({ ids }: LiveServerToolCallCancellation) {
+    (ids || []).forEach(id => {
+      this.pending.get(id)?.abort();
+      this.pending.delete(id);
+    });
+  }
+
+  private async dispatch(call: FunctionCall) {
+    const { id, name = '', args = {} } = call;
+    const callId = id || name;
+    const tool = this.toolNames.includes(name)
+      ? this.registry.get(name)
+      : undefined;
+    if (!tool) {
+      this.respond(call, { error: `Unknown tool: ${name}` });
+      return;
+    }
+
+    const controller = new AbortController();
+    this.pending.set(callId, controller);
+    const timeoutMs = tool.timeoutMs ?? DEFAULT_TOOL_TIMEOUT_MS;
+    let timeout: ReturnType<typeof setTimeout> | undefined;
+
+    try {
+      const output = await Promise.race([
+        tool.handler(args, {
+          signal: controller.signal,
+          agentId: this.agentId,
+        }),
+        new Promise<never>((_, reject) => {
+          timeout = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Tool ${name} timed out after ${timeoutMs}ms`));
+          }, timeoutMs);
+        }),
+      ]);
+      if (this.pending.get(callId) === controller) {
+        this.respond(call, { output });
+      }
+    } catch (e) {
+      // Cancelled calls must not be answered
+      if (this.pending.get(callId) === controller) {
+        this.respond(call, { error: (e as Error).message || String(e) });
+      }
+    } finally {
+      clearTimeout(timeout);
+      if (this.pending.get(callId) === controller) {
+        this.pending.delete(callId);
+      }
+    }
+  }
+
+  private respond(call: FunctionCall, response: Record<string, unknown>) {
+    if (this.client.status !== 'connected') {
+      return;
+    }
+    this.client.sendToolResponse({
+      functionResponses: [{ id: call.id, name: call.name, response }],
+    });
+  }
+}
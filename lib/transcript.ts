@@ -0,0 +1,55 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { TranscriptEntry } from './state';
+import { downloadBlob } from './utils';
+
+/**
+ * Time of day of a transcript entry, with seconds.
+ */
+export const formatTranscriptTime = (timestamp: number) =>
+  new Intl.DateTimeFormat(undefined, { timeStyle: 'medium' }).format(
+    new Date(timestamp)
+  );
+
+/**
+ * Splits a text around the case-insensitive matches of a query, so they can
+ * be highlighted. Matches are at the odd indices.
+ */
+export function splitMatches(text: string, query: string) {
+  if (!query) return [text];
+  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.split(new RegExp(`(${escaped})`, 'i'));
+}
+
+/**
+ * Renders the transcript as Markdown, one paragraph per turn.
+ * @param getName name of the speaker of an entry
+ */
+export function transcriptToMarkdown(
+  entries: TranscriptEntry[],
+  getName: (entry: TranscriptEntry) => string
+) {
+  const started = entries[0]?.timestamp ?? Date.now();
+  const title = `# Transcript of ${new Intl.DateTimeFormat(undefined, {
+    dateStyle: 'full',
+  }).format(new Date(started))}`;
+  const turns = entries.map(
+    entry =>
+      `**${getName(entry)}** (${formatTranscriptTime(entry.timestamp)}): \
+${entry.text.trim()}${entry.interrupted ? ' _(interrupted)_' : ''}`
+  );
+  return [title, ...turns].join('\n\n') + '\n';
+}
+
+/**
+ * Saves the transcript as a Markdown file through the browser.
+ */
+export function downloadTranscript(markdown: string, timestamp: number) {
+  const blob = new Blob([markdown], { type: 'text/markdown' });
+  downloadBlob(
+    blob,
+    `transcript-${new Date(timestamp).toISOString().replace(/[:.]/g, '-')}.md`
+  );
+}
@@ -27,7 +27,9 @@ const map: Map<string, AudioContext> = new Map();
 export const audioContext: (
   options?: GetAudioContextOptions
 ) => Promise<AudioContext> = (() => {
+  // Guarded so the module can also be imported outside the browser
   const didInteract = new Promise(res => {
+    if (typeof window === 'undefined') return;
     window.addEventListener('pointerdown', res, { once: true });
     window.addEventListener('keydown', res, { once: true });
   });
@@ -74,3 +76,31 @@ export function base64ToArrayBuffer(base64: string) {
   }
   return bytes.buffer;
 }
+
+/**
+ * Saves a blob as a file through the browser.
+ */
+export function downloadBlob(blob: Blob, filename: string) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+/**
+ * Formats a timestamp as a short local date and time, e.g. for lists of
+ * saved conversations or revisions.
+ */
+export const formatDate = (timestamp: number) =>
+  new Intl.DateTimeFormat(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  }).format(new Date(timestamp));
+
+/**
+ * Whether a value parsed from external input, e.g. JSON, is a plain object
+ * whose fields can be checked one by one.
+ */
+export const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
@@ -0,0 +1,42 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+/**
+ * Scales a frame size down so that its longer side is at most `maxSize`,
+ * keeping the aspect ratio. Frames that already fit are left as they are.
+ */
+export function fitFrameSize(width: number, height: number, maxSize: number) {
+  const scale = Math.min(1, maxSize / Math.max(width, height, 1));
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+  };
+}
+
+/**
+ * Draws the current frame of a video onto a canvas, scaled to `maxSize`,
+ * and returns it as base64 JPEG data without the data URL prefix.
+ * Returns null while the video has no frame yet.
+ */
+export function captureVideoFrame(
+  video: HTMLVideoElement,
+  canvas: HTMLCanvasElement,
+  maxSize: number,
+  quality = 0.8
+): string | null {
+  const { width, height } = fitFrameSize(
+    video.videoWidth,
+    video.videoHeight,
+    maxSize
+  );
+  const ctx = canvas.getContext('2d');
+  if (!ctx || !width || !height) return null;
+
+  canvas.width = width;
+  canvas.height = height;
+  ctx.drawImage(video, 0, 0, width, height);
+  const dataUrl = canvas.toDataURL('image/jpeg', quality);
+  return dataUrl.slice(dataUrl.indexOf(',') + 1);
+}
@@ -0,0 +1,38 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { describe, expect, it } from 'vitest';
+import { SILENT_VISEME, VisemeFrame, VisemeTimeline } from './visemes';
+
+const frame = (time: number, viseme: VisemeFrame['viseme'] = 'open') => ({
+  viseme,
+  level: 0.3,
+  time,
+});
+
+describe('VisemeTimeline', () => {
+  it('shows each frame once it is audible', () => {
+    const timeline = new VisemeTimeline();
+    timeline.push(frame(1, 'open'));
+    timeline.push(frame(1.02, 'round'));
+    expect(timeline.at(0.99)).toBe(SILENT_VISEME);
+    expect(timeline.at(1.01).viseme).toBe('open');
+    expect(timeline.at(1.03).viseme).toBe('round');
+  });
+
+  it('falls silent when no newer frame is due', () => {
+    const timeline = new VisemeTimeline();
+    timeline.push(frame(1));
+    expect(timeline.at(1.05).viseme).toBe('open');
+    expect(timeline.at(1.2)).toBe(SILENT_VISEME);
+  });
+
+  it('drops frames that can no longer be heard while nothing reads it', () => {
+    const timeline = new VisemeTimeline();
+    // A minute of frames while the page is hidden
+    for (let i = 0; i < 3000; i++) timeline.push(frame(i * 0.02));
+    expect(timeline['frames'].length).toBeLessThanOrEqual(51);
+    expect(timeline.at(59.99).time).toBeCloseTo(59.98);
+  });
+});
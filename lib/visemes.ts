@@ -0,0 +1,72 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+/**
+ * Rough mouth shapes of speech, see `lib/worklets/viseme-analyser.ts`.
+ */
+export type Viseme = 'closed' | 'open' | 'wide' | 'round';
+
+/**
+ * The mouth shape and loudness of the played speech at a point in time.
+ */
+export type VisemeFrame = {
+  viseme: Viseme;
+  // RMS level between 0 and 1
+  level: number;
+  // Context time at which the frame is played
+  time: number;
+};
+
+export const SILENT_VISEME: VisemeFrame = {
+  viseme: 'closed',
+  level: 0,
+  time: 0,
+};
+
+// Frames older than this are dropped when no newer frame is due, e.g. after
+// playback stopped
+const MAX_FRAME_AGE = 0.1;
+// Frames queued longer than this, well beyond any output latency, are never
+// shown, e.g. while the page is hidden and nothing reads the timeline
+const MAX_QUEUE_TIME = 1;
+
+/**
+ * Queues the frames posted by the viseme analyser, which runs ahead of what
+ * is heard by the output latency, so they can be shown when they are
+ * audible.
+ */
+export class VisemeTimeline {
+  private frames: VisemeFrame[] = [];
+  private current: VisemeFrame = SILENT_VISEME;
+
+  push(frame: VisemeFrame) {
+    this.frames.push(frame);
+    const oldest = frame.time - MAX_QUEUE_TIME;
+    let stale = 0;
+    while (stale < this.frames.length && this.frames[stale].time < oldest) {
+      stale++;
+    }
+    if (stale) this.frames.splice(0, stale);
+  }
+
+  /**
+   * Returns the frame audible at a context time, as given by
+   * `AudioStreamer.getOutputTime`.
+   */
+  at(time: number): VisemeFrame {
+    while (this.frames.length && this.frames[0].time <= time) {
+      this.current = this.frames.shift()!;
+    }
+    if (time - this.current.time > MAX_FRAME_AGE) {
+      this.current = SILENT_VISEME;
+    }
+    return this.current;
+  }
+
+  clear() {
+    this.frames = [];
+    this.current = SILENT_VISEME;
+  }
+}
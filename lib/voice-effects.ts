@@ -0,0 +1,208 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { addWorkletModule } from './audioworklet-registry';
+import PitchShiftWorklet from './worklets/pitch-shift';
+import RingModulatorWorklet from './worklets/ring-modulator';
+
+export type VoiceEffectType =
+  'pitch' | 'robot' | 'reverb' | 'telephone' | 'speed';
+
+/**
+ * An effect applied to the voice of an agent, with the value of its single
+ * parameter described in `VOICE_EFFECTS`.
+ */
+export type VoiceEffect = {
+  type: VoiceEffectType;
+  value: number;
+};
+
+export type VoiceEffectDefinition = {
+  label: string;
+  // The parameter set by `VoiceEffect.value`
+  param: {
+    label: string;
+    min: number;
+    max: number;
+    step: number;
+    default: number;
+  };
+};
+
+export const VOICE_EFFECTS: Record<VoiceEffectType, VoiceEffectDefinition> = {
+  pitch: {
+    label: 'Pitch shift',
+    param: { label: 'Semitones', min: -12, max: 12, step: 1, default: 4 },
+  },
+  robot: {
+    label: 'Robot',
+    param: { label: 'Carrier (Hz)', min: 20, max: 200, step: 5, default: 50 },
+  },
+  reverb: {
+    label: 'Reverb',
+    param: { label: 'Decay (s)', min: 0.5, max: 5, step: 0.5, default: 2 },
+  },
+  telephone: {
+    label: 'Telephone',
+    param: { label: 'Distortion', min: 0, max: 1, step: 0.1, default: 0.3 },
+  },
+  speed: {
+    label: 'Speed and pitch',
+    param: { label: 'Rate', min: 0.5, max: 2, step: 0.05, default: 1.25 },
+  },
+};
+
+export const createVoiceEffect = (type: VoiceEffectType): VoiceEffect => ({
+  type,
+  value: VOICE_EFFECTS[type].param.default,
+});
+
+// Share of the reverberated signal in the output
+const REVERB_MIX = 0.35;
+// Pass band of a telephone line in Hz
+const TELEPHONE_BAND = [300, 3400];
+
+/**
+ * Nodes making up an effect chain, connected from `input` to `output`.
+ */
+export type EffectChain = {
+  input: AudioNode;
+  output: AudioNode;
+  nodes: AudioNode[];
+};
+
+/**
+ * Adds the worklet modules needed by the effects to the context. Must be
+ * awaited before `createEffectChain`.
+ */
+export async function loadVoiceEffects(
+  context: BaseAudioContext,
+  effects: VoiceEffect[]
+) {
+  const types = new Set(effects.map(e => e.type));
+  await Promise.all([
+    types.has('pitch') &&
+      addWorkletModule(context, 'pitch-shift', PitchShiftWorklet),
+    types.has('robot') &&
+      addWorkletModule(context, 'ring-modulator', RingModulatorWorklet),
+  ]);
+}
+
+/**
+ * Playback rate of the audio, which the `speed` effects change by resampling
+ * on playback rather than with a node. Like a tape played faster, this
+ * raises the pitch along with the speed, by 12 * log2(rate) semitones, which
+ * a `pitch` effect can make up for.
+ */
+export function getPlaybackRate(effects: VoiceEffect[]) {
+  return effects
+    .filter(e => e.type === 'speed')
+    .reduce((rate, e) => rate * e.value, 1);
+}
+
+/**
+ * Seconds the effects keep sounding after their input has ended.
+ */
+export function getEffectTail(effects: VoiceEffect[]) {
+  return effects
+    .filter(e => e.type === 'reverb')
+    .reduce((tail, e) => Math.max(tail, e.value), 0);
+}
+
+/**
+ * Creates the nodes of the effects in order. Without effects the chain is a
+ * single pass-through node.
+ */
+export function createEffectChain(
+  context: BaseAudioContext,
+  effects: VoiceEffect[]
+): EffectChain {
+  const input = context.createGain();
+  const nodes: AudioNode[] = [input];
+  let output: AudioNode = input;
+  effects.forEach(effect => {
+    const stage = createEffect(context, effect);
+    if (!stage) return;
+    output.connect(stage.input);
+    output = stage.output;
+    nodes.push(...stage.nodes);
+  });
+  return { input, output, nodes };
+}
+
+function createEffect(
+  context: BaseAudioContext,
+  { type, value }: VoiceEffect
+): EffectChain | null {
+  switch (type) {
+    case 'pitch': {
+      const node = new AudioWorkletNode(context, 'pitch-shift', {
+        processorOptions: { semitones: value },
+      });
+      return { input: node, output: node, nodes: [node] };
+    }
+    case 'robot': {
+      const node = new AudioWorkletNode(context, 'ring-modulator', {
+        processorOptions: { frequency: value },
+      });
+      return { input: node, output: node, nodes: [node] };
+    }
+    case 'reverb': {
+      const input = context.createGain();
+      const output = context.createGain();
+      const dry = context.createGain();
+      const wet = context.createGain();
+      const convolver = context.createConvolver();
+      convolver.buffer = createImpulseResponse(context, value);
+      dry.gain.value = 1 - REVERB_MIX;
+      wet.gain.value = REVERB_MIX;
+      input.connect(dry).connect(output);
+      input.connect(convolver).connect(wet).connect(output);
+      return { input, output, nodes: [input, dry, convolver, wet, output] };
+    }
+    case 'telephone': {
+      const highpass = context.createBiquadFilter();
+      highpass.type = 'highpass';
+      highpass.frequency.value = TELEPHONE_BAND[0];
+      const lowpass = context.createBiquadFilter();
+      lowpass.type = 'lowpass';
+      lowpass.frequency.value = TELEPHONE_BAND[1];
+      const shaper = context.createWaveShaper();
+      shaper.curve = createDistortionCurve(value);
+      highpass.connect(lowpass).connect(shaper);
+      return {
+        input: highpass,
+        output: shaper,
+        nodes: [highpass, lowpass, shaper],
+      };
+    }
+    case 'speed':
+      // Applied through the playback rate, see `getPlaybackRate`
+      return null;
+  }
+}
+
+// Stereo white noise fading out over `seconds`
+function createImpulseResponse(context: BaseAudioContext, seconds: number) {
+  const length = Math.round(context.sampleRate * seconds);
+  const buffer = context.createBuffer(2, length, context.sampleRate);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < length; i++) {
+      data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+    }
+  }
+  return buffer;
+}
+
+// Soft clipping curve, linear at 0 and saturating as `amount` goes to 1
+function createDistortionCurve(amount: number) {
+  const k = amount * 50;
+  const curve = new Float32Array(1024);
+  for (let i = 0; i < curve.length; i++) {
+    const x = (i / (curve.length - 1)) * 2 - 1;
+    curve[i] = k ? ((1 + k) * x) / (1 + k * Math.abs(x)) : x;
+  }
+  return curve;
+}
@@ -18,6 +18,8 @@
  * limitations under the License.
  */
 
+import { createStreamResampler } from '../pcm';
+
 const AudioRecordingWorklet = `
 class AudioProcessingWorklet extends AudioWorkletProcessor {
 
@@ -28,9 +30,27 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
   // current write index
   bufferWriteIndex = 0;
 
-  constructor() {
+  constructor(options) {
     super();
     this.hasAudio = false;
+
+    // attenuation applied while the microphone probably only picks up the
+    // agent, set by the main thread with { suppress }
+    this.gain = 1;
+    this.targetGain = 1;
+    this.port.onmessage = event => {
+      if (typeof event.data.suppress === 'boolean') {
+        this.targetGain = event.data.suppress ? 0.1 : 1;
+      }
+    };
+
+    // resample when the device does not run at the requested rate,
+    // e.g. 44.1 or 48khz when 16khz was asked for
+    const { targetSampleRate = sampleRate } = options.processorOptions || {};
+    this.resample =
+      targetSampleRate !== sampleRate
+        ? (${createStreamResampler})(sampleRate, targetSampleRate)
+        : null;
   }
 
   /**
@@ -40,7 +60,7 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
   process(inputs) {
     if (inputs[0].length) {
       const channel0 = inputs[0][0];
-      this.processChunk(channel0);
+      this.processChunk(this.resample ? this.resample(channel0) : channel0);
     }
     return true;
   }
@@ -59,8 +79,11 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
     const l = float32Array.length;
     
     for (let i = 0; i < l; i++) {
+      // move towards the target gain over a few milliseconds
+      this.gain += (this.targetGain - this.gain) * 0.01;
+      const sample = float32Array[i] * this.gain;
       // convert float32 -1 to 1 to int16 -32768 to 32767
-      const int16Value = float32Array[i] * 32768;
+      const int16Value = Math.max(-1, Math.min(1, sample)) * 32767;
       this.buffer[this.bufferWriteIndex++] = int16Value;
       if(this.bufferWriteIndex >= this.buffer.length) {
         this.sendAndClearBuffer();
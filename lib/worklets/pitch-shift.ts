@@ -0,0 +1,76 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+/**
+ * Shifts the pitch of the audio without changing its speed, with two read
+ * heads sweeping through a short delay line. The heads are half a window
+ * apart and crossfaded, so one is always fading in while the other jumps
+ * back.
+ *
+ * Takes `{ semitones }` in the processor options, or posted to the port.
+ */
+const PitchShiftWorklet = `
+class PitchShiftWorklet extends AudioWorkletProcessor {
+
+  constructor(options) {
+    super();
+    const { semitones = 0, windowMs = 50 } = options.processorOptions || {};
+    this.setSemitones(semitones);
+    this.port.onmessage = event => {
+      if (typeof event.data.semitones === 'number') {
+        this.setSemitones(event.data.semitones);
+      }
+    };
+
+    this.window = Math.round((sampleRate * windowMs) / 1000);
+    // twice the window so the heads never read what is being written
+    this.buffer = new Float32Array(this.window * 2);
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  setSemitones(semitones) {
+    this.ratio = Math.pow(2, semitones / 12);
+  }
+
+  read(delay) {
+    const length = this.buffer.length;
+    let position = this.writeIndex - delay;
+    if (position < 0) position += length;
+    const i = Math.floor(position);
+    const frac = position - i;
+    const a = this.buffer[i % length];
+    const b = this.buffer[(i + 1) % length];
+    return a + (b - a) * frac;
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0][0];
+    const output = outputs[0][0];
+    if (!output) return true;
+
+    // the delay shrinks by the pitch ratio minus one every sample
+    const step = (1 - this.ratio) / this.window;
+    for (let i = 0; i < output.length; i++) {
+      this.buffer[this.writeIndex] = input ? input[i] : 0;
+
+      const phaseA = this.phase;
+      const phaseB = (this.phase + 0.5) % 1;
+      // triangular windows of the two heads add up to one
+      const gainA = 1 - Math.abs(2 * phaseA - 1);
+      const gainB = 1 - gainA;
+      output[i] =
+        this.read(phaseA * this.window) * gainA +
+        this.read(phaseB * this.window) * gainB;
+
+      this.phase = (((this.phase + step) % 1) + 1) % 1;
+      this.writeIndex = (this.writeIndex + 1) % this.buffer.length;
+    }
+    return true;
+  }
+}
+`;
+
+export default PitchShiftWorklet;
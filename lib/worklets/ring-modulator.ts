@@ -0,0 +1,45 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+/**
+ * Gives the audio a robotic timbre by multiplying it with a sine carrier,
+ * which replaces every frequency with its sum and difference with the
+ * carrier.
+ *
+ * Takes `{ frequency }` in Hz in the processor options, or posted to the
+ * port.
+ */
+const RingModulatorWorklet = `
+class RingModulatorWorklet extends AudioWorkletProcessor {
+
+  constructor(options) {
+    super();
+    const { frequency = 50 } = options.processorOptions || {};
+    this.frequency = frequency;
+    this.port.onmessage = event => {
+      if (typeof event.data.frequency === 'number') {
+        this.frequency = event.data.frequency;
+      }
+    };
+    this.phase = 0;
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0][0];
+    const output = outputs[0][0];
+    if (!output) return true;
+
+    const step = (2 * Math.PI * this.frequency) / sampleRate;
+    for (let i = 0; i < output.length; i++) {
+      output[i] = (input ? input[i] : 0) * Math.sin(this.phase);
+      this.phase += step;
+      if (this.phase > 2 * Math.PI) this.phase -= 2 * Math.PI;
+    }
+    return true;
+  }
+}
+`;
+
+export default RingModulatorWorklet;
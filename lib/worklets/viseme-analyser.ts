@@ -0,0 +1,148 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+/**
+ * Classifies the played speech into rough visemes from the spread of its
+ * energy over three bands in 20ms frames. The bands roughly separate the
+ * first two formants of vowels, which follow the shape of the mouth:
+ * - `closed`: silence
+ * - `round`: nearly all energy below 900 Hz, as in "oo" or "oh"
+ * - `wide`: energy above 1.8 kHz with little in between, as in "ee" or "s"
+ * - `open`: everything else, as in "ah"
+ *
+ * Posts `{ viseme, level, time }` for every frame that is not silent or
+ * changes the viseme, `time` being the context time at which the frame
+ * is played and `level` its RMS. The worklet keeps running between turns, so
+ * it stays quiet while there is nothing to show.
+ */
+const VisemeAnalyserWorklet = `
+class VisemeAnalyserWorklet extends AudioWorkletProcessor {
+
+  constructor(options) {
+    super();
+    const {
+      // RMS below which the mouth is closed
+      silenceLevel = 0.02,
+      // share of the energy in the low band above which the mouth is round
+      roundRatio = 0.8,
+      // share of the energy in the high band above which the mouth is wide,
+      // unless the middle band is stronger
+      wideRatio = 0.1,
+      // consecutive frames a new viseme needs to replace the current one
+      holdFrames = 2,
+    } = options.processorOptions || {};
+    Object.assign(this, { silenceLevel, roundRatio, wideRatio, holdFrames });
+
+    // two cascaded biquads per band edge for a steep enough slope
+    this.lowFilters = [
+      this.createFilter('lowpass', 900),
+      this.createFilter('lowpass', 900),
+    ];
+    this.highFilters = [
+      this.createFilter('highpass', 1800),
+      this.createFilter('highpass', 1800),
+    ];
+
+    this.frameLength = Math.round(sampleRate * 0.02);
+    this.frameIndex = 0;
+    this.frameStart = 0;
+    this.energy = 0;
+    this.lowEnergy = 0;
+    this.highEnergy = 0;
+
+    this.viseme = 'closed';
+    this.candidate = 'closed';
+    this.candidateFrames = 0;
+  }
+
+  process(inputs) {
+    const samples = inputs[0][0];
+    for (let i = 0; i < 128; i++) {
+      const x = samples ? samples[i] : 0;
+      const low = this.lowFilters.reduce((y, f) => this.filter(f, y), x);
+      const high = this.highFilters.reduce((y, f) => this.filter(f, y), x);
+
+      if (this.frameIndex === 0) {
+        this.frameStart = currentTime + i / sampleRate;
+      }
+      this.energy += x * x;
+      this.lowEnergy += low * low;
+      this.highEnergy += high * high;
+
+      if (++this.frameIndex >= this.frameLength) {
+        this.analyseFrame();
+        this.frameIndex = 0;
+        this.energy = 0;
+        this.lowEnergy = 0;
+        this.highEnergy = 0;
+      }
+    }
+    return true;
+  }
+
+  // RBJ cookbook biquad with a Q of 1/sqrt(2)
+  createFilter(type, frequency) {
+    const w = (2 * Math.PI * frequency) / sampleRate;
+    const alpha = Math.sin(w) / Math.SQRT2;
+    const cos = Math.cos(w);
+    const a0 = 1 + alpha;
+    const b0 = (type === 'lowpass' ? 1 - cos : 1 + cos) / 2 / a0;
+    return {
+      b0,
+      b1: type === 'lowpass' ? 2 * b0 : -2 * b0,
+      b2: b0,
+      a1: (-2 * cos) / a0,
+      a2: (1 - alpha) / a0,
+      x1: 0,
+      x2: 0,
+      y1: 0,
+      y2: 0,
+    };
+  }
+
+  filter(f, x) {
+    const y = f.b0 * x + f.b1 * f.x1 + f.b2 * f.x2 - f.a1 * f.y1 - f.a2 * f.y2;
+    f.x2 = f.x1;
+    f.x1 = x;
+    f.y2 = f.y1;
+    f.y1 = y;
+    return y;
+  }
+
+  analyseFrame() {
+    const level = Math.sqrt(this.energy / this.frameLength);
+    const lowRatio = this.lowEnergy / this.energy;
+    const highRatio = this.highEnergy / this.energy;
+    const midRatio = Math.max(0, 1 - lowRatio - highRatio);
+    let viseme = 'open';
+    if (level < this.silenceLevel) {
+      viseme = 'closed';
+    } else if (highRatio > this.wideRatio && highRatio > midRatio) {
+      viseme = 'wide';
+    } else if (lowRatio > this.roundRatio) {
+      viseme = 'round';
+    }
+
+    if (viseme === this.candidate) {
+      this.candidateFrames++;
+    } else {
+      this.candidate = viseme;
+      this.candidateFrames = 1;
+    }
+    const previous = this.viseme;
+    if (this.candidateFrames >= this.holdFrames) {
+      this.viseme = viseme;
+    }
+    if (level < this.silenceLevel && this.viseme === previous) return;
+    this.port.postMessage({
+      viseme: this.viseme,
+      level,
+      time: this.frameStart,
+    });
+  }
+}
+`;
+
+export default VisemeAnalyserWorklet;
@@ -0,0 +1,120 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+/**
+ * Detects speech in the microphone input from the short-term energy and the
+ * zero-crossing rate of 20ms frames. Voiced speech is loud compared to the
+ * background and crosses zero far less often than hiss or fricative noise.
+ *
+ * While the agent is speaking, the main thread posts `{ referenceLevel }`,
+ * the RMS of the played audio. Frames that are not clearly louder than the
+ * echo expected from it are not counted as speech.
+ *
+ * Posts `{ speaking: boolean }` whenever speech starts or ends.
+ */
+const VoiceActivityWorklet = `
+class VoiceActivityWorklet extends AudioWorkletProcessor {
+
+  constructor(options) {
+    super();
+    const {
+      // energy must exceed the noise floor by this factor
+      energyRatio = 3,
+      // absolute RMS below which a frame is never speech
+      minEnergy = 0.01,
+      // fraction of samples changing sign above which a frame is noise
+      maxZeroCrossingRate = 0.3,
+      // consecutive voiced frames needed to start speech
+      minSpeechFrames = 3,
+      // consecutive unvoiced frames needed to end speech
+      hangoverFrames = 30,
+      // level of the speaker echo in the microphone relative to the
+      // reference, after the browser echo cancellation
+      echoReturnRatio = 0.5,
+    } = options.processorOptions || {};
+    Object.assign(this, {
+      energyRatio,
+      minEnergy,
+      maxZeroCrossingRate,
+      minSpeechFrames,
+      hangoverFrames,
+      echoReturnRatio,
+    });
+
+    this.referenceLevel = 0;
+    this.port.onmessage = event => {
+      if (typeof event.data.referenceLevel === 'number') {
+        this.referenceLevel = event.data.referenceLevel;
+      }
+    };
+
+    this.frame = new Float32Array(Math.round(sampleRate * 0.02));
+    this.frameIndex = 0;
+    this.noiseFloor = minEnergy / energyRatio;
+    this.speaking = false;
+    this.voicedFrames = 0;
+    this.unvoicedFrames = 0;
+  }
+
+  process(inputs) {
+    if (inputs[0].length) {
+      const samples = inputs[0][0];
+      for (let i = 0; i < samples.length; i++) {
+        this.frame[this.frameIndex++] = samples[i];
+        if (this.frameIndex >= this.frame.length) {
+          this.analyseFrame(this.frame);
+          this.frameIndex = 0;
+        }
+      }
+    }
+    return true;
+  }
+
+  analyseFrame(frame) {
+    let sum = 0;
+    let crossings = 0;
+    for (let i = 0; i < frame.length; i++) {
+      sum += frame[i] * frame[i];
+      if (i > 0 && (frame[i] >= 0) !== (frame[i - 1] >= 0)) crossings++;
+    }
+    const rms = Math.sqrt(sum / frame.length);
+    const zeroCrossingRate = crossings / (frame.length - 1);
+    const threshold = Math.max(
+      this.minEnergy,
+      this.noiseFloor * this.energyRatio,
+      this.referenceLevel * this.echoReturnRatio
+    );
+    const voiced = rms > threshold && zeroCrossingRate < this.maxZeroCrossingRate;
+
+    if (voiced) {
+      this.voicedFrames++;
+      this.unvoicedFrames = 0;
+      if (!this.speaking && this.voicedFrames >= this.minSpeechFrames) {
+        this.setSpeaking(true);
+      }
+      return;
+    }
+
+    this.voicedFrames = 0;
+    if (this.speaking) {
+      if (++this.unvoicedFrames >= this.hangoverFrames) {
+        this.setSpeaking(false);
+      }
+    } else if (!this.referenceLevel) {
+      // follow the background level slowly while nobody is speaking,
+      // leaving out the echo of the agent
+      this.noiseFloor = this.noiseFloor * 0.95 + rms * 0.05;
+    }
+  }
+
+  setSpeaking(speaking) {
+    this.speaking = speaking;
+    this.unvoicedFrames = 0;
+    this.port.postMessage({ speaking });
+  }
+}
+`;
+
+export default VoiceActivityWorklet;
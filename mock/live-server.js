@@ -0,0 +1,325 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/**
+ * live-server.js
+ *
+ * Local stand-in for the Gemini Live API WebSocket endpoint, so the app and
+ * the services can be exercised without network access or quota.
+ *
+ * Replies are scripted by a scenario file (see `scenarios/default.json`):
+ * each turn has a `match` regular expression tested against the user text,
+ * the `text` to reply with and an optional `toolCall` to issue first, whose
+ * output replaces `{{output}}` in the reply. User audio is detected with a
+ * simple energy threshold and matched as the text `(audio)`.
+ *
+ * Usage: node mock/live-server.js [--port 8787] [--scenario file.json]
+ *                                 [--go-away-after ms]
+ */
+
+import { randomUUID } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { WebSocketServer } from 'ws';
+
+const OUTPUT_SAMPLE_RATE = 24000;
+// RMS of 16-bit input samples above which the user is considered speaking
+const SPEECH_RMS_THRESHOLD = 600;
+// Silence after speech that ends the user turn
+const END_OF_SPEECH_MS = 800;
+// Duration of synthesized audio per character of reply text
+const MS_PER_CHARACTER = 55;
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    scenario: {
+      type: 'string',
+      default: new URL('./scenarios/default.json', import.meta.url).pathname,
+    },
+    'go-away-after': { type: 'string' },
+  },
+});
+
+const scenario = JSON.parse(readFileSync(options.scenario, 'utf8'));
+
+/**
+ * Find the scenario turn that answers the given user text
+ *
+ * @param {string} text - The user text
+ * @returns {Object} - The matching turn or the fallback
+ */
+function findTurn(text) {
+  return (
+    scenario.turns.find(turn => new RegExp(turn.match, 'i').test(text)) ||
+    scenario.fallback
+  );
+}
+
+/**
+ * Synthesize a babbling tone for a word as base64 PCM16
+ *
+ * @param {string} word - The word to "speak"
+ * @returns {string} - Base64 encoded little-endian PCM16 at 24 kHz
+ */
+function synthesizeWord(word) {
+  const length = Math.round(
+    (OUTPUT_SAMPLE_RATE * MS_PER_CHARACTER * (word.length + 1)) / 1000
+  );
+  const pitch = 140 + (word.charCodeAt(0) % 12) * 8;
+  const samples = new Int16Array(length);
+  for (let i = 0; i < length; i++) {
+    const t = i / OUTPUT_SAMPLE_RATE;
+    const envelope = Math.sin((Math.PI * i) / length);
+    const vibrato = 1 + 0.05 * Math.sin(2 * Math.PI * 5 * t);
+    samples[i] = Math.sin(2 * Math.PI * pitch * vibrato * t) * envelope * 8000;
+  }
+  return Buffer.from(samples.buffer).toString('base64');
+}
+
+/**
+ * Compute the RMS of base64 encoded PCM16 audio
+ *
+ * @param {string} base64 - The audio data
+ * @returns {number} - The RMS in 16-bit sample units
+ */
+function rms(base64) {
+  const bytes = Buffer.from(base64, 'base64');
+  const samples = new Int16Array(
+    bytes.buffer,
+    bytes.byteOffset,
+    Math.floor(bytes.length / 2)
+  );
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return samples.length ? Math.sqrt(sum / samples.length) : 0;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A single Live session over one WebSocket connection
+ */
+class MockSession {
+  constructor(ws) {
+    this.ws = ws;
+    this.setup = null;
+    // The reply currently being streamed, if any
+    this.activeReply = null;
+    // Tool call waiting for a response, if any
+    this.pendingToolCall = null;
+    this.speaking = false;
+    this.silenceTimer = null;
+    this.manualActivity = false;
+
+    ws.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (e) {
+        // Like the Live API, close the session on a malformed message
+        console.log(`malformed message: ${e.message}`);
+        ws.close(1007, 'Invalid JSON payload');
+        return;
+      }
+      this.onMessage(message);
+    });
+    ws.on('close', () => this.cancelReply());
+  }
+
+  send(message) {
+    if (this.ws.readyState === this.ws.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  get audioOutput() {
+    const modalities = this.setup?.generationConfig?.responseModalities || [];
+    return !modalities.length || modalities.includes('AUDIO');
+  }
+
+  onMessage(message) {
+    if (message.setup) {
+      this.setup = message.setup;
+      this.manualActivity =
+        !!message.setup.realtimeInputConfig?.automaticActivityDetection
+          ?.disabled;
+      console.log(`setup for ${message.setup.model}`);
+      this.send({ setupComplete: {} });
+      return;
+    }
+    if (message.clientContent) {
+      const { turns = [], turnComplete } = message.clientContent;
+      const text = turns
+        .flatMap(turn => turn.parts || [])
+        .map(part => part.text || '')
+        .join(' ');
+      console.log(`clientContent: ${text}`);
+      if (turnComplete) this.reply(text);
+      return;
+    }
+    if (message.realtimeInput) {
+      this.onRealtimeInput(message.realtimeInput);
+      return;
+    }
+    if (message.toolResponse) {
+      this.onToolResponse(message.toolResponse);
+    }
+  }
+
+  onRealtimeInput({
+    mediaChunks = [],
+    audio,
+    text,
+    activityStart,
+    activityEnd,
+  }) {
+    if (text) {
+      this.reply(text);
+      return;
+    }
+    if (activityStart) {
+      this.onSpeechStart();
+      return;
+    }
+    if (activityEnd) {
+      this.onSpeechEnd();
+      return;
+    }
+    if (this.manualActivity) return;
+
+    [...mediaChunks, audio]
+      .filter(chunk => chunk?.mimeType?.startsWith('audio/pcm'))
+      .forEach(chunk => {
+        if (rms(chunk.data) > SPEECH_RMS_THRESHOLD) {
+          if (!this.speaking) this.onSpeechStart();
+          clearTimeout(this.silenceTimer);
+          this.silenceTimer = setTimeout(
+            () => this.onSpeechEnd(),
+            END_OF_SPEECH_MS
+          );
+        }
+      });
+  }
+
+  onSpeechStart() {
+    this.speaking = true;
+    if (this.activeReply || this.pendingToolCall) {
+      console.log('user barged in, interrupting');
+      if (this.pendingToolCall) {
+        this.send({
+          toolCallCancellation: { ids: [this.pendingToolCall.id] },
+        });
+      }
+      this.cancelReply();
+      this.send({ serverContent: { interrupted: true } });
+      this.send({ serverContent: { turnComplete: true } });
+    }
+  }
+
+  onSpeechEnd() {
+    if (!this.speaking) return;
+    this.speaking = false;
+    this.reply('(audio)');
+  }
+
+  cancelReply() {
+    if (this.activeReply) this.activeReply.cancelled = true;
+    this.activeReply = null;
+    this.pendingToolCall = null;
+  }
+
+  reply(userText) {
+    this.cancelReply();
+    const turn = findTurn(userText);
+    if (turn.toolCall) {
+      this.pendingToolCall = { id: randomUUID(), turn };
+      this.send({
+        toolCall: {
+          functionCalls: [{ id: this.pendingToolCall.id, ...turn.toolCall }],
+        },
+      });
+      return;
+    }
+    this.stream(turn.text);
+  }
+
+  onToolResponse({ functionResponses = [] }) {
+    const pending = this.pendingToolCall;
+    const response = functionResponses.find(r => r.id === pending?.id);
+    if (!response) return;
+    this.pendingToolCall = null;
+    const { output, error } = response.response || {};
+    const result = error ? `an error: ${error}` : JSON.stringify(output);
+    this.stream(pending.turn.text.replace('{{output}}', result));
+  }
+
+  /**
+   * Stream a reply word by word as text or synthesized audio, paced roughly
+   * in real time, followed by turnComplete
+   */
+  async stream(text) {
+    const reply = { cancelled: false };
+    this.activeReply = reply;
+    const transcribe = !!this.setup?.outputAudioTranscription;
+
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+      if (reply.cancelled) return;
+      if (this.audioOutput) {
+        this.send({
+          serverContent: {
+            modelTurn: {
+              parts: [
+                {
+                  inlineData: {
+                    mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}`,
+                    data: synthesizeWord(word),
+                  },
+                },
+              ],
+            },
+            ...(transcribe && { outputTranscription: { text: `${word} ` } }),
+          },
+        });
+        await sleep(MS_PER_CHARACTER * (word.length + 1) * 0.9);
+      } else {
+        this.send({
+          serverContent: { modelTurn: { parts: [{ text: `${word} ` }] } },
+        });
+        await sleep(50);
+      }
+    }
+    if (reply.cancelled) return;
+
+    this.activeReply = null;
+    this.send({ serverContent: { generationComplete: true } });
+    this.send({
+      serverContent: { turnComplete: true },
+      usageMetadata: { totalTokenCount: text.length },
+    });
+    if (this.setup?.sessionResumption) {
+      this.send({
+        sessionResumptionUpdate: { newHandle: randomUUID(), resumable: true },
+      });
+    }
+  }
+}
+
+const server = new WebSocketServer({ port: Number(options.port) });
+
+server.on('connection', ws => {
+  console.log('client connected');
+  new MockSession(ws);
+  ws.on('close', () => console.log('client disconnected'));
+
+  const goAwayAfter = Number(options['go-away-after']);
+  if (goAwayAfter) {
+    setTimeout(() => {
+      ws.send(JSON.stringify({ goAway: { timeLeft: '5s' } }));
+      setTimeout(() => ws.close(1000, 'session expired'), 5000);
+    }, goAwayAfter);
+  }
+});
+
+console.log(`Mock Live API server listening on ws://localhost:${options.port}`);
@@ -4,7 +4,7 @@
  * Service for creating and managing custom interactive characters
  */
 
-const { GenAILiveClient } = require('../../lib/genai-live-client');
+const { GenAILiveClient } = require('../../dist/node/genai-live-client.cjs');
 const { Modality } = require('@google/genai');
 const { Firestore } = require('@google-cloud/firestore');
 const CharacterStateManager = require('../managers/CharacterStateManager');
@@ -283,40 +283,23 @@ class CustomCharacterService {
       // Connect the client
       await client.connect();
       
-      return new Promise((resolve) => {
-        // Flag to track greeting completion
-        let greetingComplete = false;
-        
-        // Extract greeting from character config or use default
-        const greeting = character.greeting || `Hello! I'm ${character.name}.`;
-        
-        // Send the greeting instruction
-        client.send({
+      // Extract greeting from character config or use default
+      const greeting = character.greeting || `Hello! I'm ${character.name}.`;
+      
+      try {
+        // Send the greeting instruction and wait for that turn to complete
+        await client.ask({
           text: `[SYSTEM: This is your first interaction with this user. Use your character-specific greeting: "${greeting}"]`,
-        }, true);
-        
-        // Listen for completion
-        const completionHandler = () => {
-          greetingComplete = true;
-          client.off('complete', completionHandler);
-          
-          // Mark greeting as completed
-          this.stateManager.markGreetingCompleted(characterId).catch(console.error);
-          
-          resolve(true);
-        };
-        
-        client.on('complete', completionHandler);
-        
-        // Safety timeout
-        setTimeout(() => {
-          if (!greetingComplete) {
-            client.off('complete', completionHandler);
-            console.warn(`Greeting initialization timed out for character ${characterId}`);
-            resolve(false);
-          }
-        }, 10000);
-      });
+        }, { timeout: 10000 });
+      } catch (error) {
+        console.warn(`Greeting initialization failed for character ${characterId}:`, error.message);
+        return false;
+      }
+      
+      // Mark greeting as completed
+      this.stateManager.markGreetingCompleted(characterId).catch(console.error);
+      
+      return true;
     } catch (error) {
       console.error(`Error initializing character session for ${characterId}:`, error);
       return false;
@@ -329,9 +312,11 @@ class CustomCharacterService {
    * @param {string} characterId - The character ID
    * @param {string} message - The message to send
    * @param {Object} options - Message options
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
    * @returns {Promise<string>} - The character's response
    */
   async sendMessageToCharacter(characterId, message, options = {}) {
+    const { signal, ...messageOptions } = options;
     try {
       // Get the character
       const character = await this.getCharacter(characterId);
@@ -341,7 +326,7 @@ class CustomCharacterService {
       await this.stateManager.logInteraction(characterId, {
         type: 'message',
         message,
-        options
+        options: messageOptions
       });
       
       // If not connected, connect
@@ -349,44 +334,19 @@ class CustomCharacterService {
         await client.connect();
       }
       
-      // Send the message and get the response
-      return new Promise((resolve, reject) => {
-        let fullText = '';
-        
-        // Send the message
-        client.send({
-          text: message
-        }, false);
-        
-        // Listen for the response
-        client.on('text', (text) => {
-          fullText += text;
-        });
-        
-        client.on('complete', () => {
-          // If this is one of their first messages, mark identity as established
-          this.stateManager.getCharacterState(characterId).then(state => {
-            if (state && state.interactionCount <= 2 && !state.identityEstablished) {
-              this.stateManager.markIdentityEstablished(characterId).catch(console.error);
-            }
-          }).catch(console.error);
-          
-          resolve(fullText);
-        });
-        
-        client.on('error', (error) => {
-          reject(error);
-        });
-        
-        // Safety timeout
-        setTimeout(() => {
-          if (!fullText) {
-            reject(new Error('Response timed out'));
-          } else {
-            resolve(fullText);
-          }
-        }, 15000);
-      });
+      // Send the message and wait for the response to exactly this turn
+      const { text } = await client.ask({
+        text: message
+      }, { timeout: 15000, signal });
+      
+      // If this is one of their first messages, mark identity as established
+      this.stateManager.getCharacterState(characterId).then(state => {
+        if (state && state.interactionCount <= 2 && !state.identityEstablished) {
+          this.stateManager.markIdentityEstablished(characterId).catch(console.error);
+        }
+      }).catch(console.error);
+      
+      return text;
     } catch (error) {
       console.error(`Error sending message to character ${characterId}:`, error);
       throw error;
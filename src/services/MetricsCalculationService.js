@@ -5,7 +5,7 @@
  */
 
 const { Firestore } = require('@google-cloud/firestore');
-const { GenAILiveClient } = require('../../lib/genai-live-client');
+const { GenAILiveClient } = require('../../dist/node/genai-live-client.cjs');
 const { Modality } = require('@google/genai');
 
 // Configuration for characters by affinity group
@@ -210,30 +210,17 @@ class MetricsCalculationService {
     });
     
     // Generate the insight
-    const insight = await new Promise((resolve, reject) => {
-      let fullText = '';
-      
-      characterClient.connect().then(() => {
-        // Send the request to the character
-        characterClient.send({
-          text: `Generate a daily insight for a user with these metric values: ${JSON.stringify(metrics.categories)}`
-        }, true);
-        
-        // Listen for the response
-        characterClient.on('text', (text) => {
-          fullText += text;
-        });
-        
-        characterClient.on('complete', () => {
-          characterClient.disconnect();
-          resolve(fullText);
-        });
-        
-        characterClient.on('error', (error) => {
-          reject(error);
-        });
-      }).catch(reject);
-    });
+    await characterClient.connect();
+    let insight;
+    try {
+      // Send the request to the character and wait for the full response
+      const response = await characterClient.ask({
+        text: `Generate a daily insight for a user with these metric values: ${JSON.stringify(metrics.categories)}`
+      });
+      insight = response.text;
+    } finally {
+      characterClient.disconnect();
+    }
     
     // Store the insight
     const insightData = {
@@ -0,0 +1,30 @@
+import path from 'path';
+import { defineConfig } from 'vite';
+
+const entry = (name: string) => path.resolve(__dirname, `lib/${name}.ts`);
+
+/**
+ * Builds the Live client and its transports as a library for Node, in both
+ * ESM (`.js`) and CommonJS (`.cjs`), for the services in `src/services`.
+ */
+export default defineConfig({
+  build: {
+    outDir: 'dist/node',
+    emptyOutDir: true,
+    target: 'node18',
+    minify: false,
+    lib: {
+      entry: {
+        'genai-live-client': entry('genai-live-client'),
+        'live-transport': entry('live-transport'),
+        'session-recording': entry('session-recording'),
+      },
+      formats: ['es', 'cjs'],
+      fileName: (format, entryName) =>
+        `${entryName}.${format === 'es' ? 'js' : 'cjs'}`,
+    },
+    rollupOptions: {
+      external: [/^@google\/genai/, 'eventemitter3'],
+    },
+  },
+});